@@ -1,10 +1,15 @@
+importScripts('settings.js', 'chatgpt-tabs.js', 'job-queue.js', 'tab-pool.js', 'history-store.js', 'bridge-client.js',
+  'prompt-templates.js', 'quick-actions.js');
+
 // Background script to inject code into page context
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === "INJECT_PROSEMIRROR_SCRIPT") {
+    // The content script resolves the prompt box through its selector registry
+    const composerSelector = request.composerSelector || '#prompt-textarea';
     chrome.scripting.executeScript({
       target: { tabId: sender.tab.id },
       func: injectProseMirrorCode,
-      args: [request.promptText]
+      args: [request.promptText, composerSelector]
     }).then(() => {
       setTimeout(() => {
         chrome.scripting.executeScript({
@@ -17,22 +22,23 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             }
           }
         }).then((results) => {
-          const result = results && results[0] ? results[0] : null;
+          const result = results && results[0] ? results[0].result : null;
           
           if (!result || !result.success) {
             // Check textarea directly if result reading failed
             chrome.scripting.executeScript({
               target: { tabId: sender.tab.id },
-              func: () => {
-                const textarea = document.querySelector('#prompt-textarea');
+              func: (selector) => {
+                const textarea = document.querySelector(selector);
                 if (textarea) {
                   const content = textarea.textContent || textarea.innerText || '';
                   return { hasContent: content.trim().length > 0 };
                 }
                 return { hasContent: false };
-              }
+              },
+              args: [composerSelector]
             }).then((checkResults) => {
-              const check = checkResults && checkResults[0] ? checkResults[0] : null;
+              const check = checkResults && checkResults[0] ? checkResults[0].result : null;
               if (check && check.hasContent) {
                 sendResponse({ success: true, method: 'dom_manipulation' });
               } else {
@@ -57,16 +63,17 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
           // Fallback: check textarea directly
           chrome.scripting.executeScript({
             target: { tabId: sender.tab.id },
-            func: () => {
-              const textarea = document.querySelector('#prompt-textarea');
+            func: (selector) => {
+              const textarea = document.querySelector(selector);
               if (textarea) {
                 const content = textarea.textContent || textarea.innerText || '';
                 return { hasContent: content.trim().length > 0 };
               }
               return { hasContent: false };
-            }
+            },
+            args: [composerSelector]
           }).then((checkResults) => {
-            const check = checkResults && checkResults[0] ? checkResults[0] : null;
+            const check = checkResults && checkResults[0] ? checkResults[0].result : null;
             if (check && check.hasContent) {
               sendResponse({ success: true, method: 'dom_manipulation' });
             } else {
@@ -76,15 +83,22 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             sendResponse({ success: false, error: error.message });
           });
         });
-      }, 500);
+      }, currentSettings().injectionResultDelay);
     }).catch((error) => {
       sendResponse({ success: false, error: error.message });
     });
     return true;
   }
+
+  if (request.action === "GET_SETTINGS") {
+    getSettings()
+      .then(settings => sendResponse({ success: true, settings: settings }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
 });
 
-function injectProseMirrorCode(promptText) {
+function injectProseMirrorCode(promptText, composerSelector) {
   const checkObject = (obj) => {
     if (!obj || typeof obj !== 'object') return null;
     if (obj.dispatch && obj.state && obj.state.doc) {
@@ -148,17 +162,84 @@ function injectProseMirrorCode(promptText) {
     return null;
   };
   
+  // Split the prompt into paragraphs (separated by blank lines), each a list
+  // of lines. Fenced code stays in one paragraph so its blank lines and
+  // indentation survive exactly.
+  const splitParagraphs = (text) => {
+    const paragraphs = [];
+    let current = [];
+    let inFence = false;
+    
+    text.replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+      if (/^\s*(```|~~~)/.test(line)) {
+        inFence = !inFence;
+      }
+      if (!inFence && line.trim() === '') {
+        if (current.length > 0) paragraphs.push(current);
+        current = [];
+        return;
+      }
+      current.push(line);
+    });
+    if (current.length > 0) paragraphs.push(current);
+    
+    return paragraphs;
+  };
+  
+  // Paragraph nodes whose lines are joined by hard breaks. Schemas without a
+  // hard break node get one paragraph per line instead.
+  const buildParagraphNodes = (schema, paragraphs) => {
+    const hardBreak = schema.nodes.hard_break || schema.nodes.hardBreak;
+    const groups = hardBreak ? paragraphs : paragraphs.reduce((lines, paragraph) => lines.concat(paragraph.map(line => [line])), []);
+    
+    return groups.map(lines => {
+      const content = [];
+      lines.forEach((line, index) => {
+        if (index > 0) content.push(hardBreak.create());
+        if (line.length > 0) content.push(schema.text(line));
+      });
+      return schema.nodes.paragraph.create(null, content);
+    });
+  };
+  
+  // Let the editor's own paste handling insert the text. ProseMirror calls
+  // preventDefault() on pastes it handled.
+  const setContentViaPaste = (textarea, promptText) => {
+    try {
+      const selection = window.getSelection();
+      selection.selectAllChildren(textarea);
+      
+      const clipboardData = new DataTransfer();
+      clipboardData.setData('text/plain', promptText);
+      const pasteEvent = new ClipboardEvent('paste', {
+        bubbles: true,
+        cancelable: true,
+        clipboardData: clipboardData
+      });
+      
+      return !textarea.dispatchEvent(pasteEvent);
+    } catch (e) {
+      return false;
+    }
+  };
+  
   const setContentViaDOM = (textarea, promptText) => {
     try {
       textarea.innerHTML = '';
       
-      const p = document.createElement('p');
-      p.textContent = promptText;
-      textarea.appendChild(p);
+      splitParagraphs(promptText).forEach(lines => {
+        const p = document.createElement('p');
+        lines.forEach((line, index) => {
+          if (index > 0) p.appendChild(document.createElement('br'));
+          if (line.length > 0) p.appendChild(document.createTextNode(line));
+        });
+        textarea.appendChild(p);
+      });
       
+      const lastParagraph = textarea.lastElementChild || textarea.appendChild(document.createElement('p'));
       const br = document.createElement('br');
       br.className = 'ProseMirror-trailingBreak';
-      p.appendChild(br);
+      lastParagraph.appendChild(br);
       
       textarea.dispatchEvent(new Event('input', { bubbles: true }));
       textarea.dispatchEvent(new Event('change', { bubbles: true }));
@@ -192,7 +273,7 @@ function injectProseMirrorCode(promptText) {
   };
   
   try {
-    const textarea = document.querySelector('#prompt-textarea');
+    const textarea = document.querySelector(composerSelector);
     if (!textarea) {
       window.__prosemirrorResult = { error: 'Textarea not found' };
       return;
@@ -203,9 +284,12 @@ function injectProseMirrorCode(promptText) {
     if (pmView && pmView.dispatch) {
       const { state } = pmView;
       const { schema } = state;
-      const tr = state.tr.replaceWith(0, state.doc.content.size, schema.text(promptText));
+      const nodes = buildParagraphNodes(schema, splitParagraphs(promptText));
+      const tr = state.tr.replaceWith(0, state.doc.content.size, nodes);
       pmView.dispatch(tr);
       window.__prosemirrorResult = { success: true, method: 'direct_api' };
+    } else if (setContentViaPaste(textarea, promptText)) {
+      window.__prosemirrorResult = { success: true, method: 'paste' };
     } else {
       setContentViaDOM(textarea, promptText);
     }
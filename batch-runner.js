@@ -0,0 +1,207 @@
+// Runs a prompt template over every row of a CSV or JSON dataset, one
+// sendPrompt() at a time or several side by side, and exports the results
+// as CSV or JSONL.
+// Loaded after chatgpt-api.js and prompt-templates.js.
+
+// Parse an uploaded dataset into an array of row objects. JSON files may
+// hold an array of objects (or { rows: [...] }); .jsonl/.ndjson files hold
+// one object per line; anything else is read as CSV with a header row.
+function parseDataset(text, fileName = '') {
+  const extension = (fileName.match(/\.(\w+)$/) || [])[1];
+  const trimmed = text.replace(/^\uFEFF/, '').trim();
+
+  if (extension === 'jsonl' || extension === 'ndjson') {
+    return trimmed.split(/\r?\n/).filter(line => line.trim()).map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Line ${index + 1} is not valid JSON: ${error.message}`);
+      }
+    });
+  }
+
+  if (extension === 'json' || (!extension && /^[[{]/.test(trimmed))) {
+    const data = JSON.parse(trimmed);
+    const rows = Array.isArray(data) ? data : data.rows;
+    if (!Array.isArray(rows)) {
+      throw new Error("JSON datasets must be an array of objects or { rows: [...] }");
+    }
+    return rows;
+  }
+
+  return parseCSV(trimmed);
+}
+
+// RFC 4180 CSV: quoted fields may contain commas, newlines and "" escapes
+function parseCSV(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [header, ...lines] = records.filter(line => line.some(value => value.trim() !== ''));
+  if (!header) {
+    return [];
+  }
+  const columns = header.map(column => column.trim());
+
+  return lines.map(line => {
+    const row = {};
+    columns.forEach((column, index) => {
+      row[column] = line[index] !== undefined ? line[index] : '';
+    });
+    return row;
+  });
+}
+
+// Fill `template` from each row and send it with api.sendPrompt(), one row
+// at a time, or `options.concurrency` rows at a time (give the background's
+// tab pool at least that many tabs, or the rows still queue for one tab).
+// A failed row is recorded and the batch moves on; aborting
+// `options.signal` stops after the rows being sent are cancelled.
+//
+// Each result is { index, input, prompt, response, error, errorCode,
+// startedAt, durationMs }. Results are returned in row order;
+// `onRowComplete` is called as rows finish. An error thrown by
+// `onRowStart` or `onRowComplete` is logged and doesn't stop the batch.
+async function runBatch(api, template, rows, options = {}) {
+  const results = [];
+  const sendOptions = Object.assign({}, options.sendOptions, { signal: options.signal });
+  const concurrency = Math.max(1, Math.floor(options.concurrency) || 1);
+  let nextIndex = 0;
+
+  const runRow = async (index) => {
+    const input = rows[index];
+    const result = {
+      index: index,
+      input: input,
+      prompt: null,
+      response: null,
+      error: null,
+      errorCode: null,
+      startedAt: Date.now(),
+      durationMs: 0
+    };
+
+    callRowCallback(options.onRowStart, index, input);
+
+    try {
+      result.prompt = renderTemplate(template, input);
+      result.response = await api.sendPrompt(result.prompt, sendOptions);
+    } catch (error) {
+      result.error = error.message;
+      result.errorCode = error.code || null;
+    }
+    result.durationMs = Date.now() - result.startedAt;
+    results.push(result);
+
+    callRowCallback(options.onRowComplete, result, index);
+  };
+
+  // Each worker takes the next row until none are left
+  const worker = async () => {
+    while (nextIndex < rows.length && !(options.signal && options.signal.aborted)) {
+      const index = nextIndex++;
+      await runRow(index);
+
+      if (options.delay && nextIndex < rows.length) {
+        await new Promise(resolve => setTimeout(resolve, options.delay));
+      }
+    }
+  };
+
+  const workers = [];
+  for (let i = 0; i < Math.min(concurrency, rows.length); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+
+  return results.sort((a, b) => a.index - b.index);
+}
+
+// A throwing callback would reject its worker, and with it every result
+function callRowCallback(callback, ...args) {
+  if (!callback) {
+    return;
+  }
+  try {
+    callback(...args);
+  } catch (error) {
+    console.error("Batch row callback failed:", error);
+  }
+}
+
+// Flatten a result into one record: the input columns, then the outcome.
+// Outcome columns are prefixed so they never overwrite an input column of
+// the same name (a dataset may well have a "prompt" or "response" column).
+function batchResultRecord(result) {
+  return Object.assign({}, result.input, {
+    result_prompt: result.prompt,
+    result_response: result.response,
+    result_error_code: result.errorCode,
+    result_error: result.error,
+    result_started_at: new Date(result.startedAt).toISOString(),
+    result_duration_ms: result.durationMs
+  });
+}
+
+function resultsToJSONL(results) {
+  return results.map(result => JSON.stringify(batchResultRecord(result))).join('\n') + '\n';
+}
+
+function resultsToCSV(results) {
+  const records = results.map(batchResultRecord);
+  const columns = [];
+  records.forEach(record => {
+    Object.keys(record).forEach(column => {
+      if (!columns.includes(column)) columns.push(column);
+    });
+  });
+
+  const escape = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [columns.map(escape).join(',')]
+    .concat(records.map(record => columns.map(column => escape(record[column])).join(',')))
+    .join('\r\n') + '\r\n';
+}
+
+// Export for use in modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { parseDataset, parseCSV, runBatch, resultsToCSV, resultsToJSONL };
+}
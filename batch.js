@@ -0,0 +1,236 @@
+document.addEventListener('DOMContentLoaded', async function() {
+  const templateSelect = document.getElementById('template-select');
+  const templateName = document.getElementById('template-name');
+  const templateInput = document.getElementById('template-input');
+  const templateVariables = document.getElementById('template-variables');
+  const datasetInput = document.getElementById('dataset-input');
+  const datasetInfo = document.getElementById('dataset-info');
+  const newChatInput = document.getElementById('new-chat-input');
+  const delayInput = document.getElementById('delay-input');
+  const parallelInput = document.getElementById('parallel-input');
+  const runBtn = document.getElementById('run-btn');
+  const stopBtn = document.getElementById('stop-btn');
+  const downloadCsvBtn = document.getElementById('download-csv-btn');
+  const downloadJsonlBtn = document.getElementById('download-jsonl-btn');
+  const progressBar = document.getElementById('batch-progress');
+  const statusMsg = document.getElementById('status-msg');
+  const resultsBody = document.getElementById('results-body');
+
+  let rows = [];
+  let datasetName = 'dataset';
+  let results = [];
+  let controller = null;
+
+  function setStatus(msg, isError = false) {
+    statusMsg.textContent = msg;
+    statusMsg.classList.toggle('error', isError);
+  }
+
+  function setRunning(running) {
+    runBtn.disabled = running || rows.length === 0;
+    stopBtn.disabled = !running;
+    datasetInput.disabled = running;
+    templateInput.disabled = running;
+    parallelInput.disabled = running;
+    downloadCsvBtn.disabled = running || results.length === 0;
+    downloadJsonlBtn.disabled = running || results.length === 0;
+  }
+
+  let chatGPTAPI;
+  try {
+    chatGPTAPI = await createChatGPTAPI();
+  } catch (error) {
+    setStatus("Failed to initialize API", true);
+    console.error("API initialization error:", error);
+  }
+
+  // --- Templates ---
+
+  async function refreshTemplates(selected) {
+    const templates = await listTemplates();
+    templateSelect.innerHTML = '<option value="">New template</option>';
+    templates.forEach(saved => {
+      const option = document.createElement('option');
+      option.value = saved.name;
+      option.textContent = saved.name;
+      templateSelect.appendChild(option);
+    });
+    templateSelect.value = selected || '';
+    return templates;
+  }
+
+  // Show which placeholders the template uses and which the dataset lacks
+  function describeTemplate() {
+    const variables = getTemplateVariables(templateInput.value);
+    if (variables.length === 0) {
+      templateVariables.textContent = "Use {{column}} placeholders to insert values from each row.";
+      templateVariables.classList.remove('warning');
+      return;
+    }
+
+    const columns = rows.length > 0 ? Object.keys(rows[0]) : null;
+    const missing = columns ? variables.filter(name => !columns.includes(name)) : [];
+    templateVariables.textContent = `Variables: ${variables.join(', ')}` +
+      (missing.length > 0 ? ` (not in the dataset: ${missing.join(', ')})` : '');
+    templateVariables.classList.toggle('warning', missing.length > 0);
+  }
+
+  templateSelect.addEventListener('change', async () => {
+    const saved = (await listTemplates()).find(template => template.name === templateSelect.value);
+    templateName.value = saved ? saved.name : '';
+    templateInput.value = saved ? saved.template : '';
+    describeTemplate();
+  });
+
+  document.getElementById('save-template-btn').addEventListener('click', async () => {
+    const name = templateName.value.trim();
+    if (!name || !templateInput.value.trim()) {
+      setStatus("Enter a template name and text to save it.", true);
+      return;
+    }
+    await saveTemplate(name, templateInput.value);
+    await refreshTemplates(name);
+    setStatus(`Saved template "${name}"`);
+  });
+
+  document.getElementById('delete-template-btn').addEventListener('click', async () => {
+    if (!templateSelect.value) return;
+    const name = templateSelect.value;
+    await deleteTemplate(name);
+    await refreshTemplates();
+    templateName.value = '';
+    setStatus(`Deleted template "${name}"`);
+  });
+
+  templateInput.addEventListener('input', describeTemplate);
+
+  // --- Dataset ---
+
+  datasetInput.addEventListener('change', async () => {
+    const file = datasetInput.files[0];
+    rows = [];
+    if (file) {
+      try {
+        rows = parseDataset(await file.text(), file.name.toLowerCase());
+        datasetName = file.name.replace(/\.\w+$/, '');
+        const columns = rows.length > 0 ? Object.keys(rows[0]) : [];
+        datasetInfo.textContent = `${rows.length} row(s); columns: ${columns.join(', ') || '(none)'}`;
+        setStatus("Ready");
+      } catch (error) {
+        datasetInfo.textContent = '';
+        setStatus(`Could not read ${file.name}: ${error.message}`, true);
+      }
+    }
+    describeTemplate();
+    setRunning(false);
+  });
+
+  // --- Running ---
+
+  function addResultRow(result) {
+    const tr = document.createElement('tr');
+    const cells = [
+      String(result.index + 1),
+      result.errorCode || (result.error ? 'Error' : 'OK'),
+      `${(result.durationMs / 1000).toFixed(1)}s`,
+      result.error || result.response
+    ];
+    cells.forEach((text, index) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      if (index === 3) {
+        td.className = result.error ? 'response error' : 'response';
+      }
+      tr.appendChild(td);
+    });
+    resultsBody.appendChild(tr);
+  }
+
+  runBtn.addEventListener('click', async () => {
+    const template = templateInput.value;
+    if (!template.trim()) {
+      setStatus("Please enter a template.", true);
+      return;
+    }
+    if (!chatGPTAPI) {
+      setStatus("API not initialized", true);
+      return;
+    }
+    // More than one tab runs the rows through the background's tab pool,
+    // which opens its own ChatGPT tabs
+    const parallel = Math.min(8, Math.max(1, Math.floor(Number(parallelInput.value)) || 1));
+    if (parallel > 1) {
+      try {
+        await chatGPTAPI.configureTabPool({ size: parallel });
+      } catch (error) {
+        setStatus(`Error: ${error.message}`, true);
+        return;
+      }
+    } else if (!(await chatGPTAPI.isAvailable())) {
+      setStatus("Error: Open ChatGPT in a browser tab first.", true);
+      return;
+    }
+
+    results = [];
+    resultsBody.innerHTML = '';
+    progressBar.max = rows.length;
+    progressBar.value = 0;
+    controller = new AbortController();
+    setRunning(true);
+
+    const finished = await runBatch(chatGPTAPI, template, rows, {
+      signal: controller.signal,
+      delay: Math.max(0, Number(delayInput.value) || 0) * 1000,
+      concurrency: parallel,
+      sendOptions: { newChat: newChatInput.checked },
+      onRowStart: (index) => {
+        setStatus(parallel > 1
+          ? `Running rows in ${parallel} tabs (${results.length} of ${rows.length} done)...`
+          : `Running row ${index + 1} of ${rows.length}...`);
+      },
+      onRowComplete: (result) => {
+        results.push(result);
+        progressBar.value = results.length;
+        addResultRow(result);
+      }
+    });
+
+    // Rows finish out of order when several run at once; export in row order
+    results = finished;
+    const failures = finished.filter(result => result.error).length;
+    const stopped = controller.signal.aborted;
+    controller = null;
+    setRunning(false);
+    setStatus(`${stopped ? 'Stopped' : 'Finished'}: ${results.length} of ${rows.length} row(s) run, ${failures} failed`,
+      failures > 0 && !stopped);
+  });
+
+  stopBtn.addEventListener('click', () => {
+    if (controller) {
+      controller.abort();
+      setStatus("Stopping...");
+    }
+  });
+
+  // --- Export ---
+
+  function download(content, type, extension) {
+    const url = URL.createObjectURL(new Blob([content], { type: type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${datasetName}-results.${extension}`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  downloadCsvBtn.addEventListener('click', () => {
+    download(resultsToCSV(results), 'text/csv', 'csv');
+  });
+
+  downloadJsonlBtn.addEventListener('click', () => {
+    download(resultsToJSONL(results), 'application/x-ndjson', 'jsonl');
+  });
+
+  await refreshTemplates();
+  setRunning(false);
+});
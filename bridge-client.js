@@ -0,0 +1,142 @@
+// Connects the background service worker to the local bridge server
+// (bridge/server.js) so scripts outside the browser can queue prompts.
+// Bridge requests are relayed into the job queue; job updates and response
+// chunks are streamed back. The connection is off until it is turned on on
+// the options page (`bridgeEnabled: true` in chrome.storage.local), so
+// nothing else listening on the port gets the queue. `bridgeToken` is the
+// token the bridge printed and `bridgeUrl` points it elsewhere.
+
+const BRIDGE_DEFAULT_URL = "ws://127.0.0.1:8765/extension";
+const BRIDGE_MIN_RECONNECT_DELAY = 1000;
+const BRIDGE_MAX_RECONNECT_DELAY = 60000;
+const BRIDGE_KEEPALIVE_INTERVAL = 20000;
+
+let bridgeSocket = null;
+let bridgeReconnectDelay = BRIDGE_MIN_RECONNECT_DELAY;
+let bridgeReconnectTimer = null;
+let bridgeKeepaliveTimer = null;
+
+async function connectBridge() {
+  clearTimeout(bridgeReconnectTimer);
+  bridgeReconnectTimer = null;
+
+  const settings = await chrome.storage.local.get(['bridgeEnabled', 'bridgeUrl', 'bridgeToken']);
+  if (settings.bridgeEnabled !== true || bridgeSocket) {
+    return;
+  }
+
+  let socket;
+  try {
+    const url = new URL(settings.bridgeUrl || BRIDGE_DEFAULT_URL);
+    if (settings.bridgeToken) {
+      url.searchParams.set('token', settings.bridgeToken);
+    }
+    socket = new WebSocket(url.href);
+  } catch (error) {
+    console.error("ChatGPT Automator: Invalid bridge URL:", error.message);
+    return;
+  }
+  bridgeSocket = socket;
+
+  socket.onopen = () => {
+    console.log("ChatGPT Automator: Connected to bridge");
+    bridgeReconnectDelay = BRIDGE_MIN_RECONNECT_DELAY;
+    sendToBridge({ type: 'hello', version: chrome.runtime.getManifest().version });
+
+    // Regular traffic keeps the service worker from being suspended
+    bridgeKeepaliveTimer = setInterval(() => sendToBridge({ type: 'ping' }), BRIDGE_KEEPALIVE_INTERVAL);
+  };
+
+  socket.onmessage = (event) => {
+    let message;
+    try {
+      message = JSON.parse(event.data);
+    } catch (error) {
+      return;
+    }
+    handleBridgeMessage(message);
+  };
+
+  socket.onclose = () => {
+    clearInterval(bridgeKeepaliveTimer);
+    bridgeKeepaliveTimer = null;
+    if (bridgeSocket === socket) {
+      bridgeSocket = null;
+      scheduleBridgeReconnect();
+    }
+  };
+
+  // Connection failures also fire onclose, which handles the reconnect
+  socket.onerror = () => {};
+}
+
+function scheduleBridgeReconnect() {
+  if (bridgeReconnectTimer) {
+    return;
+  }
+  bridgeReconnectTimer = setTimeout(connectBridge, bridgeReconnectDelay);
+  bridgeReconnectDelay = Math.min(bridgeReconnectDelay * 2, BRIDGE_MAX_RECONNECT_DELAY);
+}
+
+function disconnectBridge() {
+  clearTimeout(bridgeReconnectTimer);
+  bridgeReconnectTimer = null;
+  if (bridgeSocket) {
+    const socket = bridgeSocket;
+    bridgeSocket = null;
+    socket.close();
+  }
+}
+
+function sendToBridge(message) {
+  if (bridgeSocket && bridgeSocket.readyState === WebSocket.OPEN) {
+    bridgeSocket.send(JSON.stringify(message));
+  }
+}
+
+async function handleBridgeMessage(message) {
+  try {
+    let result;
+    switch (message.type) {
+      case 'enqueue':
+        result = { job: await enqueueJob(message.job) };
+        break;
+      case 'cancel':
+        result = { job: await cancelJob(message.jobId) };
+        break;
+      case 'settings':
+        result = { settings: await getSettings() };
+        break;
+      default:
+        return;
+    }
+    sendToBridge(Object.assign({ type: 'result', ref: message.ref, success: true }, result));
+  } catch (error) {
+    sendToBridge({ type: 'result', ref: message.ref, success: false, error: error.message, code: error.code });
+  }
+}
+
+jobUpdateListeners.add((job) => {
+  sendToBridge({ type: 'job', job: job });
+});
+
+chrome.runtime.onMessage.addListener((request, sender) => {
+  if (request.action === "RESPONSE_CHUNK" && sender.tab) {
+    sendToBridge({
+      type: 'chunk',
+      requestId: request.requestId,
+      delta: request.delta,
+      text: request.text
+    });
+  }
+  return false;
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && (changes.bridgeEnabled || changes.bridgeUrl || changes.bridgeToken)) {
+    disconnectBridge();
+    connectBridge().catch(error => console.error("ChatGPT Automator: Failed to connect to the bridge:", error));
+  }
+});
+
+connectBridge().catch(error => console.error("ChatGPT Automator: Failed to connect to the bridge:", error));
@@ -0,0 +1,81 @@
+/**
+ * HTTP helpers shared by the bridge routes
+ *
+ * @module bridge/http
+ */
+
+const MAX_BODY_SIZE = 10 * 1024 * 1024;
+
+/**
+ * Error carrying the HTTP status it should be reported with
+ *
+ * @class BridgeError
+ * @extends Error
+ */
+class BridgeError extends Error {
+  /**
+   * @constructor
+   * @param {number} status - HTTP status code
+   * @param {string} message - Human-readable description
+   * @param {string} code - Optional error code reported by the extension
+   */
+  constructor(status, message, code) {
+    super(message);
+    this.name = 'BridgeError';
+    this.status = status;
+    this.code = code || null;
+  }
+}
+
+function sendJson(res, status, body) {
+  const payload = JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(payload)
+  });
+  res.end(payload);
+}
+
+function sendError(res, error) {
+  sendJson(res, error.status || 500, { error: { message: error.message, code: error.code || null } });
+}
+
+// Only JSON bodies are read: a cross-site form or `text/plain` fetch can
+// reach the bridge without a CORS preflight, a JSON request can't
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (contentType !== 'application/json') {
+      reject(new BridgeError(415, "Content-Type must be application/json"));
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        reject(new BridgeError(413, "Request body too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (!text) {
+        resolve({});
+        return;
+      }
+      try {
+        resolve(JSON.parse(text));
+      } catch (error) {
+        reject(new BridgeError(400, "Request body must be valid JSON"));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+module.exports = { BridgeError, sendJson, sendError, readJsonBody };
@@ -0,0 +1,335 @@
+/**
+ * OpenAI-compatible facade over the bridge
+ *
+ *   POST /v1/chat/completions   Chat completions request/response shape, with SSE when `stream: true`
+ *   GET  /v1/models             A single "chatgpt-web" model
+ *
+ * The `messages` array is flattened into one prompt and sent to a new chat,
+ * so existing tools built on OpenAI client libraries can point their base
+ * URL at the bridge. A non-standard `conversation_id` field continues an
+ * existing conversation instead. Images and files sent as data: URLs in
+ * `image_url` or `file` content parts are uploaded as attachments. Any
+ * `model` other than "chatgpt-web" is picked in ChatGPT's model picker.
+ * Answers are waited for as long as the extension's `requestTimeout`
+ * setting, or a non-standard `timeout` field (in seconds). Errors are
+ * reported in OpenAI's shape, `{ error: { message, type, param, code } }`.
+ *
+ * @module bridge/openai-compat
+ */
+
+const { BridgeError, sendJson, readJsonBody } = require('./http');
+
+const DEFAULT_MODEL = 'chatgpt-web';
+
+const ROLE_LABELS = {
+  system: 'System',
+  developer: 'System',
+  user: 'User',
+  assistant: 'Assistant',
+  tool: 'Tool'
+};
+
+/**
+ * Route a `/v1/...` request
+ *
+ * @param {AutomatorBridge} bridge - The bridge to queue jobs on
+ * @param {http.IncomingMessage} req - The request
+ * @param {http.ServerResponse} res - The response
+ * @param {URL} url - The parsed request URL
+ * @returns {Promise<void>}
+ */
+async function handleOpenAIRequest(bridge, req, res, url) {
+  try {
+    await routeOpenAIRequest(bridge, req, res, url);
+  } catch (error) {
+    if (res.headersSent) {
+      throw error;
+    }
+    sendOpenAIError(res, error);
+  }
+}
+
+async function routeOpenAIRequest(bridge, req, res, url) {
+  if (req.method === 'GET' && url.pathname === '/v1/models') {
+    sendJson(res, 200, {
+      object: 'list',
+      data: [{ id: DEFAULT_MODEL, object: 'model', created: 0, owned_by: 'chatgpt-automator' }]
+    });
+    return;
+  }
+
+  if (req.method === 'POST' && url.pathname === '/v1/chat/completions') {
+    const body = await readJsonBody(req);
+    await handleChatCompletions(bridge, body, req, res);
+    return;
+  }
+
+  throw new BridgeError(404, `No route for ${req.method} ${url.pathname}`);
+}
+
+async function handleChatCompletions(bridge, body, req, res) {
+  const prompt = messagesToPrompt(body.messages);
+  const attachments = messagesToAttachments(body.messages);
+  if (body.model !== undefined && body.model !== null && typeof body.model !== 'string') {
+    throw invalidRequest("`model` must be a string", 'model');
+  }
+  const model = body.model || DEFAULT_MODEL;
+  const timeout = await bridge.jobTimeout(body.timeout);
+
+  const job = await bridge.submitJob({
+    prompt: prompt,
+    newChat: !body.conversation_id,
+    conversationId: body.conversation_id,
+    attachments: attachments.length > 0 ? attachments : undefined,
+    model: model !== DEFAULT_MODEL ? model : undefined
+  });
+  const completionId = `chatcmpl-${job.id}`;
+  const created = Math.floor(Date.now() / 1000);
+
+  if (body.stream) {
+    streamCompletion(bridge, job, { completionId, created, model, timeout }, req, res);
+    return;
+  }
+
+  const finished = await bridge.waitForJob(job.id, timeout);
+  if (finished.status !== 'completed') {
+    throw new BridgeError(502, finished.error || `Job ${finished.status}`, finished.errorCode);
+  }
+
+  sendJson(res, 200, {
+    id: completionId,
+    object: 'chat.completion',
+    created: created,
+    model: finished.model || model,
+    choices: [{
+      index: 0,
+      message: { role: 'assistant', content: finished.response },
+      finish_reason: 'stop'
+    }],
+    usage: estimateUsage(prompt, finished.response),
+    conversation_id: finished.conversationId || null
+  });
+}
+
+function streamCompletion(bridge, job, meta, req, res) {
+  let streamed = '';
+  let finished = false;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+
+  const writeEvent = (data) => {
+    res.write(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+  };
+  const writeDelta = (delta, finishReason) => {
+    writeEvent({
+      id: meta.completionId,
+      object: 'chat.completion.chunk',
+      created: meta.created,
+      model: meta.model,
+      choices: [{ index: 0, delta: delta, finish_reason: finishReason || null }]
+    });
+  };
+
+  const onChunk = (chunk) => {
+    if (chunk.jobId !== job.id || !chunk.delta) return;
+    streamed += chunk.delta;
+    writeDelta({ content: chunk.delta });
+  };
+
+  const onJob = (update) => {
+    if (update.id !== job.id) return;
+    if (update.status === 'completed') {
+      // Send whatever the final capture has beyond the streamed chunks
+      const response = update.response || '';
+      if (response.length > streamed.length && response.startsWith(streamed)) {
+        writeDelta({ content: response.slice(streamed.length) });
+      }
+      writeDelta({}, 'stop');
+      finish();
+    } else if (update.status === 'failed' || update.status === 'cancelled') {
+      writeEvent({
+        error: {
+          message: update.error || `Job ${update.status}`,
+          type: 'automator_error',
+          code: update.errorCode || (update.status === 'cancelled' ? 'CANCELLED' : null)
+        }
+      });
+      finish();
+    }
+  };
+
+  const timeoutId = setTimeout(() => {
+    writeEvent({ error: { message: "Timed out waiting for ChatGPT", type: 'timeout', code: 'TIMEOUT' } });
+    bridge.cancelJob(job.id).catch(() => {});
+    finish();
+  }, meta.timeout);
+
+  const finish = () => {
+    if (finished) return;
+    finished = true;
+    clearTimeout(timeoutId);
+    bridge.off('chunk', onChunk);
+    bridge.off('job', onJob);
+    writeEvent('[DONE]');
+    res.end();
+  };
+
+  // Stop generating if the client goes away mid-stream
+  res.on('close', () => {
+    if (finished) return;
+    finished = true;
+    clearTimeout(timeoutId);
+    bridge.off('chunk', onChunk);
+    bridge.off('job', onJob);
+    bridge.cancelJob(job.id).catch(() => {});
+  });
+
+  writeDelta({ role: 'assistant', content: '' });
+  bridge.on('chunk', onChunk);
+  bridge.on('job', onJob);
+
+  // The job may already have finished before we subscribed
+  const current = bridge.getJob(job.id);
+  if (current) {
+    onJob(current);
+  }
+}
+
+/**
+ * Flatten a chat-completions `messages` array into a single prompt
+ *
+ * A lone user message is sent as-is; anything else becomes a labeled
+ * transcript ending with the latest user turn.
+ *
+ * @param {Array<Object>} messages - `{ role, content }` messages
+ * @returns {string} The prompt text
+ */
+function messagesToPrompt(messages) {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    throw invalidRequest("`messages` must be a non-empty array", 'messages');
+  }
+  messages.forEach(validateMessage);
+
+  const turns = messages.map(message => ({
+    role: message.role,
+    text: contentToText(message.content)
+  })).filter(turn => turn.text.trim().length > 0);
+
+  if (turns.length === 0) {
+    throw invalidRequest("`messages` must contain text content", 'messages');
+  }
+
+  if (turns.length === 1 && turns[0].role === 'user') {
+    return turns[0].text;
+  }
+
+  return turns.map(turn => `[${ROLE_LABELS[turn.role] || turn.role}]\n${turn.text}`).join('\n\n');
+}
+
+/**
+ * Collect the images and files in a `messages` array as bridge attachments
+ *
+ * Only inline data (`data:` URLs and base64 `file_data`) can be uploaded;
+ * remote image URLs are rejected because the browser would have to fetch them.
+ *
+ * @param {Array<Object>} messages - `{ role, content }` messages
+ * @returns {Array<Object>} `{ name, mimeType, data }` attachments
+ */
+function messagesToAttachments(messages) {
+  const attachments = [];
+
+  messages.forEach(message => {
+    if (!message || !Array.isArray(message.content)) return;
+
+    message.content.forEach(part => {
+      if (part && part.type === 'image_url') {
+        const url = typeof part.image_url === 'string' ? part.image_url : (part.image_url || {}).url;
+        const match = (url || '').match(/^data:([^;,]+);base64,/);
+        if (!match) {
+          throw invalidRequest("Only data: URLs are supported for `image_url` content", 'messages');
+        }
+        attachments.push({
+          name: `image-${attachments.length + 1}.${match[1].split('/')[1] || 'png'}`,
+          mimeType: match[1],
+          data: url
+        });
+      } else if (part && part.type === 'file' && part.file && part.file.file_data) {
+        attachments.push({
+          name: part.file.filename || `file-${attachments.length + 1}`,
+          mimeType: part.file.mime_type,
+          data: part.file.file_data
+        });
+      }
+    });
+  });
+
+  return attachments;
+}
+
+// Each message must be `{ role, content }`, with string or array content
+// (null is allowed, as OpenAI does for assistant tool calls)
+function validateMessage(message, index) {
+  const param = `messages[${index}]`;
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    throw invalidRequest(`\`${param}\` must be an object with \`role\` and \`content\``, param);
+  }
+  if (typeof message.role !== 'string' || message.role.length === 0) {
+    throw invalidRequest(`\`${param}.role\` must be a string`, `${param}.role`);
+  }
+  const content = message.content;
+  if (content !== null && typeof content !== 'string' && !Array.isArray(content)) {
+    throw invalidRequest(`\`${param}.content\` must be a string or an array of content parts`, `${param}.content`);
+  }
+  if (Array.isArray(content) && !content.every(part => part && typeof part === 'object' && typeof part.type === 'string')) {
+    throw invalidRequest(`Every part of \`${param}.content\` must be an object with a \`type\``, `${param}.content`);
+  }
+}
+
+function invalidRequest(message, param) {
+  const error = new BridgeError(400, message);
+  error.param = param;
+  return error;
+}
+
+// Client errors are invalid_request_error, as OpenAI reports them
+function sendOpenAIError(res, error) {
+  const status = error.status || 500;
+  sendJson(res, status, {
+    error: {
+      message: error.message,
+      type: status >= 400 && status < 500 ? 'invalid_request_error' : 'automator_error',
+      param: error.param || null,
+      code: error.code || null
+    }
+  });
+}
+
+function contentToText(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (Array.isArray(content)) {
+    return content
+      .filter(part => part && part.type === 'text')
+      .map(part => part.text)
+      .join('\n');
+  }
+  return '';
+}
+
+// ChatGPT's UI doesn't report token counts; ~4 characters per token
+function estimateUsage(prompt, response) {
+  const promptTokens = Math.ceil(prompt.length / 4);
+  const completionTokens = Math.ceil((response || '').length / 4);
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens
+  };
+}
+
+module.exports = { handleOpenAIRequest, messagesToPrompt, messagesToAttachments };
@@ -0,0 +1,462 @@
+/**
+ * Local HTTP/WebSocket bridge for the ChatGPT Automator extension
+ *
+ * The extension's background worker connects to `/extension` over a
+ * WebSocket and relays jobs into its queue. Scripts outside the browser use
+ * the HTTP API or the `/stream` WebSocket:
+ *
+ *   POST   /prompt      Queue a prompt ({ prompt, newChat, conversationId, tabId, retry, attachments, model,
+ *                        temporaryChat, tools, customGpt, completion, wait, timeout })
+ *   GET    /jobs        List known jobs
+ *   GET    /jobs/:id    Read a job's status and response
+ *   DELETE /jobs/:id    Cancel a job
+ *   GET    /status      Whether the extension is connected
+ *   WS     /stream      Job updates and response chunks as they happen
+ *   POST   /v1/chat/completions   OpenAI-compatible facade (see openai-compat.js)
+ *
+ * Waiting requests time out after their `timeout` (in seconds), or else the
+ * request timeout of the extension's active settings profile.
+ *
+ * Every request needs the bridge token, as `Authorization: Bearer <token>`
+ * or `?token=<token>`. Set BRIDGE_TOKEN to choose it; otherwise a random one
+ * is generated at startup and printed. WebSocket connections from a browser
+ * are only accepted from the extension's own origin.
+ *
+ * Usage: node bridge/server.js  (BRIDGE_PORT, BRIDGE_HOST, BRIDGE_TOKEN, BRIDGE_EXTENSION_ID)
+ *
+ * @module bridge/server
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { acceptWebSocket } = require('./websocket');
+const { BridgeError, sendJson, sendError, readJsonBody } = require('./http');
+const { handleOpenAIRequest } = require('./openai-compat');
+
+const DEFAULT_PORT = 8765;
+const DEFAULT_HOST = '127.0.0.1';
+const EXTENSION_REQUEST_TIMEOUT = 30000;
+const DEFAULT_JOB_TIMEOUT = 300000;
+const MAX_TRACKED_JOBS = 500;
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Relays jobs between bridge clients and the connected extension
+ *
+ * Emits `job` (job), `chunk` ({ jobId, delta, text }), `connected` and
+ * `disconnected`.
+ *
+ * @class AutomatorBridge
+ * @extends EventEmitter
+ */
+class AutomatorBridge extends EventEmitter {
+  /**
+   * @constructor
+   * @param {Object} options - Optional configuration
+   * @param {number} options.requestTimeout - How long to wait for the extension to acknowledge a request (ms)
+   */
+  constructor(options = {}) {
+    super();
+    this.requestTimeout = options.requestTimeout || EXTENSION_REQUEST_TIMEOUT;
+    this.extension = null;
+    this.jobs = new Map();
+    this.pendingRequests = new Map();
+  }
+
+  /**
+   * Use a WebSocket connection as the link to the extension
+   *
+   * @param {WebSocketConnection} connection - The extension's connection
+   */
+  attachExtension(connection) {
+    if (this.extension) {
+      this.extension.close(1012);
+    }
+    this.extension = connection;
+
+    connection.on('json', (message) => this._handleExtensionMessage(message));
+    connection.on('close', () => {
+      if (this.extension !== connection) return;
+      this.extension = null;
+      this.pendingRequests.forEach(pending => pending.reject(new Error("Extension disconnected")));
+      this.pendingRequests.clear();
+      this.emit('disconnected');
+    });
+
+    this.emit('connected');
+  }
+
+  /**
+   * @returns {boolean} True if the extension is connected
+   */
+  isConnected() {
+    return this.extension !== null;
+  }
+
+  /**
+   * Queue a prompt in the extension
+   *
+   * @param {Object} options - Job options
+   * @param {string} options.prompt - The prompt text
+   * @param {boolean} options.newChat - Start a new conversation
+   * @param {string} options.conversationId - Continue this conversation
+   * @param {number} options.tabId - Run in this tab
+   * @param {Object|boolean} options.retry - Retry policy for ChatGPT error states
+   * @param {Array<Object>} options.attachments - Files to upload, as `{ name, mimeType, data }` with base64 data
+   * @param {string} options.model - Model to pick in ChatGPT's model picker
+   * @param {boolean} options.temporaryChat - Run in a temporary chat
+   * @param {Array<string>} options.tools - Composer tools to turn on
+   * @param {string} options.customGpt - Custom GPT URL or ID to start the chat with
+   * @param {Object} options.completion - How to decide the answer is finished (`strategy`, `settleTime`, ...)
+   * @returns {Promise<Object>} The queued job
+   */
+  async submitJob(options) {
+    if (!options.prompt || typeof options.prompt !== 'string' || options.prompt.trim().length === 0) {
+      throw new BridgeError(400, "Prompt must be a non-empty string");
+    }
+
+    const response = await this._request('enqueue', {
+      job: {
+        id: crypto.randomUUID(),
+        prompt: options.prompt,
+        newChat: options.newChat,
+        conversationId: options.conversationId,
+        tabId: options.tabId,
+        retry: options.retry,
+        attachments: options.attachments,
+        model: options.model,
+        temporaryChat: options.temporaryChat,
+        tools: options.tools,
+        customGpt: options.customGpt,
+        completion: options.completion
+      }
+    });
+    this._trackJob(response.job);
+    return response.job;
+  }
+
+  /**
+   * Cancel a job in the extension
+   *
+   * @param {string} jobId - The job to cancel
+   * @returns {Promise<Object>} The cancelled job
+   */
+  async cancelJob(jobId) {
+    const response = await this._request('cancel', { jobId: jobId });
+    this._trackJob(response.job);
+    return response.job;
+  }
+
+  /**
+   * @param {string} jobId - The job ID
+   * @returns {Object|null} The last known state of the job
+   */
+  getJob(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  /**
+   * @returns {Array<Object>} All tracked jobs, oldest first
+   */
+  listJobs() {
+    return Array.from(this.jobs.values());
+  }
+
+  /**
+   * Read the settings in effect in the extension
+   *
+   * @returns {Promise<Object>} The active profile's values over the defaults, as returned by the API's `getSettings()`
+   */
+  async getSettings() {
+    const response = await this._request('settings', {});
+    return response.settings;
+  }
+
+  /**
+   * How long to wait for a job to finish
+   *
+   * @param {number} seconds - The timeout the client asked for, if any
+   * @returns {Promise<number>} `seconds` in ms, or else the extension's `requestTimeout` setting
+   * @throws {BridgeError} 400 if `seconds` is not a positive number
+   */
+  async jobTimeout(seconds) {
+    if (seconds !== undefined && seconds !== null) {
+      if (typeof seconds !== 'number' || !(seconds > 0)) {
+        throw new BridgeError(400, "`timeout` must be a positive number of seconds");
+      }
+      return seconds * 1000;
+    }
+    try {
+      return (await this.getSettings()).requestTimeout || DEFAULT_JOB_TIMEOUT;
+    } catch (error) {
+      return DEFAULT_JOB_TIMEOUT;
+    }
+  }
+
+  /**
+   * Wait until a job is completed, failed or cancelled
+   *
+   * @param {string} jobId - The job ID
+   * @param {number} timeout - Maximum time to wait (ms)
+   * @returns {Promise<Object>} The finished job
+   */
+  waitForJob(jobId, timeout) {
+    return new Promise((resolve, reject) => {
+      const current = this.getJob(jobId);
+      if (current && isFinished(current)) {
+        resolve(current);
+        return;
+      }
+
+      const onJob = (job) => {
+        if (job.id === jobId && isFinished(job)) {
+          clearTimeout(timeoutId);
+          this.off('job', onJob);
+          resolve(job);
+        }
+      };
+      const timeoutId = setTimeout(() => {
+        this.off('job', onJob);
+        reject(new BridgeError(504, `Job did not finish within ${Math.round(timeout / 1000)} seconds`));
+      }, timeout);
+
+      this.on('job', onJob);
+    });
+  }
+
+  _request(type, payload) {
+    if (!this.extension) {
+      return Promise.reject(new BridgeError(503, "Extension not connected to the bridge"));
+    }
+
+    const ref = crypto.randomUUID();
+    return new Promise((resolve, reject) => {
+      const timeoutId = setTimeout(() => {
+        this.pendingRequests.delete(ref);
+        reject(new BridgeError(504, "Extension did not respond"));
+      }, this.requestTimeout);
+
+      this.pendingRequests.set(ref, {
+        resolve: (value) => { clearTimeout(timeoutId); resolve(value); },
+        reject: (error) => { clearTimeout(timeoutId); reject(error); }
+      });
+      this.extension.send(Object.assign({ type: type, ref: ref }, payload));
+    });
+  }
+
+  _handleExtensionMessage(message) {
+    switch (message.type) {
+      case 'result': {
+        const pending = this.pendingRequests.get(message.ref);
+        if (!pending) return;
+        this.pendingRequests.delete(message.ref);
+        if (message.success) {
+          pending.resolve(message);
+        } else {
+          pending.reject(new BridgeError(502, message.error || "Extension request failed", message.code));
+        }
+        break;
+      }
+
+      case 'job':
+        this._trackJob(message.job);
+        this.emit('job', message.job);
+        break;
+
+      case 'chunk':
+        this.emit('chunk', { jobId: message.requestId, delta: message.delta, text: message.text });
+        break;
+    }
+  }
+
+  _trackJob(job) {
+    if (!job || !job.id) return;
+    this.jobs.delete(job.id);
+    this.jobs.set(job.id, job);
+
+    if (this.jobs.size > MAX_TRACKED_JOBS) {
+      this.jobs.delete(this.jobs.keys().next().value);
+    }
+  }
+}
+
+function isFinished(job) {
+  return FINISHED_STATUSES.includes(job.status);
+}
+
+function isAuthorized(req, url, token) {
+  const header = req.headers.authorization || '';
+  return header === `Bearer ${token}` || url.searchParams.get('token') === token;
+}
+
+// Browsers always send an Origin, CLI clients don't. Of the browser origins
+// only the extension itself (any extension unless an ID is given) may connect,
+// so web pages can't queue prompts, read the stream or take the extension's place.
+function isAllowedOrigin(req, extensionId) {
+  const origin = req.headers.origin;
+  if (!origin) return true;
+  if (extensionId) {
+    return origin === `chrome-extension://${extensionId}`;
+  }
+  return /^chrome-extension:\/\/[a-p]{32}$/.test(origin);
+}
+
+async function handleHttpRequest(bridge, req, res, url) {
+  const jobMatch = url.pathname.match(/^\/jobs\/([\w-]+)$/);
+
+  if (url.pathname.startsWith('/v1/')) {
+    await handleOpenAIRequest(bridge, req, res, url);
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/status') {
+    sendJson(res, 200, { connected: bridge.isConnected() });
+    return;
+  }
+
+  if (req.method === 'POST' && url.pathname === '/prompt') {
+    const body = await readJsonBody(req);
+    const timeout = body.wait ? await bridge.jobTimeout(body.timeout) : null;
+    const job = await bridge.submitJob(body);
+
+    if (body.wait) {
+      const finished = await bridge.waitForJob(job.id, timeout);
+      sendJson(res, 200, finished);
+    } else {
+      sendJson(res, 202, job);
+    }
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/jobs') {
+    sendJson(res, 200, { jobs: bridge.listJobs() });
+    return;
+  }
+
+  if (jobMatch && req.method === 'GET') {
+    const job = bridge.getJob(jobMatch[1]);
+    if (!job) {
+      throw new BridgeError(404, `Job ${jobMatch[1]} not found`);
+    }
+    sendJson(res, 200, job);
+    return;
+  }
+
+  if (jobMatch && req.method === 'DELETE') {
+    sendJson(res, 200, await bridge.cancelJob(jobMatch[1]));
+    return;
+  }
+
+  throw new BridgeError(404, `No route for ${req.method} ${url.pathname}`);
+}
+
+// Clients on /stream receive every job update and chunk, and can queue
+// prompts or cancel jobs with { type: 'prompt' | 'cancel', ref, ... }
+function attachStreamClient(bridge, connection) {
+  const onJob = (job) => connection.send({ type: 'job', job: job });
+  const onChunk = (chunk) => connection.send(Object.assign({ type: 'chunk' }, chunk));
+  bridge.on('job', onJob);
+  bridge.on('chunk', onChunk);
+
+  connection.on('json', async (message) => {
+    try {
+      if (message.type === 'prompt') {
+        connection.send({ type: 'accepted', ref: message.ref, job: await bridge.submitJob(message) });
+      } else if (message.type === 'cancel') {
+        connection.send({ type: 'cancelled', ref: message.ref, job: await bridge.cancelJob(message.jobId) });
+      }
+    } catch (error) {
+      connection.send({ type: 'error', ref: message.ref, error: error.message });
+    }
+  });
+
+  connection.on('close', () => {
+    bridge.off('job', onJob);
+    bridge.off('chunk', onChunk);
+  });
+}
+
+/**
+ * Create the bridge HTTP server (not yet listening)
+ *
+ * @param {Object} options - Optional configuration
+ * @param {string} options.token - The bearer token (or `?token=`) every request must carry (default: a random one)
+ * @param {string} options.extensionId - Only accept WebSocket connections from this extension's origin
+ * @param {number} options.maxPayloadSize - Largest WebSocket message accepted, in bytes (default: 16 MB)
+ * @param {number} options.requestTimeout - See `AutomatorBridge`
+ * @returns {{ server: http.Server, bridge: AutomatorBridge, token: string }}
+ */
+function createBridgeServer(options = {}) {
+  const bridge = new AutomatorBridge(options);
+  const token = options.token || crypto.randomBytes(24).toString('base64url');
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (!isAllowedOrigin(req, options.extensionId)) {
+      sendError(res, new BridgeError(403, "Requests from web pages are not allowed"));
+      return;
+    }
+    if (!isAuthorized(req, url, token)) {
+      sendError(res, new BridgeError(401, "Missing or invalid bridge token"));
+      return;
+    }
+
+    handleHttpRequest(bridge, req, res, url).catch((error) => {
+      if (!res.headersSent) {
+        sendError(res, error);
+      } else {
+        res.end();
+      }
+    });
+  });
+
+  server.on('upgrade', (req, socket) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (!isAllowedOrigin(req, options.extensionId)) {
+      socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+      return;
+    }
+    if (!isAuthorized(req, url, token)) {
+      socket.end('HTTP/1.1 401 Unauthorized\r\n\r\n');
+      return;
+    }
+    if (url.pathname !== '/extension' && url.pathname !== '/stream') {
+      socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+      return;
+    }
+
+    const connection = acceptWebSocket(req, socket, { maxPayloadSize: options.maxPayloadSize });
+    if (!connection) return;
+
+    if (url.pathname === '/extension') {
+      bridge.attachExtension(connection);
+    } else {
+      attachStreamClient(bridge, connection);
+    }
+  });
+
+  return { server, bridge, token };
+}
+
+if (require.main === module) {
+  const port = Number(process.env.BRIDGE_PORT) || DEFAULT_PORT;
+  const host = process.env.BRIDGE_HOST || DEFAULT_HOST;
+  const { server, bridge, token } = createBridgeServer({
+    token: process.env.BRIDGE_TOKEN,
+    extensionId: process.env.BRIDGE_EXTENSION_ID
+  });
+
+  bridge.on('connected', () => console.log("Extension connected"));
+  bridge.on('disconnected', () => console.log("Extension disconnected"));
+
+  server.listen(port, host, () => {
+    console.log(`ChatGPT Automator bridge listening on http://${host}:${port}`);
+    if (!process.env.BRIDGE_TOKEN) {
+      console.log(`Bridge token: ${token}`);
+      console.log("Send it as `Authorization: Bearer <token>`, and give it to the extension in its bridge URL (?token=<token>).");
+    }
+  });
+}
+
+module.exports = { AutomatorBridge, BridgeError, createBridgeServer };
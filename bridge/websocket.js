@@ -0,0 +1,237 @@
+/**
+ * Minimal WebSocket (RFC 6455) server-side connection
+ *
+ * Just enough of the protocol for the bridge: text frames, ping/pong and
+ * close, with no dependencies beyond Node's standard library.
+ *
+ * @module bridge/websocket
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_PAYLOAD_SIZE = 16 * 1024 * 1024;
+
+const OPCODES = {
+  CONTINUATION: 0x0,
+  TEXT: 0x1,
+  BINARY: 0x2,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xa
+};
+
+/**
+ * A single accepted WebSocket connection
+ *
+ * Emits `message` (string), `json` (parsed object, when the text is a JSON object)
+ * and `close`.
+ *
+ * @class WebSocketConnection
+ * @extends EventEmitter
+ */
+class WebSocketConnection extends EventEmitter {
+  /**
+   * @constructor
+   * @param {net.Socket} socket - The upgraded socket
+   * @param {Object} options - Optional configuration
+   * @param {number} options.maxPayloadSize - Largest message accepted, in bytes (default: 16 MB)
+   */
+  constructor(socket, options = {}) {
+    super();
+    this.socket = socket;
+    this.maxPayloadSize = options.maxPayloadSize || MAX_PAYLOAD_SIZE;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = [];
+    this.fragmentsSize = 0;
+    this.isOpen = true;
+
+    socket.on('data', (data) => this._onData(data));
+    socket.on('close', () => this._onClose());
+    socket.on('error', () => this._onClose());
+  }
+
+  /**
+   * Send a text frame; objects are serialized as JSON
+   *
+   * @param {string|Object} data - The message to send
+   */
+  send(data) {
+    if (!this.isOpen) return;
+    const payload = Buffer.from(typeof data === 'string' ? data : JSON.stringify(data));
+    this.socket.write(encodeFrame(OPCODES.TEXT, payload));
+  }
+
+  /**
+   * Close the connection
+   *
+   * @param {number} code - Close status code (default: 1000)
+   */
+  close(code = 1000) {
+    if (!this.isOpen) return;
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code, 0);
+    this.socket.write(encodeFrame(OPCODES.CLOSE, payload));
+    this.socket.end();
+    this._onClose();
+  }
+
+  _onData(data) {
+    if (!this.isOpen) return;
+    this.buffer = Buffer.concat([this.buffer, data]);
+
+    let frame;
+    while (this.isOpen && (frame = decodeFrame(this.buffer, this.maxPayloadSize)) !== null) {
+      // Refused from the header alone, before the payload is buffered
+      if (frame.tooLarge) {
+        this.close(1009);
+        return;
+      }
+      this.buffer = this.buffer.subarray(frame.length);
+      this._onFrame(frame);
+    }
+  }
+
+  _onFrame(frame) {
+    switch (frame.opcode) {
+      case OPCODES.TEXT:
+      case OPCODES.BINARY:
+      case OPCODES.CONTINUATION:
+        this.fragmentsSize += frame.payload.length;
+        if (this.fragmentsSize > this.maxPayloadSize) {
+          this.close(1009);
+          return;
+        }
+        this.fragments.push(frame.payload);
+        if (frame.fin) {
+          const text = Buffer.concat(this.fragments).toString('utf8');
+          this.fragments = [];
+          this.fragmentsSize = 0;
+          this._emitMessage(text);
+        }
+        break;
+
+      case OPCODES.PING:
+        this.socket.write(encodeFrame(OPCODES.PONG, frame.payload));
+        break;
+
+      case OPCODES.CLOSE:
+        this.close();
+        break;
+    }
+  }
+
+  _emitMessage(text) {
+    this.emit('message', text);
+
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      return;
+    }
+    // Every listener reads fields of the message: `null`, numbers and
+    // arrays are valid JSON but not messages
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+      this.emit('json', parsed);
+    }
+  }
+
+  _onClose() {
+    if (!this.isOpen) return;
+    this.isOpen = false;
+    this.socket.destroy();
+    this.emit('close');
+  }
+}
+
+/**
+ * Complete the WebSocket handshake for an HTTP `upgrade` request
+ *
+ * @param {http.IncomingMessage} request - The upgrade request
+ * @param {net.Socket} socket - The socket to upgrade
+ * @param {Object} options - Optional configuration, see `WebSocketConnection`
+ * @returns {WebSocketConnection|null} The connection, or null if the request
+ *   was not a valid WebSocket handshake (the socket is then closed)
+ */
+function acceptWebSocket(request, socket, options) {
+  const key = request.headers['sec-websocket-key'];
+  if (!key || (request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return null;
+  }
+
+  const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '',
+    ''
+  ].join('\r\n'));
+
+  return new WebSocketConnection(socket, options);
+}
+
+function encodeFrame(opcode, payload) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.alloc(2);
+    header[1] = payload.length;
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, payload]);
+}
+
+// Returns null until the buffer holds a complete frame, or { tooLarge: true }
+// as soon as the header announces a payload over `maxPayloadSize`
+function decodeFrame(buffer, maxPayloadSize) {
+  if (buffer.length < 2) return null;
+
+  const fin = (buffer[0] & 0x80) !== 0;
+  const opcode = buffer[0] & 0x0f;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let payloadLength = buffer[1] & 0x7f;
+  let offset = 2;
+
+  if (payloadLength === 126) {
+    if (buffer.length < 4) return null;
+    payloadLength = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (payloadLength === 127) {
+    if (buffer.length < 10) return null;
+    payloadLength = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+
+  if (payloadLength > maxPayloadSize) {
+    return { tooLarge: true };
+  }
+
+  const maskLength = masked ? 4 : 0;
+  if (buffer.length < offset + maskLength + payloadLength) return null;
+
+  const mask = masked ? buffer.subarray(offset, offset + 4) : null;
+  offset += maskLength;
+
+  const payload = Buffer.from(buffer.subarray(offset, offset + payloadLength));
+  if (mask) {
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= mask[i % 4];
+    }
+  }
+
+  return { fin, opcode, payload, length: offset + payloadLength };
+}
+
+module.exports = { acceptWebSocket, WebSocketConnection };
@@ -9,6 +9,361 @@
  * @version 1.0.0
  */
 
+/**
+ * Error codes carried by `ChatGPTError.code`
+ * 
+ * @readonly
+ * @enum {string}
+ */
+const ERROR_CODES = Object.freeze({
+  /** `initialize()` was not called */
+  NOT_INITIALIZED: 'NOT_INITIALIZED',
+  /** The prompt is empty or not a string */
+  INVALID_PROMPT: 'INVALID_PROMPT',
+  /** An attachment is missing its name or data, or the data can't be read */
+  INVALID_ATTACHMENT: 'INVALID_ATTACHMENT',
+  /** `model`, `tools`, `temporaryChat` or `customGpt` is invalid or conflicts with `conversationId` */
+  INVALID_OPTIONS: 'INVALID_OPTIONS',
+  /** No ChatGPT tab is open, or the requested tab doesn't exist */
+  TAB_NOT_FOUND: 'TAB_NOT_FOUND',
+  /** The tab is working on another prompt and can't be navigated away */
+  TAB_BUSY: 'TAB_BUSY',
+  /** The prompt could not be delivered to the ChatGPT page */
+  SEND_FAILED: 'SEND_FAILED',
+  /** The prompt box (#prompt-textarea) was not found on the page */
+  TEXTAREA_NOT_FOUND: 'TEXTAREA_NOT_FOUND',
+  /** The prompt text could not be put into the prompt box */
+  INJECTION_FAILED: 'INJECTION_FAILED',
+  /** ChatGPT rejected an attachment or did not finish uploading it */
+  ATTACHMENT_FAILED: 'ATTACHMENT_FAILED',
+  /** The requested model is not in ChatGPT's model picker */
+  MODEL_NOT_AVAILABLE: 'MODEL_NOT_AVAILABLE',
+  /** A requested composer tool (e.g. web search) could not be turned on */
+  TOOL_NOT_AVAILABLE: 'TOOL_NOT_AVAILABLE',
+  /** No send button, and pressing Enter did not submit the prompt */
+  SEND_BUTTON_NOT_FOUND: 'SEND_BUTTON_NOT_FOUND',
+  /** ChatGPT showed an error while generating the response */
+  GENERATION_ERROR: 'GENERATION_ERROR',
+  /** ChatGPT showed a network or connection error */
+  NETWORK_ERROR: 'NETWORK_ERROR',
+  /** ChatGPT asked to slow down (too many requests); retried with backoff */
+  RATE_LIMITED: 'RATE_LIMITED',
+  /** The usage cap for the current plan or model was hit; never retried */
+  USAGE_CAP: 'USAGE_CAP',
+  /** No response within the timeout */
+  TIMEOUT: 'TIMEOUT',
+  /** `sendPromptForJSON()` got no JSON matching the schema, even after asking for fixes */
+  INVALID_JSON: 'INVALID_JSON',
+  /** The job was cancelled */
+  CANCELLED: 'CANCELLED',
+  /** The caller's AbortSignal fired (the error's `name` is `'AbortError'`) */
+  ABORTED: 'ABORTED',
+  /** The ChatGPT tab was closed while the job was queued or running */
+  TAB_CLOSED: 'TAB_CLOSED',
+  /** A tab-pool tab stopped responding or was logged out, and retrying on a fresh tab didn't help */
+  TAB_UNHEALTHY: 'TAB_UNHEALTHY',
+  /** The job was lost because the tab reloaded or the browser restarted */
+  INTERRUPTED: 'INTERRUPTED',
+  /** The session was closed */
+  SESSION_CLOSED: 'SESSION_CLOSED',
+  /** The extension's background worker could not be reached or failed */
+  EXTENSION_ERROR: 'EXTENSION_ERROR'
+});
+
+/**
+ * Error thrown by `ChatGPTAPI` methods
+ * 
+ * @class ChatGPTError
+ * @extends Error
+ * @property {string} code - One of `ERROR_CODES`
+ * 
+ * @example
+ * try {
+ *   await api.sendPrompt("Hello");
+ * } catch (error) {
+ *   if (error.code === ERROR_CODES.RATE_LIMITED) {
+ *     // Try again later
+ *   }
+ * }
+ */
+class ChatGPTError extends Error {
+  /**
+   * @constructor
+   * @param {string} code - One of `ERROR_CODES`
+   * @param {string} message - Human-readable description
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'ChatGPTError';
+    this.code = code;
+  }
+}
+
+/**
+ * Error thrown when a request is aborted through its AbortSignal
+ * 
+ * Has `name === 'AbortError'` like aborted `fetch()` calls, and
+ * `code === ERROR_CODES.ABORTED`.
+ * 
+ * @class ChatGPTAbortError
+ * @extends ChatGPTError
+ */
+class ChatGPTAbortError extends ChatGPTError {
+  /**
+   * @constructor
+   * @param {string} message - Human-readable description
+   */
+  constructor(message = "The request was aborted") {
+    super(ERROR_CODES.ABORTED, message);
+    this.name = 'AbortError';
+  }
+}
+
+// Added to JSON prompts and their follow-ups so the value is easy to find
+const JSON_REPLY_INSTRUCTION = "Reply with only the JSON, in a single ```json code block.";
+
+/**
+ * Pull a JSON value out of a ChatGPT response
+ * 
+ * ChatGPT tends to wrap JSON in code fences or prose. Tries, in order: code
+ * blocks (`json` ones first), the whole text, and then each balanced
+ * `{...}` or `[...]` in the text until one parses.
+ * 
+ * @param {string|Object} response - Response text, or a structured result
+ *   (`{ text, markdown, codeBlocks }`) from `sendPrompt()`
+ * @returns {*} The parsed value, or `undefined` if the response holds no JSON
+ * 
+ * @example
+ * extractJSON('Sure! Here it is:\n```json\n{"ok": true}\n```'); // { ok: true }
+ * extractJSON('The list is [1, 2, 3].'); // [1, 2, 3]
+ */
+function extractJSON(response) {
+  const structured = response && typeof response === 'object';
+  const text = structured ? (response.markdown || response.text || '') : String(response || '');
+
+  const blocks = structured && Array.isArray(response.codeBlocks) ? response.codeBlocks.slice() : [];
+  for (const match of text.matchAll(/```([\w-]*)[^\n]*\n([\s\S]*?)```/g)) {
+    blocks.push({ language: match[1], code: match[2] });
+  }
+  blocks.sort((a, b) => (b.language === 'json') - (a.language === 'json'));
+
+  const candidates = blocks.map(block => block.code).concat([text]);
+  for (const candidate of candidates) {
+    const value = parseJSON(candidate);
+    if (value !== undefined) {
+      return value;
+    }
+  }
+
+  // JSON inside prose: try every {...} / [...] span, first to last
+  for (let start = 0; start < text.length; start++) {
+    if (text[start] !== '{' && text[start] !== '[') continue;
+    const end = findClosingBracket(text, start);
+    if (end !== -1) {
+      const value = parseJSON(text.slice(start, end + 1));
+      if (value !== undefined) {
+        return value;
+      }
+    }
+  }
+  return undefined;
+}
+
+function parseJSON(text) {
+  try {
+    return JSON.parse(text.trim());
+  } catch (e) {
+    return undefined;
+  }
+}
+
+// Index of the bracket closing the one at `start`, skipping brackets inside
+// strings; -1 if it is never closed
+function findClosingBracket(text, start) {
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') {
+        i++;
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      depth++;
+    } else if (char === '}' || char === ']') {
+      depth--;
+      if (depth === 0) {
+        return i;
+      }
+    }
+  }
+  return -1;
+}
+
+/**
+ * Check a value against a JSON Schema
+ * 
+ * Supports the keywords structured output is usually described with:
+ * `type`, `enum`, `const`, `properties`, `required`, `additionalProperties`,
+ * `items`, `minItems`, `maxItems`, `uniqueItems`, `minLength`, `maxLength`,
+ * `pattern`, `minimum`, `maximum`, `exclusiveMinimum`, `exclusiveMaximum`,
+ * `allOf`, `anyOf` and `oneOf`. Other keywords are ignored.
+ * 
+ * @param {*} value - The value to check
+ * @param {Object|boolean} schema - The JSON Schema
+ * @param {string} path - Where `value` is, used in the messages (default: `'$'`)
+ * @returns {Array<string>} One message per problem, such as `"$.items[0].price must be a number"`;
+ *   empty if the value is valid
+ * 
+ * @example
+ * validateJSONSchema({ name: "Ada" }, {
+ *   type: "object",
+ *   required: ["name", "born"],
+ *   properties: { name: { type: "string" }, born: { type: "integer" } }
+ * });
+ * // ["$.born is required"]
+ */
+function validateJSONSchema(value, schema, path = '$') {
+  if (schema === undefined || schema === null || schema === true) {
+    return [];
+  }
+  if (schema === false) {
+    return [`${path} is not allowed`];
+  }
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => isJSONType(value, type))) {
+      // The other keywords make no sense for a value of the wrong type
+      return [`${path} must be ${types.map(describeJSONType).join(' or ')}`];
+    }
+  }
+
+  const errors = [];
+  if (Array.isArray(schema.enum) && !schema.enum.some(option => jsonEqual(option, value))) {
+    errors.push(`${path} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+  if ('const' in schema && !jsonEqual(schema.const, value)) {
+    errors.push(`${path} must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path} must be at least ${schema.minLength} characters long`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} must be at most ${schema.maxLength} characters long`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push(`${path} must match the pattern ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} must be at most ${schema.maximum}`);
+    }
+    if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+      errors.push(`${path} must be greater than ${schema.exclusiveMinimum}`);
+    }
+    if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+      errors.push(`${path} must be less than ${schema.exclusiveMaximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} must have at most ${schema.maxItems} item(s)`);
+    }
+    if (schema.uniqueItems && value.some((item, index) => value.findIndex(other => jsonEqual(other, item)) !== index)) {
+      errors.push(`${path} must not contain duplicate items`);
+    }
+    if (schema.items !== undefined && !Array.isArray(schema.items)) {
+      value.forEach((item, index) => {
+        errors.push(...validateJSONSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (isJSONType(value, 'object')) {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) {
+        errors.push(`${jsonPath(path, key)} is required`);
+      }
+    });
+    Object.keys(value).forEach(key => {
+      if (key in properties) {
+        errors.push(...validateJSONSchema(value[key], properties[key], jsonPath(path, key)));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${jsonPath(path, key)} is not allowed`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validateJSONSchema(value[key], schema.additionalProperties, jsonPath(path, key)));
+      }
+    });
+  }
+
+  (schema.allOf || []).forEach(subschema => {
+    errors.push(...validateJSONSchema(value, subschema, path));
+  });
+  if (Array.isArray(schema.anyOf)) {
+    const results = schema.anyOf.map(subschema => validateJSONSchema(value, subschema, path));
+    if (!results.some(result => result.length === 0)) {
+      errors.push(`${path} must match one of the allowed shapes (${results.map(result => result[0]).join('; or ')})`);
+    }
+  }
+  if (Array.isArray(schema.oneOf)) {
+    const matches = schema.oneOf.filter(subschema => validateJSONSchema(value, subschema, path).length === 0).length;
+    if (matches !== 1) {
+      errors.push(`${path} must match exactly one of the allowed shapes (matches ${matches})`);
+    }
+  }
+  return errors;
+}
+
+function isJSONType(value, type) {
+  switch (type) {
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'null': return value === null;
+    default: return true;
+  }
+}
+
+function describeJSONType(type) {
+  return { object: 'an object', array: 'an array', integer: 'an integer', null: 'null' }[type] || `a ${type}`;
+}
+
+function jsonEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object' || Array.isArray(a) !== Array.isArray(b)) {
+    return false;
+  }
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => key in b && jsonEqual(a[key], b[key]));
+}
+
+// `$.name`, or `$["odd key"]` for keys that aren't identifiers
+function jsonPath(path, key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
 /**
  * ChatGPT API Class
  * 
@@ -24,7 +379,8 @@ class ChatGPTAPI {
    */
   constructor() {
     this.isInitialized = false;
-    this.responseListeners = new Set();
+    this.pendingRequests = new Map();
+    this.jobWatchers = new Set();
   }
 
   /**
@@ -45,25 +401,75 @@ class ChatGPTAPI {
     if (!this.messageListener) {
       this.messageListener = (message, sender, sendResponse) => {
         if (message.action === "CAPTURED_RESPONSE") {
-          this._handleResponse(message.text);
+          this._handleResponse(message, sender);
+        } else if (message.action === "RESPONSE_CHUNK") {
+          this._handleChunk(message.delta, message.text, message.requestId);
+          this.jobWatchers.forEach(watcher => watcher.onChunk(message.requestId, message.delta, message.text));
+        } else if (message.action === "JOB_UPDATED") {
+          this._handleJobUpdate(message.job);
+          this.jobWatchers.forEach(watcher => watcher.onUpdate(message.job));
         }
         return true;
       };
       chrome.runtime.onMessage.addListener(this.messageListener);
     }
 
+    // Keep the cached settings current when the options page changes them
+    if (!this.storageListener) {
+      this.storageListener = (changes, areaName) => {
+        if (areaName === 'sync' && changes.settings) {
+          this._loadSettings();
+        }
+      };
+      chrome.storage.onChanged.addListener(this.storageListener);
+    }
+    this._loadSettings();
+
     this.isInitialized = true;
   }
 
   /**
    * Send a prompt to ChatGPT and wait for the response
    * 
+   * The prompt is queued in the background worker and runs once every
+   * earlier job for the same tab has finished.
+   * 
    * @param {string} prompt - The prompt text to send to ChatGPT
    * @param {Object} options - Optional configuration
-   * @param {number} options.timeout - Maximum time to wait for response in seconds (default: 300)
+   * @param {number} options.timeout - Maximum time to wait for response in seconds (default: the
+   *   `requestTimeout` setting, 300 unless changed on the options page; see `getSettings()`)
    * @param {Function} options.onProgress - Optional callback for progress updates
-   * @returns {Promise<string>} The response text from ChatGPT
-   * @throws {Error} If ChatGPT tab is not found, prompt fails, or timeout occurs
+   * @param {Function} options.onChunk - Optional callback `(delta, text)` called as the response is written
+   * @param {boolean} options.structured - Resolve with `{ text, markdown, html, codeBlocks, parts, citations,
+   *   candidates, conversationId, conversationUrl, tabId, model }` instead of the text. `parts` lists every
+   *   piece of the answer in page order, each labeled with its `type` (`'reasoning'`, `'tool'`, `'text'`,
+   *   `'candidate'` or `'image'`) and `label`; `candidates` holds both answers when ChatGPT shows two to
+   *   choose from (`text` is then the first).
+   * @param {number} options.tabId - Tab to run the prompt in (default: first ChatGPT tab, or an idle
+   *   pool tab when the tab pool is on; see `configureTabPool()`)
+   * @param {boolean} options.newChat - Start a new conversation instead of continuing the open one
+   *   (default: the `newChat` setting, false unless changed)
+   * @param {string} options.conversationId - Continue this conversation (the `<id>` in `/c/<id>`)
+   * @param {Object|boolean} options.retry - Retry policy for ChatGPT error states, or `false` to disable
+   *   (default: `{ attempts: 2, delay: 2000, factor: 2, maxDelay: 60000, strategy: 'regenerate' }`,
+   *   with `attempts` from the `retryAttempts` setting).
+   *   `strategy` is `'regenerate'` (click ChatGPT's Regenerate button when shown) or `'resubmit'`.
+   * @param {AbortSignal} options.signal - Cancels the request and stops ChatGPT generating when aborted
+   * @param {Array<Object>} options.attachments - Files to upload with the prompt, as `{ name, mimeType, data }`
+   *   where `data` is a Blob, an ArrayBuffer, a typed array, a base64 string or a data: URL. The prompt is
+   *   sent once ChatGPT shows the uploads as finished.
+   * @param {string} options.model - Pick this model in ChatGPT's model picker first (e.g. `'gpt-4o'`, `'o3'`)
+   * @param {boolean} options.temporaryChat - Run in a new temporary chat, which is not saved to ChatGPT's history
+   * @param {Array<string>} options.tools - Composer tools to turn on: `'search'`, `'image'`, `'canvas'`, `'research'`
+   * @param {string} options.customGpt - Start a new chat with this custom GPT (a `/g/g-...` URL or `g-...` ID)
+   * @param {Object} options.completion - How to decide the answer is finished:
+   *   `{ strategy, settleTime, timeout, pollInterval }` (times in milliseconds). `strategy` is `'auto'`
+   *   (default: the answer's action bar appears, or streaming has stopped and the text is unchanged for
+   *   `settleTime`, default 500), `'actions'` (wait for the action bar only) or `'stable'` (only wait for
+   *   the text to stop changing for `settleTime`, default 3000). `timeout` (default 300000) limits how
+   *   long the page waits for the answer. The defaults are those of the active settings profile.
+   * @returns {Promise<string|Object>} The response text from ChatGPT (or the structured result)
+   * @throws {ChatGPTError} If ChatGPT tab is not found, prompt fails, or timeout occurs (see `ERROR_CODES`)
    * 
    * @example
    * const api = new ChatGPTAPI();
@@ -83,85 +489,669 @@ class ChatGPTAPI {
    *     console.log("Status:", status);
    *   }
    * });
+   * 
+   * @example
+   * // Show the response while it is being written
+   * const response = await api.sendPrompt("Write a story", {
+   *   onChunk: (delta, text) => {
+   *     output.textContent = text;
+   *   }
+   * });
+   * 
+   * @example
+   * // Get the response as Markdown with its code blocks
+   * const { markdown, codeBlocks } = await api.sendPrompt("Write a Python script", {
+   *   structured: true
+   * });
+   * console.log(codeBlocks[0].language, codeBlocks[0].code);
+   * 
+   * @example
+   * // List the sources of a web search answer
+   * const { citations } = await api.sendPrompt("What's new in Node.js 22?", {
+   *   tools: ['search'],
+   *   structured: true
+   * });
+   * citations.forEach(({ title, url }) => console.log(title, url));
+   * 
+   * @example
+   * // Start a new chat, then continue it
+   * const first = await api.sendPrompt("Let's plan a trip", { newChat: true, structured: true });
+   * await api.sendPrompt("Make it 5 days", { conversationId: first.conversationId });
+   * 
+   * @example
+   * // Cancel from a "Stop" button
+   * const controller = new AbortController();
+   * stopButton.onclick = () => controller.abort();
+   * try {
+   *   await api.sendPrompt("Write a novel", { signal: controller.signal });
+   * } catch (error) {
+   *   if (error.name === 'AbortError') console.log("Stopped");
+   * }
+   * 
+   * @example
+   * // Attach a file picked by the user
+   * const file = fileInput.files[0];
+   * const summary = await api.sendPrompt("Summarize this PDF", {
+   *   attachments: [{ name: file.name, mimeType: file.type, data: file }]
+   * });
+   * 
+   * @example
+   * // Compare models without saving the chats
+   * const { text, model } = await api.sendPrompt("Prove that √2 is irrational", {
+   *   model: 'o3',
+   *   temporaryChat: true,
+   *   structured: true
+   * });
    */
   async sendPrompt(prompt, options = {}) {
     if (!this.isInitialized) {
-      throw new Error("API not initialized. Call initialize() first.");
+      throw new ChatGPTError(ERROR_CODES.NOT_INITIALIZED, "API not initialized. Call initialize() first.");
     }
 
     if (!prompt || typeof prompt !== 'string' || prompt.trim().length === 0) {
-      throw new Error("Prompt must be a non-empty string");
+      throw new ChatGPTError(ERROR_CODES.INVALID_PROMPT, "Prompt must be a non-empty string");
     }
 
-    const timeout = options.timeout || 300; // 5 minutes default
+    const timeout = options.timeout || (await this._cachedSettings()).requestTimeout / 1000;
     const onProgress = options.onProgress || (() => {});
+    const onChunk = options.onChunk || (() => {});
+    const signal = options.signal;
+
+    if (signal && signal.aborted) {
+      throw new ChatGPTAbortError();
+    }
+
+    const attachments = await this._encodeAttachments(options.attachments);
+    const requestId = this._generateRequestId();
 
     return new Promise(async (resolve, reject) => {
       let timeoutId;
       let resolved = false;
 
-      // Set up response handler for this specific request
-      const responseHandler = (responseText) => {
+      const settle = (callback, value) => {
         if (resolved) return;
         resolved = true;
         clearTimeout(timeoutId);
-        this.responseListeners.delete(responseHandler);
-        resolve(responseText);
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        this.pendingRequests.delete(requestId);
+        callback(value);
       };
-      this.responseListeners.add(responseHandler);
+
+      // Cancelling the job also makes the content script stop generation
+      const onAbort = () => {
+        if (resolved) return;
+        this.cancelJob(requestId).catch(() => {});
+        settle(reject, new ChatGPTAbortError());
+      };
+      if (signal) {
+        signal.addEventListener('abort', onAbort);
+      }
+
+      // Set up handlers for this specific request
+      const pending = {
+        resolve: (captured) => settle(resolve, options.structured ? {
+          text: captured.text,
+          markdown: captured.markdown || captured.text,
+          html: captured.html || '',
+          codeBlocks: captured.codeBlocks || [],
+          parts: captured.parts || [],
+          citations: captured.citations || [],
+          candidates: captured.candidates || null,
+          conversationId: captured.conversationId || null,
+          conversationUrl: captured.conversationUrl || null,
+          tabId: captured.tabId || null,
+          model: captured.model || null
+        } : captured.text),
+        reject: (error) => settle(reject, error),
+        onProgress: onProgress,
+        onChunk: onChunk,
+        running: false
+      };
+      this.pendingRequests.set(requestId, pending);
 
       // Set up timeout
       timeoutId = setTimeout(() => {
         if (resolved) return;
-        resolved = true;
-        this.responseListeners.delete(responseHandler);
-        reject(new Error(`Request timeout after ${timeout} seconds`));
+        // Free the queue slot so later jobs aren't held up by this one
+        this.cancelJob(requestId).catch(() => {});
+        settle(reject, new ChatGPTError(ERROR_CODES.TIMEOUT, `Request timeout after ${timeout} seconds`));
       }, timeout * 1000);
 
       try {
-        // Get the active ChatGPT tab
-        const tab = await this._getChatGPTTab();
-        if (!tab) {
-          if (resolved) return;
-          resolved = true;
-          clearTimeout(timeoutId);
-          this.responseListeners.delete(responseHandler);
-          throw new Error("ChatGPT tab not found. Please open ChatGPT in a browser tab.");
-        }
-
         onProgress("Sending prompt...");
 
-        // Send the prompt to the content script
-        chrome.tabs.sendMessage(tab.id, {
-          action: "PROMPT_CHATGPT",
-          prompt: prompt.trim()
-        }, (response) => {
-          if (chrome.runtime.lastError) {
-            if (resolved) return;
-            resolved = true;
-            clearTimeout(timeoutId);
-            this.responseListeners.delete(responseHandler);
-            reject(new Error(`Failed to send prompt: ${chrome.runtime.lastError.message}. Please refresh the ChatGPT page.`));
-            return;
-          }
-
-          onProgress("Waiting for response...");
+        // Queue the prompt in the background worker
+        await this._sendToBackground({
+          action: "ENQUEUE_JOB",
+          id: requestId,
+          prompt: prompt.trim(),
+          tabId: options.tabId,
+          newChat: options.newChat,
+          conversationId: options.conversationId,
+          retry: options.retry,
+          attachments: attachments,
+          model: options.model,
+          temporaryChat: options.temporaryChat,
+          tools: options.tools,
+          customGpt: options.customGpt,
+          completion: options.completion
         });
 
+        // Aborted or timed out before the job existed to be cancelled
+        if (resolved && signal && signal.aborted) {
+          this.cancelJob(requestId).catch(() => {});
+        } else if (!resolved && !pending.running) {
+          onProgress("Queued...");
+        }
       } catch (error) {
-        if (resolved) return;
-        resolved = true;
-        clearTimeout(timeoutId);
-        this.responseListeners.delete(responseHandler);
-        reject(error);
+        settle(reject, error);
+      }
+    });
+  }
+
+  /**
+   * Send a prompt to ChatGPT and iterate over the response as it is written
+   * 
+   * Yields the text added since the previous chunk. Accepts the same options
+   * as `sendPrompt()`; the iterator throws if the request fails. Leaving the
+   * loop early (`break`) cancels the request.
+   * 
+   * @param {string} prompt - The prompt text to send to ChatGPT
+   * @param {Object} options - Optional configuration (see `sendPrompt()`)
+   * @returns {AsyncGenerator<string>} Incremental response deltas
+   * 
+   * @example
+   * for await (const delta of api.streamPrompt("Write a story")) {
+   *   output.textContent += delta;
+   * }
+   */
+  async *streamPrompt(prompt, options = {}) {
+    const deltas = [];
+    let wake = null;
+    let done = false;
+    let failure = null;
+
+    const notify = () => {
+      if (wake) {
+        wake();
+        wake = null;
+      }
+    };
+
+    // Aborted by the caller's signal or by the loop ending early
+    const controller = new AbortController();
+    if (options.signal) {
+      if (options.signal.aborted) {
+        controller.abort();
+      } else {
+        options.signal.addEventListener('abort', () => controller.abort(), { once: true });
       }
+    }
+
+    this.sendPrompt(prompt, Object.assign({}, options, {
+      signal: controller.signal,
+      onChunk: (delta, text) => {
+        deltas.push(delta);
+        notify();
+        if (options.onChunk) {
+          options.onChunk(delta, text);
+        }
+      }
+    })).then(() => {
+      done = true;
+      notify();
+    }, (error) => {
+      failure = error;
+      done = true;
+      notify();
+    });
+
+    try {
+      while (true) {
+        if (deltas.length > 0) {
+          yield deltas.shift();
+        } else if (done) {
+          break;
+        } else {
+          await new Promise(resolve => { wake = resolve; });
+        }
+      }
+    } finally {
+      if (!done) {
+        controller.abort();
+      }
+    }
+
+    if (failure) {
+      throw failure;
+    }
+  }
+
+  /**
+   * Send a prompt and resolve with the JSON value in the response
+   * 
+   * The JSON is pulled out of code fences or surrounding prose (see
+   * `extractJSON()`) and, with a `schema`, checked against it (see
+   * `validateJSONSchema()`). If it is missing, malformed or invalid, a
+   * follow-up in the same conversation lists the problems and asks ChatGPT
+   * for a corrected version, up to `repairAttempts` times.
+   * 
+   * @param {string} prompt - The prompt text to send to ChatGPT
+   * @param {Object} options - Same as `sendPrompt()`, plus:
+   * @param {Object} options.schema - JSON Schema the value must match
+   * @param {number} options.repairAttempts - How many follow-ups may ask for a fix (default: 2)
+   * @param {boolean} options.includeSchema - Add the schema and a "reply with only the JSON"
+   *   instruction to the prompt (default: true)
+   * @param {boolean} options.structured - Resolve with the last `sendPrompt()` structured result
+   *   plus `data` (the parsed value) and `attempts` (prompts sent) instead of the value
+   * @returns {Promise<*>} The parsed JSON value (or the structured result)
+   * @throws {ChatGPTError} `INVALID_JSON` if the last reply still had no valid JSON; the error's
+   *   `errors` lists the problems and `response` holds the reply text. Otherwise as `sendPrompt()`.
+   * 
+   * @example
+   * const recipe = await api.sendPromptForJSON("Give me a pancake recipe", {
+   *   schema: {
+   *     type: "object",
+   *     required: ["title", "ingredients"],
+   *     properties: {
+   *       title: { type: "string" },
+   *       ingredients: { type: "array", items: { type: "string" }, minItems: 1 }
+   *     }
+   *   }
+   * });
+   * console.log(recipe.ingredients);
+   */
+  async sendPromptForJSON(prompt, options = {}) {
+    if (!prompt || typeof prompt !== 'string' || prompt.trim().length === 0) {
+      throw new ChatGPTError(ERROR_CODES.INVALID_PROMPT, "Prompt must be a non-empty string");
+    }
+
+    const schema = options.schema || null;
+    const repairAttempts = options.repairAttempts === undefined ? 2 : options.repairAttempts;
+    if (!Number.isInteger(repairAttempts) || repairAttempts < 0) {
+      throw new ChatGPTError(ERROR_CODES.INVALID_OPTIONS, "`repairAttempts` must be a whole number of follow-ups");
+    }
+    if (schema !== null && typeof schema !== 'object') {
+      throw new ChatGPTError(ERROR_CODES.INVALID_OPTIONS, "`schema` must be a JSON Schema object");
+    }
+
+    const sendOptions = Object.assign({}, options, { structured: true });
+    delete sendOptions.schema;
+    delete sendOptions.repairAttempts;
+    delete sendOptions.includeSchema;
+    const onProgress = options.onProgress || (() => {});
+
+    let text = prompt.trim();
+    if (options.includeSchema !== false) {
+      text += schema
+        ? `\n\nThe JSON must match this JSON Schema:\n\`\`\`json\n${JSON.stringify(schema, null, 2)}\n\`\`\`\n${JSON_REPLY_INSTRUCTION}`
+        : `\n\n${JSON_REPLY_INSTRUCTION}`;
+    }
+
+    let result = await this.sendPrompt(text, sendOptions);
+    for (let attempt = 1; ; attempt++) {
+      const value = extractJSON(result);
+      const errors = value === undefined
+        ? ["The reply did not contain valid JSON"]
+        : (schema ? validateJSONSchema(value, schema) : []);
+
+      if (errors.length === 0) {
+        return options.structured ? Object.assign({}, result, { data: value, attempts: attempt }) : value;
+      }
+      if (attempt > repairAttempts) {
+        const error = new ChatGPTError(ERROR_CODES.INVALID_JSON,
+          `No valid JSON after ${attempt} attempt(s): ${errors.slice(0, 3).join('; ')}${errors.length > 3 ? '; ...' : ''}`);
+        error.errors = errors;
+        error.response = result.text;
+        throw error;
+      }
+
+      onProgress(`Asking ChatGPT to fix the JSON (${attempt} of ${repairAttempts})...`);
+      // The fix goes to the conversation that has the broken reply. Files,
+      // tools and chat modes only applied to the first prompt.
+      const repair = `Your last reply doesn't give the JSON that was asked for:\n${errors.map(problem => `- ${problem}`).join('\n')}\n\n${JSON_REPLY_INSTRUCTION}`;
+      result = await this.sendPrompt(repair, Object.assign({}, sendOptions, {
+        tabId: result.tabId || undefined,
+        conversationId: result.conversationId || undefined,
+        newChat: false,
+        temporaryChat: undefined,
+        customGpt: undefined,
+        tools: undefined,
+        attachments: undefined
+      }));
+    }
+  }
+
+  /**
+   * Add a prompt to the background job queue without waiting for the response
+   * 
+   * Jobs run one after another per ChatGPT tab. Use `listJobs()` to read back
+   * their status and response.
+   * 
+   * @param {string} prompt - The prompt text to send to ChatGPT
+   * @param {Object} options - Optional configuration
+   * @param {number} options.tabId - Tab to run the job in (default: first ChatGPT tab, or an idle
+   *   pool tab when the tab pool is on)
+   * @param {boolean} options.newChat - Start a new conversation for this job
+   * @param {string} options.conversationId - Continue this conversation
+   * @param {Object|boolean} options.retry - Retry policy (see `sendPrompt()`)
+   * @param {Array<Object>} options.attachments - Files to upload with the prompt (see `sendPrompt()`)
+   * @param {string} options.model - Model to pick first (see `sendPrompt()`)
+   * @param {boolean} options.temporaryChat - Run in a temporary chat
+   * @param {Array<string>} options.tools - Composer tools to turn on
+   * @param {string} options.customGpt - Custom GPT to start the chat with
+   * @param {Object} options.completion - How to decide the answer is finished (see `sendPrompt()`)
+   * @returns {Promise<Object>} The queued job
+   * 
+   * @example
+   * const job = await api.enqueuePrompt("Summarize this text: ...");
+   * console.log("Queued job", job.id);
+   */
+  async enqueuePrompt(prompt, options = {}) {
+    if (!this.isInitialized) {
+      throw new ChatGPTError(ERROR_CODES.NOT_INITIALIZED, "API not initialized. Call initialize() first.");
+    }
+
+    if (!prompt || typeof prompt !== 'string' || prompt.trim().length === 0) {
+      throw new ChatGPTError(ERROR_CODES.INVALID_PROMPT, "Prompt must be a non-empty string");
+    }
+
+    const response = await this._sendToBackground({
+      action: "ENQUEUE_JOB",
+      id: this._generateRequestId(),
+      prompt: prompt.trim(),
+      tabId: options.tabId,
+      newChat: options.newChat,
+      conversationId: options.conversationId,
+      retry: options.retry,
+      attachments: await this._encodeAttachments(options.attachments),
+      model: options.model,
+      temporaryChat: options.temporaryChat,
+      tools: options.tools,
+      customGpt: options.customGpt,
+      completion: options.completion
     });
+    return response.job;
   }
 
   /**
-   * Check if ChatGPT is available (tab is open)
+   * List jobs in the background queue, including recently finished ones
    * 
-   * @returns {Promise<boolean>} True if ChatGPT tab is found
+   * @param {Object} options - Optional configuration
+   * @param {number} options.tabId - Only list jobs for this tab
+   * @returns {Promise<Array<Object>>} Jobs in queue order
+   */
+  async listJobs(options = {}) {
+    const response = await this._sendToBackground({
+      action: "LIST_JOBS",
+      tabId: options.tabId
+    });
+    return response.jobs;
+  }
+
+  /**
+   * Move a queued job to a new position in its tab's queue
+   * 
+   * @param {string} jobId - The job to move
+   * @param {number} index - New position among the tab's queued jobs (0 = next)
+   * @returns {Promise<Object>} The moved job
+   */
+  async moveJob(jobId, index) {
+    const response = await this._sendToBackground({
+      action: "MOVE_JOB",
+      jobId: jobId,
+      index: index
+    });
+    return response.job;
+  }
+
+  /**
+   * Cancel a queued or running job
+   * 
+   * @param {string} jobId - The job to cancel
+   * @returns {Promise<Object>} The cancelled job
+   */
+  async cancelJob(jobId) {
+    const response = await this._sendToBackground({
+      action: "CANCEL_JOB",
+      jobId: jobId
+    });
+    return response.job;
+  }
+
+  /**
+   * Follow every job in the queue, whoever started it: each change of
+   * status and each piece of an answer as it is written
+   * 
+   * @param {Object} callbacks - Called for every job
+   * @param {Function} callbacks.onUpdate - Called with the job when it is queued, starts, retries or finishes
+   * @param {Function} callbacks.onChunk - Called with `(jobId, delta, text)` as an answer is written
+   * @returns {Function} Call it to stop watching
+   * 
+   * @example
+   * const stop = api.watchJobs({
+   *   onUpdate: (job) => console.log(job.status, job.prompt),
+   *   onChunk: (jobId, delta, text) => render(jobId, text)
+   * });
+   */
+  watchJobs(callbacks = {}) {
+    const watcher = {
+      onUpdate: callbacks.onUpdate || (() => {}),
+      onChunk: callbacks.onChunk || (() => {})
+    };
+    this.jobWatchers.add(watcher);
+    return () => this.jobWatchers.delete(watcher);
+  }
+
+  /**
+   * Answer several prompts at once in a pool of ChatGPT tabs
+   * 
+   * With a pool size, prompts sent without a `tabId` no longer queue for
+   * the first ChatGPT tab: the background worker opens up to `size` tabs of
+   * its own, sends each prompt to an idle one and reuses them for later
+   * prompts. A pool tab that stops responding or gets logged out is closed
+   * and replaced, and its prompt is retried on another tab. Pooled prompts
+   * start a new chat unless they continue a `conversationId`. The setting is
+   * kept until it is changed; size 0 turns the pool off.
+   * 
+   * @param {Object} options - Pool settings
+   * @param {number} options.size - Number of tabs, 0 to 8
+   * @param {boolean} options.windows - Open each pool tab in its own window
+   *   (Chrome slows down background tabs; separate windows keep them all running at full speed)
+   * @returns {Promise<Object>} The pool, as returned by `getTabPool()`
+   * @throws {ChatGPTError} INVALID_OPTIONS if the size is out of range
+   * 
+   * @example
+   * await api.configureTabPool({ size: 4 });
+   * const answers = await Promise.all(questions.map(question => api.sendPrompt(question)));
+   */
+  async configureTabPool(options = {}) {
+    const response = await this._sendToBackground({
+      action: "CONFIGURE_TAB_POOL",
+      size: options.size,
+      windows: options.windows
+    });
+    return response.pool;
+  }
+
+  /**
+   * Get the tab pool's settings and the state of each of its tabs
+   * 
+   * @returns {Promise<Object>} `{ size, windows, healthy, failures, opening, waiting, tabs }`, where
+   *   `waiting` counts prompts waiting for an idle tab, `healthy` is false once replacement tabs
+   *   kept failing, and each tab is `{ tabId, windowId, state, jobId, openedAt, checkedAt }` with
+   *   `state` `'busy'` (answering job `jobId`) or `'idle'`
+   */
+  async getTabPool() {
+    const response = await this._sendToBackground({ action: "GET_TAB_POOL" });
+    return response.pool;
+  }
+
+  /**
+   * Set up the quick actions offered on selected text in any web page (its
+   * context menu and the quick-action-N keyboard shortcuts). Each action's
+   * template is filled with `{{selection}}` and the page's `{{title}}` and
+   * `{{url}}`, and sent to a new chat. The setting is kept until it is changed.
+   * 
+   * @param {Object} options - Quick-action settings; leave one out to keep it
+   * @param {Array<Object>} options.actions - Up to 10 actions as `{ title, template }`, in menu order,
+   *   or null to restore the defaults (Ask ChatGPT, Summarize, Translate)
+   * @param {string} options.display - Where answers appear: `'overlay'` (a box on the page, default),
+   *   `'notification'` or `'sidepanel'` (the extension's side panel, opened by the action)
+   * @returns {Promise<Object>} The quick actions, as returned by `getQuickActions()`
+   * @throws {ChatGPTError} INVALID_OPTIONS if an action has no title or template
+   * 
+   * @example
+   * await api.configureQuickActions({
+   *   actions: [
+   *     { title: 'Explain', template: 'Explain this to a beginner:\n\n{{selection}}' },
+   *     { title: 'Fix grammar', template: 'Correct the grammar. Reply with only the text.\n\n{{selection}}' }
+   *   ]
+   * });
+   */
+  async configureQuickActions(options = {}) {
+    const response = await this._sendToBackground({
+      action: "CONFIGURE_QUICK_ACTIONS",
+      display: options.display,
+      actions: options.actions
+    });
+    return response.quickActions;
+  }
+
+  /**
+   * Get the quick actions offered on selected text
+   * 
+   * @returns {Promise<Object>} `{ display, actions, customized }`, where `actions` is `[{ title, template }]`
+   *   and `customized` is false while the default actions are used
+   */
+  async getQuickActions() {
+    const response = await this._sendToBackground({ action: "GET_QUICK_ACTIONS" });
+    return response.quickActions;
+  }
+
+  /**
+   * Get the settings in effect: the active profile from the options page
+   * over the defaults. Times are in milliseconds.
+   * 
+   * @returns {Promise<Object>} `{ profile, chatGPTUrl, newChat, requestTimeout, completionStrategy,
+   *   settleTime, stableSettleTime, responseTimeout, pollInterval, sendDelay, injectionCheckDelay,
+   *   injectionResultDelay, retryAttempts }`
+   * 
+   * @example
+   * const { profile, requestTimeout } = await api.getSettings();
+   * console.log(`Using "${profile}", giving up after ${requestTimeout / 1000} seconds`);
+   */
+  async getSettings() {
+    const response = await this._sendToBackground({ action: "GET_SETTINGS" });
+    return response.settings;
+  }
+
+  /**
+   * Start a multi-turn session pinned to one ChatGPT conversation
+   * 
+   * The first `send()` starts a new chat (unless `conversationId` is given);
+   * every later one goes to that same conversation, in the same tab, even if
+   * the user has switched the tab to another chat in the meantime.
+   * 
+   * @param {Object} options - Optional configuration
+   * @param {number} options.tabId - Tab to run the session in (default: first ChatGPT tab)
+   * @param {string} options.conversationId - Continue this conversation instead of starting a new one
+   * @param {string} options.model - Model for every prompt in the session
+   * @param {string} options.customGpt - Start the conversation with this custom GPT
+   * @param {Array<string>} options.tools - Composer tools to turn on for every prompt
+   * @returns {ChatGPTSession} The session
+   * @throws {ChatGPTError} If the API is not initialized
+   * 
+   * @example
+   * const session = api.createSession();
+   * await session.send("Let's design a database schema for a library");
+   * await session.send("Add a table for late fees");
+   * console.log(await session.history());
+   * session.close();
+   */
+  createSession(options = {}) {
+    if (!this.isInitialized) {
+      throw new ChatGPTError(ERROR_CODES.NOT_INITIALIZED, "API not initialized. Call initialize() first.");
+    }
+    return new ChatGPTSession(this, options);
+  }
+
+  /**
+   * Search the history of finished prompts, newest first
+   * 
+   * Every prompt that completes, fails or is cancelled is recorded by the
+   * background worker, whoever sent it.
+   * 
+   * @param {Object} options - Optional configuration
+   * @param {string} options.query - Only entries whose prompt, response or error contain every word
+   * @param {string} options.status - Only `'completed'`, `'failed'` or `'cancelled'` entries
+   * @param {number} options.limit - Maximum number of entries to return
+   * @param {number} options.offset - Number of matching entries to skip
+   * @returns {Promise<{entries: Array<Object>, total: number}>} Matching entries (`id`, `prompt`,
+   *   `response`, `markdown`, `status`, `errorCode`, `createdAt`, `finishedAt`, `durationMs`,
+   *   `conversationUrl`, ...) and the total number of matches
+   * 
+   * @example
+   * const { entries } = await api.searchHistory({ query: "invoice", limit: 20 });
+   */
+  async searchHistory(options = {}) {
+    const response = await this._sendToBackground({
+      action: "SEARCH_HISTORY",
+      query: options.query,
+      status: options.status,
+      limit: options.limit,
+      offset: options.offset
+    });
+    return { entries: response.entries, total: response.total };
+  }
+
+  /**
+   * Delete history entries
+   * 
+   * @param {Array<string>} ids - Entries to delete (default: the whole history)
+   * @returns {Promise<number>} The number of entries deleted
+   */
+  async deleteHistory(ids) {
+    const response = await this._sendToBackground({
+      action: "DELETE_HISTORY",
+      ids: ids
+    });
+    return response.deleted;
+  }
+
+  /**
+   * Report which selector strategy finds each page element
+   * 
+   * The content script looks up ChatGPT's UI (prompt box, send and stop
+   * buttons, responses, ...) through a registry with ordered fallbacks per
+   * element. Use this after a ChatGPT update to see which elements are no
+   * longer found, then add strategies under `selectorOverrides` in
+   * chrome.storage.local.
+   * 
+   * @param {Object} options - Optional configuration
+   * @param {number} options.tabId - Tab to inspect (default: first ChatGPT tab)
+   * @returns {Promise<Object>} `{ version, url, tabId, overrides, elements }`, where each
+   *   element has `matched` (the winning strategy's name, or null) and `strategies`
+   *   (`{ name, selector, source, count, error }`)
+   * 
+   * @example
+   * const report = await api.diagnoseSelectors();
+   * const missing = Object.keys(report.elements).filter(name => !report.elements[name].matched);
+   */
+  async diagnoseSelectors(options = {}) {
+    const response = await this._sendToBackground({
+      action: "DIAGNOSE_SELECTORS",
+      tabId: options.tabId
+    });
+    return response.report;
+  }
+
+  /**
+   * Check if ChatGPT is available (tab is open, or the tab pool will open one)
+   * 
+   * @returns {Promise<boolean>} True if ChatGPT tab is found or the tab pool is on
    * 
    * @example
    * const api = new ChatGPTAPI();
@@ -173,7 +1163,11 @@ class ChatGPTAPI {
    */
   async isAvailable() {
     const tab = await this._getChatGPTTab();
-    return tab !== null;
+    if (tab !== null) {
+      return true;
+    }
+    const pool = await this.getTabPool().catch(() => null);
+    return !!(pool && pool.size > 0);
   }
 
   /**
@@ -197,17 +1191,350 @@ class ChatGPTAPI {
     }
   }
 
+  /**
+   * Convert attachment data to base64 so it can be sent to the background worker
+   * 
+   * Extension messages are serialized as JSON, so Blobs and buffers can't be
+   * passed as they are. Strings are assumed to be base64 or a data: URL
+   * already and are left for the background worker to validate.
+   * 
+   * @private
+   * @param {Array<Object>} attachments - `{ name, mimeType, data }` attachments
+   * @returns {Promise<Array<Object>|undefined>} Attachments with base64 `data`
+   * @throws {ChatGPTError} If an attachment's data can't be read
+   */
+  async _encodeAttachments(attachments) {
+    if (!attachments) {
+      return undefined;
+    }
+    if (!Array.isArray(attachments)) {
+      throw new ChatGPTError(ERROR_CODES.INVALID_ATTACHMENT, "Attachments must be an array of { name, mimeType, data }");
+    }
+
+    return Promise.all(attachments.map(async (attachment) => {
+      const data = attachment && attachment.data;
+      const isBlob = typeof Blob !== 'undefined' && data instanceof Blob;
+      let bytes;
+      if (typeof data === 'string') {
+        return attachment;
+      } else if (isBlob) {
+        bytes = new Uint8Array(await data.arrayBuffer());
+      } else if (data instanceof ArrayBuffer) {
+        bytes = new Uint8Array(data);
+      } else if (ArrayBuffer.isView(data)) {
+        bytes = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+      } else {
+        throw new ChatGPTError(ERROR_CODES.INVALID_ATTACHMENT,
+          `Attachment "${attachment && attachment.name}" needs a Blob, ArrayBuffer or base64 string as data`);
+      }
+
+      // Chunked to stay under the argument limit of String.fromCharCode
+      let binary = '';
+      for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+      }
+      return {
+        name: attachment.name,
+        mimeType: attachment.mimeType || (isBlob ? data.type : undefined),
+        data: btoa(binary)
+      };
+    }));
+  }
+
+  /**
+   * Generate a unique ID used to correlate a prompt with its response
+   * 
+   * @private
+   * @returns {string}
+   */
+  _generateRequestId() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+      return crypto.randomUUID();
+    }
+    return `req-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+  }
+
   /**
    * Handle incoming response from content script
    * 
+   * Only the request whose ID matches is resolved; responses for other
+   * callers (or other API instances) are ignored. Failures
+   * (`{ ok: false, code, message }`) are left to the job queue, which may
+   * retry them first and then reports the outcome as a JOB_UPDATED.
+   * 
+   * @private
+   * @param {Object} message - The CAPTURED_RESPONSE message (`ok`, `text`, `markdown`,
+   *   `html`, `codeBlocks`, `parts`, `citations`, `candidates` and the echoed `requestId`,
+   *   or `code` and `message`)
+   * @param {chrome.runtime.MessageSender} sender - The ChatGPT tab that sent it
+   */
+  _handleResponse(message, sender) {
+    const pending = this.pendingRequests.get(message.requestId);
+    if (!pending) {
+      return;
+    }
+
+    if (message.ok !== false) {
+      pending.resolve(Object.assign({ tabId: sender && sender.tab ? sender.tab.id : null }, message));
+    }
+  }
+
+  /**
+   * Handle a partial response from content script
+   * 
+   * @private
+   * @param {string} delta - Text added since the previous chunk
+   * @param {string} text - The response text so far
+   * @param {string} requestId - The ID echoed back by the content script
+   */
+  _handleChunk(delta, text, requestId) {
+    const pending = this.pendingRequests.get(requestId);
+    if (pending) {
+      pending.onChunk(delta, text);
+    }
+  }
+
+  /**
+   * Handle a status change of a queued job from the background worker
+   * 
+   * @private
+   * @param {Object} job - The updated job
+   */
+  _handleJobUpdate(job) {
+    const pending = job ? this.pendingRequests.get(job.id) : null;
+    if (!pending) {
+      return;
+    }
+
+    if (job.status === 'queued' && job.attempts > 0) {
+      pending.onProgress(`${job.error || 'ChatGPT error'} - retrying (attempt ${job.attempts} of ${job.retry.attempts})...`);
+    } else if (job.status === 'running') {
+      pending.running = true;
+      pending.onProgress("Waiting for response...");
+    } else if (job.status === 'failed') {
+      pending.reject(new ChatGPTError(job.errorCode || ERROR_CODES.EXTENSION_ERROR, job.error || "Job failed"));
+    } else if (job.status === 'cancelled') {
+      pending.reject(new ChatGPTError(ERROR_CODES.CANCELLED, "Job was cancelled"));
+    }
+  }
+
+  /**
+   * Read the settings into the instance's cache, so prompts don't each ask
+   * the background worker for them. A failed read is retried on next use.
+   * 
+   * @private
+   * @returns {Promise<Object>} The settings, as from `getSettings()`
+   */
+  _loadSettings() {
+    const settings = this.getSettings();
+    this.settings = settings;
+    settings.catch(() => {
+      if (this.settings === settings) {
+        this.settings = null;
+      }
+    });
+    return settings;
+  }
+
+  /**
+   * The cached settings, read now if they aren't cached
+   * 
+   * @private
+   * @returns {Promise<Object>} The settings, as from `getSettings()`
+   */
+  _cachedSettings() {
+    return this.settings || this._loadSettings();
+  }
+
+  /**
+   * Send a message to the background worker and unwrap its response
+   * 
    * @private
-   * @param {string} responseText - The response text
+   * @param {Object} message - The message to send
+   * @returns {Promise<Object>} The response, if `success` is true
+   * @throws {ChatGPTError} If the message fails or the background reports an error
    */
-  _handleResponse(responseText) {
-    // Notify all waiting listeners
-    this.responseListeners.forEach(handler => {
-      handler(responseText);
+  _sendToBackground(message) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage(message, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(new ChatGPTError(ERROR_CODES.EXTENSION_ERROR, chrome.runtime.lastError.message));
+          return;
+        }
+        if (!response || !response.success) {
+          reject(new ChatGPTError(
+            (response && response.code) || ERROR_CODES.EXTENSION_ERROR,
+            (response && response.error) || "No response from background"
+          ));
+          return;
+        }
+        resolve(response);
+      });
+    });
+  }
+}
+
+/**
+ * A conversation with ChatGPT that keeps its thread across prompts
+ * 
+ * Created by `ChatGPTAPI.createSession()`. Calls are run one at a time in
+ * the order they were made, so a follow-up never races the previous answer.
+ * 
+ * @class ChatGPTSession
+ * @property {string|null} conversationId - The pinned conversation, once the first reply has started
+ * @property {number|null} tabId - The tab the session runs in
+ * @property {boolean} closed - True after `close()`
+ */
+class ChatGPTSession {
+  /**
+   * @constructor
+   * @param {ChatGPTAPI} api - The API used to send prompts
+   * @param {Object} options - See `ChatGPTAPI.createSession()`
+   * @param {string} options.context - Text sent ahead of the first prompt (used by `fork()`)
+   */
+  constructor(api, options = {}) {
+    this.api = api;
+    this.tabId = options.tabId || null;
+    this.conversationId = options.conversationId || null;
+    this.closed = false;
+    this.context = options.context || null;
+    this.defaults = { model: options.model, customGpt: options.customGpt, tools: options.tools };
+    this._queue = Promise.resolve();
+    this._controller = new AbortController();
+  }
+
+  /**
+   * Send a prompt to the session's conversation and wait for the response
+   * 
+   * @param {string} prompt - The prompt text
+   * @param {Object} options - Same as `ChatGPTAPI.sendPrompt()`, except that the session
+   *   chooses the tab and conversation
+   * @returns {Promise<string|Object>} The response text (or the structured result)
+   * @throws {ChatGPTError} If the session is closed or the prompt fails
+   */
+  send(prompt, options = {}) {
+    return this._enqueue(async () => {
+      const signal = options.signal && typeof AbortSignal.any === 'function'
+        ? AbortSignal.any([options.signal, this._controller.signal])
+        : (options.signal || this._controller.signal);
+
+      const sendOptions = Object.assign({}, this.defaults, options, {
+        structured: true,
+        signal: signal,
+        tabId: this.tabId || undefined,
+        newChat: !this.conversationId,
+        conversationId: this.conversationId || undefined
+      });
+      const text = this.context ? `${this.context}\n\n${prompt}` : prompt;
+      // Only the first prompt can open a custom GPT or a temporary chat
+      if (this.conversationId) {
+        delete sendOptions.customGpt;
+        delete sendOptions.temporaryChat;
+      }
+
+      let result;
+      try {
+        result = await this.api.sendPrompt(text, sendOptions);
+      } catch (error) {
+        // The pinned tab was closed; reopen the conversation elsewhere
+        if (error.code !== ERROR_CODES.TAB_NOT_FOUND || !this.tabId || !this.conversationId) {
+          throw error;
+        }
+        this.tabId = null;
+        result = await this.api.sendPrompt(text, Object.assign(sendOptions, { tabId: undefined }));
+      }
+
+      this.conversationId = result.conversationId || this.conversationId;
+      this.tabId = result.tabId || this.tabId;
+      this.context = null;
+      return options.structured ? result : result.text;
+    });
+  }
+
+  /**
+   * Read the conversation's messages back from the ChatGPT page
+   * 
+   * Waits for earlier `send()` calls to finish. If the tab shows another
+   * chat it is navigated back to the session's conversation first.
+   * 
+   * @returns {Promise<Array<Object>>} Turns as `{ role, text, markdown, messageId }`, oldest first
+   *   (empty before the first reply)
+   * @throws {ChatGPTError} `TAB_BUSY` if the tab is working on another prompt elsewhere
+   */
+  history() {
+    return this._enqueue(async () => {
+      if (!this.conversationId) {
+        return [];
+      }
+      const response = await this.api._sendToBackground({
+        action: "READ_CONVERSATION",
+        tabId: this.tabId,
+        conversationId: this.conversationId
+      });
+      this.tabId = response.tabId;
+      return response.turns;
+    });
+  }
+
+  /**
+   * Branch off a new session that starts from this conversation so far
+   * 
+   * ChatGPT's page offers no reliable way to branch a conversation, so the
+   * fork's first prompt starts a new chat with this conversation's
+   * transcript included ahead of it. The two sessions then diverge.
+   * 
+   * @param {Object} options - Optional configuration
+   * @param {number} options.tabId - Tab for the fork (default: this session's tab)
+   * @returns {Promise<ChatGPTSession>} The new session
+   * 
+   * @example
+   * const formal = await session.fork();
+   * await formal.send("Rewrite your last answer in a formal tone");
+   */
+  async fork(options = {}) {
+    const turns = await this.history();
+    const transcript = turns
+      .map(turn => `[${turn.role === 'user' ? 'User' : 'Assistant'}]\n${turn.markdown || turn.text}`)
+      .join('\n\n');
+
+    return new ChatGPTSession(this.api, {
+      tabId: options.tabId !== undefined ? options.tabId : this.tabId,
+      model: this.defaults.model,
+      tools: this.defaults.tools,
+      context: transcript ? `Here is our conversation so far:\n\n${transcript}\n\nContinue from there.` : null
+    });
+  }
+
+  /**
+   * Close the session: cancel anything it is still running and reject
+   * later calls with `SESSION_CLOSED`
+   * 
+   * The ChatGPT conversation itself is kept.
+   */
+  close() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    this._controller.abort();
+  }
+
+  /**
+   * Run a call after every earlier call on this session has settled
+   * 
+   * @private
+   * @param {Function} task - Async function to run
+   * @returns {Promise<*>} The task's result
+   */
+  _enqueue(task) {
+    const run = this._queue.then(() => {
+      if (this.closed) {
+        throw new ChatGPTError(ERROR_CODES.SESSION_CLOSED, "Session is closed");
+      }
+      return task();
     });
+    this._queue = run.catch(() => {});
+    return run;
   }
 }
 
@@ -228,6 +1555,9 @@ async function createChatGPTAPI() {
 
 // Export for use in modules
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { ChatGPTAPI, createChatGPTAPI };
+  module.exports = {
+    ChatGPTAPI, ChatGPTSession, ChatGPTError, ChatGPTAbortError, ERROR_CODES, createChatGPTAPI,
+    extractJSON, validateJSONSchema
+  };
 }
 
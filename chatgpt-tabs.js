@@ -0,0 +1,210 @@
+// Helpers for finding, opening and navigating ChatGPT tabs from the
+// background service worker. New tabs open the ChatGPT URL of the active
+// settings profile (settings.js).
+
+const CHATGPT_URL_PATTERNS = ["https://chatgpt.com/*", "https://chat.openai.com/*"];
+const TAB_LOAD_TIMEOUT = 30000;
+const COMPOSER_READY_TIMEOUT = 30000;
+const COMPOSER_POLL_INTERVAL = 500;
+const TAB_STATUS_TIMEOUT = 5000;
+
+// New-chat URL hints that pre-select a composer tool
+const TOOL_URL_HINTS = {
+  search: 'search',
+  image: 'picture_v2',
+  canvas: 'canvas',
+  research: 'research'
+};
+
+function getConversationIdFromUrl(url) {
+  const match = url ? url.match(/\/c\/([\w-]+)/) : null;
+  return match ? match[1] : null;
+}
+
+// The tab showing the requested conversation, or any ChatGPT tab when no
+// conversation is asked for. Another conversation's tab is never returned,
+// so the user's tab isn't navigated away from what they are doing.
+async function findChatGPTTab(conversationId) {
+  const tabs = await chrome.tabs.query({ url: CHATGPT_URL_PATTERNS });
+  if (conversationId) {
+    return tabs.find(tab => getConversationIdFromUrl(tab.url) === conversationId) || null;
+  }
+  return tabs.length > 0 ? tabs[0] : null;
+}
+
+async function openChatGPTTab(url) {
+  const tab = await chrome.tabs.create({ url: url || (await getSettings()).chatGPTUrl, active: false });
+  await waitForTabComplete(tab.id);
+  return tab;
+}
+
+// A ChatGPT tab in its own unfocused window, which Chrome doesn't throttle
+// like a background tab
+async function openChatGPTWindow(url) {
+  const window = await chrome.windows.create({ url: url || (await getSettings()).chatGPTUrl, focused: false });
+  const tab = window.tabs[0];
+  await waitForTabComplete(tab.id);
+  return tab;
+}
+
+function getConversationUrl(tabUrl, conversationId) {
+  const origin = tabUrl ? new URL(tabUrl).origin : new URL(currentSettings().chatGPTUrl).origin;
+  return conversationId ? `${origin}/c/${conversationId}` : `${origin}/`;
+}
+
+// A new chat with the model, temporary-chat mode, tool and custom GPT
+// chosen up front. `customGpt` is a /g/ URL or a "g-..." ID.
+function getNewChatUrl(tabUrl, { model, temporaryChat, tools, customGpt }) {
+  const url = new URL(getConversationUrl(tabUrl, null));
+  if (customGpt) {
+    const gptPath = customGpt.match(/\/g\/(g-[\w-]+)/) || customGpt.match(/^(g-[\w-]+)$/);
+    url.pathname = `/g/${gptPath[1]}`;
+  }
+  if (model) {
+    url.searchParams.set('model', model);
+  }
+  if (temporaryChat) {
+    url.searchParams.set('temporary-chat', 'true');
+  }
+  const hint = (tools || []).map(tool => TOOL_URL_HINTS[tool]).find(Boolean);
+  if (hint) {
+    url.searchParams.set('hints', hint);
+  }
+  return url.toString();
+}
+
+function waitForTabComplete(tabId) {
+  return new Promise((resolve, reject) => {
+    const timeoutId = setTimeout(() => {
+      chrome.tabs.onUpdated.removeListener(listener);
+      reject(new Error("Timed out waiting for the ChatGPT tab to load"));
+    }, TAB_LOAD_TIMEOUT);
+
+    const listener = (updatedTabId, changeInfo) => {
+      if (updatedTabId === tabId && changeInfo.status === 'complete') {
+        clearTimeout(timeoutId);
+        chrome.tabs.onUpdated.removeListener(listener);
+        resolve();
+      }
+    };
+    chrome.tabs.onUpdated.addListener(listener);
+  });
+}
+
+// Point the tab at the requested conversation (or a new chat) and wait for
+// the content script to report that the prompt box is ready. A temporary
+// chat or a custom GPT always means a new chat.
+async function prepareChatGPTTab(tabId, { newChat, conversationId, model, temporaryChat, tools, customGpt }) {
+  if (temporaryChat || customGpt) {
+    newChat = true;
+  }
+
+  if (newChat || conversationId) {
+    const tab = await chrome.tabs.get(tabId);
+    const alreadyThere = conversationId && getConversationIdFromUrl(tab.url) === conversationId;
+
+    if (!alreadyThere) {
+      const url = conversationId
+        ? getConversationUrl(tab.url, conversationId)
+        : getNewChatUrl(tab.url, { model, temporaryChat, tools, customGpt });
+      const loaded = waitForTabComplete(tabId);
+      await chrome.tabs.update(tabId, { url: url });
+      await loaded;
+    }
+  }
+
+  return waitForComposerReady(tabId);
+}
+
+// The content script's GET_STATUS, or null if the tab doesn't answer in
+// time (no content script, crashed or hung)
+function getTabStatus(tabId) {
+  return new Promise(resolve => {
+    const timeoutId = setTimeout(() => resolve(null), TAB_STATUS_TIMEOUT);
+    chrome.tabs.sendMessage(tabId, { action: "GET_STATUS" })
+      .catch(() => null)
+      .then(status => {
+        clearTimeout(timeoutId);
+        resolve(status || null);
+      });
+  });
+}
+
+async function waitForComposerReady(tabId) {
+  const deadline = Date.now() + COMPOSER_READY_TIMEOUT;
+
+  while (Date.now() < deadline) {
+    try {
+      const status = await chrome.tabs.sendMessage(tabId, { action: "GET_STATUS" });
+      if (status && status.composerReady) {
+        return status;
+      }
+    } catch (error) {
+      // Content script not injected yet after navigation
+    }
+    await new Promise(resolve => setTimeout(resolve, COMPOSER_POLL_INTERVAL));
+  }
+
+  throw new Error("Timed out waiting for the ChatGPT prompt box (#prompt-textarea)");
+}
+
+// Read the turns of a conversation from the page. The tab is only
+// navigated to the conversation when it isn't working on a prompt.
+async function readConversation(tabId, conversationId) {
+  let tab = null;
+  if (tabId) {
+    tab = await chrome.tabs.get(tabId).catch(() => null);
+  }
+  if (!tab || (conversationId && getConversationIdFromUrl(tab.url) !== conversationId)) {
+    const match = conversationId ? await findChatGPTTab(conversationId) : null;
+    if (match) {
+      tab = match;
+    }
+  }
+  if (!tab) {
+    if (!conversationId) {
+      throw jobError('TAB_NOT_FOUND', "ChatGPT tab not found");
+    }
+    tab = await openChatGPTTab(getConversationUrl(null, conversationId));
+  }
+
+  if (conversationId && getConversationIdFromUrl(tab.url) !== conversationId) {
+    const status = await chrome.tabs.sendMessage(tab.id, { action: "GET_STATUS" }).catch(() => null);
+    if (status && (status.activeRequestId || status.generating)) {
+      throw jobError('TAB_BUSY', "The session's tab is working on another prompt");
+    }
+  }
+  await prepareChatGPTTab(tab.id, { conversationId: conversationId });
+
+  const response = await chrome.tabs.sendMessage(tab.id, { action: "GET_CONVERSATION" });
+  return { tabId: tab.id, conversationId: response.conversationId, turns: response.turns };
+}
+
+// Report which selector strategy finds each page element in a ChatGPT tab
+async function diagnoseSelectors(tabId) {
+  const tab = tabId ? await chrome.tabs.get(tabId).catch(() => null) : await findChatGPTTab();
+  if (!tab) {
+    throw jobError('TAB_NOT_FOUND', "ChatGPT tab not found");
+  }
+  const report = await chrome.tabs.sendMessage(tab.id, { action: "DIAGNOSE_SELECTORS" }).catch(() => null);
+  if (!report) {
+    throw jobError('SEND_FAILED', "Could not reach the ChatGPT page. Please refresh it.");
+  }
+  return Object.assign({ tabId: tab.id }, report);
+}
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === "READ_CONVERSATION") {
+    readConversation(request.tabId, request.conversationId)
+      .then(result => sendResponse(Object.assign({ success: true }, result)))
+      .catch(error => sendResponse({ success: false, error: error.message, code: error.code }));
+    return true;
+  }
+  if (request.action === "DIAGNOSE_SELECTORS") {
+    diagnoseSelectors(request.tabId)
+      .then(report => sendResponse({ success: true, report: report }))
+      .catch(error => sendResponse({ success: false, error: error.message, code: error.code }));
+    return true;
+  }
+  return false;
+});
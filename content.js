@@ -1,46 +1,880 @@
 console.log("ChatGPT Automator Loaded");
 
+// ID of the prompt currently being typed or waited on, if any
+let activeRequestId = null;
+// Handle returned by waitForResponse() for the active prompt
+let activeWaiter = null;
+
+// Failure codes reported in CAPTURED_RESPONSE as { ok: false, code, message }
+const ERROR_CODES = {
+  TEXTAREA_NOT_FOUND: 'TEXTAREA_NOT_FOUND',
+  INJECTION_FAILED: 'INJECTION_FAILED',
+  SEND_BUTTON_NOT_FOUND: 'SEND_BUTTON_NOT_FOUND',
+  GENERATION_ERROR: 'GENERATION_ERROR',
+  NETWORK_ERROR: 'NETWORK_ERROR',
+  RATE_LIMITED: 'RATE_LIMITED',
+  USAGE_CAP: 'USAGE_CAP',
+  TIMEOUT: 'TIMEOUT',
+  ATTACHMENT_FAILED: 'ATTACHMENT_FAILED',
+  MODEL_NOT_AVAILABLE: 'MODEL_NOT_AVAILABLE',
+  TOOL_NOT_AVAILABLE: 'TOOL_NOT_AVAILABLE'
+};
+
+// How long to wait for the Enter-key fallback to submit the prompt
+const SEND_CONFIRM_DELAY = 3000;
+// After a cancel, keep looking for the stop button this long in case
+// generation hadn't visibly started yet
+const STOP_BUTTON_WAIT = 5000;
+// How long ChatGPT may take to upload attachments before we give up
+const ATTACHMENT_UPLOAD_TIMEOUT = 120000;
+const ATTACHMENT_POLL_INTERVAL = 500;
+// Uploads count as finished once nothing is spinning and the send button
+// is enabled for this many polls in a row
+const ATTACHMENT_STABLE_POLLS = 3;
+const UPLOAD_ERROR_PATTERN = /upload|unsupported|file type|too large|unable to (read|process)|couldn't (read|process)/i;
+
+// How long to wait for a menu to open after pressing its button
+const MENU_OPEN_WAIT = 1500;
+const MORE_MODELS_PATTERN = /^(more|other|legacy) models$/i;
+
+// Composer tools: the `hints` value of a new-chat URL (see chatgpt-tabs.js)
+// and the label of the tool's toggle or menu item
+const COMPOSER_TOOLS = {
+  search: { hint: 'search', label: /^(search|web search|search the web)$/i },
+  image: { hint: 'picture_v2', label: /^(image|create (an )?image)$/i },
+  canvas: { hint: 'canvas', label: /^canvas$/i },
+  research: { hint: 'research', label: /^(deep )?research$/i }
+};
+
+const RETRY_BUTTON_PATTERN = /^(regenerate|try again|retry)$/i;
+
+// "Thought for 12 seconds" / "Reasoned for 1m 5s" above a reasoning model's answer
+const REASONING_LABEL_PATTERN = /^(thought|reasoned) for\b/i;
+// The buttons under two side-by-side answers when ChatGPT asks which is better
+const COMPARISON_BUTTON_PATTERN = /prefer this response|^response [12]$/i;
+
+// How waitForResponse() decides an answer is finished. Any of these can be
+// changed per prompt (the `completion` option of sendPrompt).
+//   strategy      'auto': the answer's action bar has appeared, or nothing
+//                 is streaming and the text has settled for `settleTime`
+//                 'actions': only the action bar under the answer counts
+//                 'stable': only the text counts; it must not change for
+//                 `settleTime` (use when ChatGPT's markup has changed)
+//   settleTime    ms the text must stay unchanged
+//   timeout       ms to wait for the whole answer
+//   pollInterval  ms between checks; page changes also trigger one
+// The defaults come from the active settings profile (settings.js).
+
+// Error states ChatGPT shows instead of an answer, checked in order (a usage
+// cap message often also says "try again later"). Retryable states are
+// retried by the job queue; a usage cap is final.
+const ERROR_STATES = [
+  {
+    code: ERROR_CODES.USAGE_CAP,
+    retryable: false,
+    pattern: /usage cap|reached (the|your|our) .*limit|hit (the|your) .*limit|limit (resets|will reset)|out of messages/i
+  },
+  {
+    code: ERROR_CODES.RATE_LIMITED,
+    retryable: true,
+    pattern: /too many requests|rate limit|sending messages too (fast|quickly)|slow down/i
+  },
+  {
+    code: ERROR_CODES.NETWORK_ERROR,
+    retryable: true,
+    pattern: /network error|connection (error|lost|failed)|failed to fetch|check your (internet|network|connection)|you('re| are) offline/i
+  },
+  {
+    code: ERROR_CODES.GENERATION_ERROR,
+    retryable: true,
+    pattern: /something went wrong|error (generating|in (the )?message stream)|an error occurred|there was an error/i
+  }
+];
+
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === "PROMPT_CHATGPT") {
-    handlePrompt(request.prompt);
+    // Don't type over a reply that is still being generated
+    if (activeRequestId || isGenerating()) {
+      sendResponse({ status: "busy", activeRequestId: activeRequestId });
+      return true;
+    }
+    const options = {
+      attachments: request.attachments,
+      model: request.model,
+      tools: request.tools,
+      completion: request.completion
+    };
+    if (request.recovery === 'regenerate') {
+      handleRegenerate(request.prompt, request.requestId, options);
+    } else {
+      handlePrompt(request.prompt, request.requestId, options);
+    }
     sendResponse({ status: "started" });
+  } else if (request.action === "CANCEL_PROMPT") {
+    sendResponse({ cancelled: cancelPrompt(request.requestId) });
+  } else if (request.action === "GET_STATUS") {
+    sendResponse({
+      activeRequestId: activeRequestId,
+      generating: isGenerating(),
+      composerReady: findElement('composer') !== null,
+      loggedIn: findElement('loginButton') === null,
+      conversationId: getConversationId()
+    });
+  } else if (request.action === "GET_CONVERSATION") {
+    sendResponse({ conversationId: getConversationId(), turns: readConversationTurns() });
+  } else if (request.action === "DIAGNOSE_SELECTORS") {
+    sendResponse(diagnoseSelectors());
   }
   return true;
 });
 
-async function handlePrompt(promptText) {
-  const textarea = document.querySelector('#prompt-textarea');
+// New chats only get an ID (/c/<id>) once the first reply has started
+function getConversationId() {
+  const match = location.pathname.match(/\/c\/([\w-]+)/);
+  return match ? match[1] : null;
+}
+
+function findStopButton() {
+  return findElement('stopButton');
+}
+
+function isGenerating() {
+  return findStopButton() !== null;
+}
+
+// Report the outcome of a prompt: a captured response or a failure
+function reportResult(requestId, result) {
+  activeRequestId = null;
+  activeWaiter = null;
+  chrome.runtime.sendMessage(Object.assign({
+    action: "CAPTURED_RESPONSE",
+    requestId: requestId
+  }, result));
+}
+
+function reportError(requestId, code, message, details) {
+  console.error(`ChatGPT Automator: ${message} (${code})`);
+  reportResult(requestId, Object.assign({ ok: false, code: code, message: message }, details));
+}
+
+// Buttons with visible "Regenerate" / "Try again" text. The icon-only
+// actions under every answer have no text, so they don't match.
+function findRetryButtons() {
+  return Array.from(document.querySelectorAll('button')).filter(button =>
+    RETRY_BUTTON_PATTERN.test((button.innerText || button.textContent || '').trim())
+  );
+}
+
+function findRegenerateButton() {
+  const buttons = findRetryButtons();
+  return buttons.length > 0 ? buttons[buttons.length - 1] : null;
+}
+
+// Snapshot of error banners and retry buttons already on the page, so they
+// aren't blamed on the prompt we are about to send
+function captureErrorBaseline() {
+  return {
+    banners: new Set(findAllElements('errorBanner')),
+    retryButtons: new Set(findRetryButtons())
+  };
+}
+
+// Classify a new error state on the page, or return null if there is none
+function detectErrorState(baseline, hasResponseText) {
+  const banners = findAllElements('errorBanner')
+    .filter(banner => !baseline.banners.has(banner));
+
+  for (const banner of banners) {
+    const text = (banner.innerText || banner.textContent || '').trim();
+    if (!text) continue;
+
+    const state = ERROR_STATES.find(candidate => candidate.pattern.test(text));
+    if (state) {
+      return {
+        code: state.code,
+        message: text,
+        retryable: state.retryable,
+        canRegenerate: findRegenerateButton() !== null
+      };
+    }
+  }
+
+  // A fresh "Regenerate" button without an answer means generation failed
+  // without a recognizable message
+  const newRetryButton = findRetryButtons().some(button => !baseline.retryButtons.has(button));
+  if (newRetryButton && !hasResponseText && !isGenerating()) {
+    return {
+      code: ERROR_CODES.GENERATION_ERROR,
+      message: "ChatGPT failed to generate a response",
+      retryable: true,
+      canRegenerate: true
+    };
+  }
+
+  return null;
+}
+
+// Capture a response element as plain text plus its Markdown structure
+function serializeResponse(responseElement) {
+  const markdownElement = matchesElement(responseElement, 'markdown')
+    ? responseElement
+    : (findElement('markdown', responseElement) || responseElement);
+
+  return {
+    text: responseElement.innerText || responseElement.textContent || '',
+    markdown: domToMarkdown(markdownElement),
+    html: markdownElement.innerHTML,
+    codeBlocks: extractCodeBlocks(markdownElement)
+  };
+}
+
+// Every message in the open conversation as { role, text, markdown, messageId }
+function readConversationTurns() {
+  return findAllElements('message').map(message => {
+    const role = message.getAttribute('data-message-author-role');
+    const markdownElement = findElement('markdown', message);
+    const text = (markdownElement || message).innerText || (markdownElement || message).textContent || '';
+    return {
+      role: role,
+      text: text,
+      markdown: markdownElement ? domToMarkdown(markdownElement) : text,
+      messageId: message.getAttribute('data-message-id')
+    };
+  });
+}
+
+// Assistant (or tool) messages added since `baseline` was taken: the answer
+// to our prompt, possibly in several parts. Earlier answers and the user's
+// own turn are never among them.
+function findNewAssistantMessages(baseline, element = 'assistantMessage') {
+  return findAllElements(element).filter(message => !baseline.has(message));
+}
+
+// The element holding a message's rendered answer
+function getMessageContent(message) {
+  return findElement('markdown', message) || message;
+}
+
+function getMessageText(message) {
+  const content = getMessageContent(message);
+  return content.innerText || content.textContent || '';
+}
+
+// The turn containers holding these messages, in page order. A message
+// outside any container stands for its own turn.
+function findTurnContainers(messages) {
+  const turns = findAllElements('turn');
+  const containers = [];
+  messages.forEach(message => {
+    const container = turns.find(turn => turn.contains(message)) || message;
+    if (!containers.includes(container)) {
+      containers.push(container);
+    }
+  });
+  return containers;
+}
+
+// Whether ChatGPT has added the action bar under this message's turn. Code
+// blocks have copy buttons of their own, so buttons inside the message
+// itself don't count.
+function hasTurnActions(message) {
+  const turn = findTurnContainers([message])[0];
+  return findAllElements('turnActions', turn).some(button => !message.contains(button));
+}
+
+// Whether ChatGPT shows two answers side by side and asks which is better
+function isComparison(containers) {
+  return containers.some(container =>
+    Array.from(container.querySelectorAll('button')).some(button =>
+      COMPARISON_BUTTON_PATTERN.test((button.innerText || button.textContent || '').trim())
+    )
+  );
+}
+
+// The answer a retry replaces: the assistant and tool messages after the
+// user's last message. ChatGPT may write the new answer into them.
+function findFailedAnswer() {
+  const userMessages = findAllElements('userMessage');
+  const lastUserMessage = userMessages[userMessages.length - 1];
+  if (!lastUserMessage) {
+    return [];
+  }
+  return findAllElements('assistantMessage').concat(findAllElements('toolMessage')).filter(message =>
+    lastUserMessage.compareDocumentPosition(message) & Node.DOCUMENT_POSITION_FOLLOWING
+  );
+}
+
+// What is on the page before a prompt is sent. Answers and error banners
+// already there are not ours; a failed answer being retried stops being
+// part of the baseline once its text changes.
+function capturePageBaseline(failedAnswer = []) {
+  return {
+    messages: new Set(findAllElements('assistantMessage').concat(findAllElements('toolMessage'))),
+    errors: captureErrorBaseline(),
+    failed: new Map(failedAnswer.map(message => [message, message.textContent]))
+  };
+}
+
+// The message that holds the answer: the last one with text, or the first
+// of two answers shown side by side
+function findMainMessage(messages) {
+  const withText = messages.filter(message => getMessageText(message).length > 0);
+  if (withText.length === 0) {
+    return messages.length > 0 ? messages[messages.length - 1] : null;
+  }
+  if (withText.length > 1 && isComparison(findTurnContainers(withText))) {
+    return withText[0];
+  }
+  return withText[withText.length - 1];
+}
+
+// "12 seconds", "1m 5s" or "2 minutes" in a reasoning label as seconds;
+// null for "a few seconds"
+function parseReasoningSeconds(label) {
+  const minutes = label.match(/(\d+)\s*m(?:in(?:ute)?s?)?\b/i);
+  const seconds = label.match(/(\d+)\s*s(?:ec(?:ond)?s?)?\b/i);
+  if (!minutes && !seconds) {
+    return null;
+  }
+  return (minutes ? Number(minutes[1]) * 60 : 0) + (seconds ? Number(seconds[1]) : 0);
+}
+
+// A reasoning part from its label and, when expanded, its summary; null if
+// the element isn't a reasoning label
+function readReasoning(element) {
+  const labelButton = Array.from(element.querySelectorAll('button, [role="button"]'))
+    .find(button => REASONING_LABEL_PATTERN.test((button.innerText || button.textContent || '').trim()));
+  const label = labelButton
+    ? (labelButton.innerText || labelButton.textContent || '').trim()
+    : (elementLines(element)[0] || '');
+  if (!REASONING_LABEL_PATTERN.test(label)) {
+    return null;
+  }
+  const text = (element.innerText || element.textContent || '').replace(label, '').trim();
+  return { type: 'reasoning', label: label, seconds: parseReasoningSeconds(label), text: text };
+}
+
+// Source links in an answer as { title, url }, without duplicates
+function findCitations(content) {
+  const citations = [];
+  findAllElements('citation', content).forEach(link => {
+    if (citations.some(citation => citation.url === link.href)) return;
+    citations.push({
+      title: (link.innerText || link.textContent || '').trim() || link.getAttribute('title') || link.hostname,
+      url: link.href
+    });
+  });
+  return citations;
+}
+
+// Everything ChatGPT rendered in answer to our prompt, as labeled parts in
+// page order:
+//   { type: 'reasoning', label: "Thought for 12 seconds", seconds, text }
+//   { type: 'tool', label: "Tool output", text, messageId }
+//   { type: 'text', label: "Answer" (or "Interim message"), text, markdown, codeBlocks, citations, messageId, model }
+//   { type: 'candidate', label: "Response 1", ... } for each of two answers shown side by side
+//   { type: 'image', label: "Generated image", url, alt }
+function captureTurn(baseline) {
+  const messages = findNewAssistantMessages(baseline);
+  const main = findMainMessage(messages);
+  const containers = findTurnContainers(messages);
+  const textMessages = messages.filter(message => getMessageText(message).length > 0);
+  const comparison = textMessages.length > 1 && isComparison(findTurnContainers(textMessages));
+  const entries = [];
+
+  containers.forEach(container => {
+    const labels = [];
+    findAllElements('reasoning', container).forEach(element => {
+      if (labels.some(label => label.contains(element))) return;
+      const part = readReasoning(element);
+      if (part) {
+        labels.push(element);
+        entries.push({ element: element, part: part });
+      }
+    });
+  });
+
+  findNewAssistantMessages(baseline, 'toolMessage').forEach(message => {
+    entries.push({ element: message, part: {
+      type: 'tool',
+      label: "Tool output",
+      text: (message.innerText || message.textContent || '').trim(),
+      messageId: message.getAttribute('data-message-id')
+    } });
+  });
+
+  messages.forEach(message => {
+    const index = textMessages.indexOf(message);
+    if (index !== -1) {
+      const content = getMessageContent(message);
+      const response = serializeResponse(content);
+      entries.push({ element: message, part: {
+        type: comparison ? 'candidate' : 'text',
+        label: comparison ? `Response ${index + 1}` : (message === main ? "Answer" : "Interim message"),
+        text: response.text,
+        markdown: response.markdown,
+        codeBlocks: response.codeBlocks,
+        citations: findCitations(content),
+        messageId: message.getAttribute('data-message-id'),
+        model: getResponseModel(message)
+      } });
+    }
+    findAllElements('generatedImage', message).forEach(image => {
+      if (entries.some(entry => entry.part.type === 'image' && entry.part.url === image.src)) return;
+      entries.push({ element: image, part: { type: 'image', label: "Generated image", url: image.src, alt: image.alt || '' } });
+    });
+  });
+
+  entries.sort((a, b) => a.element.compareDocumentPosition(b.element) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1);
+  const parts = entries.map(entry => entry.part);
+
+  const citations = [];
+  parts.forEach(part => (part.citations || []).forEach(citation => {
+    if (!citations.some(existing => existing.url === citation.url)) citations.push(citation);
+  }));
+
+  return {
+    main: main,
+    parts: parts,
+    citations: citations,
+    candidates: comparison ? parts.filter(part => part.type === 'candidate') : null
+  };
+}
+
+// `completion` options over the defaults; unknown keys and bad values are ignored
+function getCompletionSettings(completion) {
+  const defaults = currentSettings();
+  const settings = {
+    strategy: defaults.completionStrategy,
+    settleTime: defaults.settleTime,
+    timeout: defaults.responseTimeout,
+    pollInterval: defaults.pollInterval
+  };
+  if (completion && ['auto', 'actions', 'stable'].includes(completion.strategy)) {
+    settings.strategy = completion.strategy;
+  }
+  // With nothing but the text to go on, wait longer before calling it done
+  if (settings.strategy === 'stable') {
+    settings.settleTime = defaults.stableSettleTime;
+  }
+  // Only the settle time may be 0: a zero timeout would fail every prompt
+  // at once, a zero poll interval would poll in a busy loop
+  ['settleTime', 'timeout', 'pollInterval'].forEach(key => {
+    const value = completion ? completion[key] : undefined;
+    if (typeof value === 'number' && isFinite(value) && (value > 0 || (key === 'settleTime' && value === 0))) {
+      settings[key] = value;
+    }
+  });
+  return settings;
+}
+
+// Whether the answer in `messages` is finished, given how long the turn has
+// gone unchanged
+function isAnswerFinished(messages, quietFor, settings) {
+  const last = messages[messages.length - 1];
+  if (settings.strategy === 'stable') {
+    return quietFor >= settings.settleTime;
+  }
+  if (settings.strategy === 'actions') {
+    return hasTurnActions(last);
+  }
+  if (isGenerating() || messages.some(message => findElement('streamingIndicator', message))) {
+    return false;
+  }
+  return hasTurnActions(last) || quietFor >= settings.settleTime;
+}
+
+// options: { attachments, model, tools, completion }
+async function handlePrompt(promptText, requestId, options = {}) {
+  activeRequestId = requestId;
+  const textarea = findElement('composer');
   
   if (!textarea) {
-    console.error("ChatGPT Automator: Could not find textarea.");
+    reportError(requestId, ERROR_CODES.TEXTAREA_NOT_FOUND, "Could not find the prompt box");
     return;
   }
 
+  if (options.model) {
+    const selection = await selectModel(options.model);
+    if (activeRequestId !== requestId) {
+      return;
+    }
+    if (!selection.success) {
+      reportError(requestId, ERROR_CODES.MODEL_NOT_AVAILABLE, selection.error);
+      return;
+    }
+  }
+
+  for (const tool of options.tools || []) {
+    const enabled = await enableComposerTool(tool, textarea);
+    if (activeRequestId !== requestId) {
+      return;
+    }
+    if (!enabled.success) {
+      reportError(requestId, ERROR_CODES.TOOL_NOT_AVAILABLE, enabled.error);
+      return;
+    }
+  }
+
+  // Files go in first: the send button only means "uploads finished" while
+  // the prompt box is still empty
+  const attachments = options.attachments;
+  if (attachments && attachments.length > 0) {
+    const upload = await attachFiles(attachments, textarea, requestId);
+    if (activeRequestId !== requestId) {
+      return;
+    }
+    if (!upload.success) {
+      reportError(requestId, ERROR_CODES.ATTACHMENT_FAILED, upload.error);
+      return;
+    }
+  }
+
   textarea.focus();
 
-  const success = await setProseMirrorContent(promptText, textarea);
+  const injection = await setProseMirrorContent(promptText, textarea);
+
+  // Cancelled while the text was being inserted
+  if (activeRequestId !== requestId) {
+    return;
+  }
   
-  if (!success) {
-    console.error("ChatGPT Automator: Failed to set prompt text.");
+  if (!injection.success) {
+    reportError(requestId, ERROR_CODES.INJECTION_FAILED,
+      `Failed to set prompt text${injection.error ? ': ' + injection.error : ''}`);
     return;
   }
 
   setTimeout(() => {
-    const sendButton = document.querySelector('button[data-testid="send-button"]');
-    
+    if (activeRequestId !== requestId) {
+      return;
+    }
+
+    const sendButton = findElement('sendButton');
+    // Taken before sending: the page may add the new turn right away
+    const baseline = capturePageBaseline();
+
     if (sendButton) {
       sendButton.click();
-      waitForResponse();
+      activeWaiter = waitForResponse(requestId, options.completion, baseline);
     } else {
       const enterEvent = new KeyboardEvent('keydown', {
         bubbles: true,
         cancelable: true,
+        key: 'Enter',
+        code: 'Enter',
         keyCode: 13
       });
       textarea.dispatchEvent(enterEvent);
-      waitForResponse();
+      const waiter = waitForResponse(requestId, options.completion, baseline);
+      activeWaiter = waiter;
+
+      // Without a send button we can't be sure Enter submitted the prompt:
+      // if the text is still in the box and nothing is generating, give up
+      setTimeout(() => {
+        const remaining = (textarea.textContent || textarea.innerText || '').trim();
+        if (activeRequestId === requestId && remaining.length > 0 && !isGenerating()) {
+          waiter.stop();
+          reportError(requestId, ERROR_CODES.SEND_BUTTON_NOT_FOUND,
+            "Could not find the send button, and pressing Enter did not submit the prompt");
+        }
+      }, SEND_CONFIRM_DELAY);
     }
-  }, 300);
+  }, currentSettings().sendDelay);
+}
+
+// Retry a failed answer with ChatGPT's own "Regenerate" button; fall back
+// to typing the prompt again if there is none
+async function handleRegenerate(promptText, requestId, options) {
+  const button = findRegenerateButton();
+  if (!button) {
+    return handlePrompt(promptText, requestId, options);
+  }
+
+  activeRequestId = requestId;
+  // Taken before the click, which may already start the new answer
+  const baseline = capturePageBaseline(findFailedAnswer());
+  button.click();
+  activeWaiter = waitForResponse(requestId, options.completion, baseline);
+}
+
+// Stop working on a prompt: tear down the response watcher and click
+// ChatGPT's stop button so the page stops generating too
+function cancelPrompt(requestId) {
+  if (!activeRequestId || activeRequestId !== requestId) {
+    return false;
+  }
+
+  if (activeWaiter) {
+    activeWaiter.stop();
+    activeWaiter = null;
+  }
+  activeRequestId = null;
+  stopGeneration();
+
+  console.log("ChatGPT Automator: Prompt cancelled");
+  return true;
+}
+
+function stopGeneration() {
+  const deadline = Date.now() + STOP_BUTTON_WAIT;
+
+  const tryStop = () => {
+    const stopButton = findStopButton();
+    if (stopButton) {
+      stopButton.click();
+      return;
+    }
+    // Don't click a stop button for a prompt sent after this one
+    if (Date.now() < deadline && !activeRequestId) {
+      setTimeout(tryStop, 250);
+    }
+  };
+  tryStop();
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Poll until find() returns an element, or give up after `timeout`
+async function waitForElement(find, timeout) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    const element = find();
+    if (element) {
+      return element;
+    }
+    await delay(100);
+  }
+  return null;
+}
+
+// ChatGPT's menus open on pointerdown rather than click
+function pressButton(element) {
+  ['pointerdown', 'mousedown', 'pointerup', 'mouseup', 'click'].forEach(type => {
+    const EventType = type.startsWith('pointer') && typeof PointerEvent !== 'undefined' ? PointerEvent : MouseEvent;
+    element.dispatchEvent(new EventType(type, { bubbles: true, cancelable: true, button: 0 }));
+  });
+}
+
+function closeMenus() {
+  (document.activeElement || document.body).dispatchEvent(
+    new KeyboardEvent('keydown', { bubbles: true, cancelable: true, key: 'Escape', code: 'Escape', keyCode: 27 })
+  );
+}
+
+function elementLines(element) {
+  return (element.innerText || element.textContent || '').split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+// "gpt-4o", "GPT-4o" and "ChatGPT 4o" all become "4o"
+function normalizeModelName(name) {
+  return (name || '').toLowerCase().replace(/^(chatgpt|gpt)/, '').replace(/[^a-z0-9.]/g, '').replace(/^gpt/, '');
+}
+
+function modelMatches(label, model) {
+  return !!label && normalizeModelName(label) === normalizeModelName(model);
+}
+
+// The model the picker shows, falling back to the ?model= of a new chat
+function getCurrentModel() {
+  const button = findElement('modelSwitcher');
+  const label = button ? elementLines(button)[0] : null;
+  return label || new URLSearchParams(location.search).get('model');
+}
+
+// The model that wrote a response: its turn's model slug when the page
+// exposes one, otherwise the model the picker shows
+function getResponseModel(responseElement) {
+  const turn = responseElement && responseElement.closest('[data-message-model-slug]');
+  return turn ? turn.getAttribute('data-message-model-slug') : getCurrentModel();
+}
+
+function findModelMenuItem(model) {
+  const byTestId = document.querySelector(`[data-testid="model-switcher-${CSS.escape(model)}"]`);
+  if (byTestId) {
+    return byTestId;
+  }
+  return findAllElements('menuItem')
+    .find(item => elementLines(item).some(line => modelMatches(line, model))) || null;
+}
+
+function findMenuItem(pattern) {
+  return findAllElements('menuItem')
+    .find(item => elementLines(item).some(line => pattern.test(line))) || null;
+}
+
+// Pick `model` in the model picker, looking in the "More models" submenu too
+async function selectModel(model) {
+  const current = getCurrentModel();
+  if (modelMatches(current, model) || new URLSearchParams(location.search).get('model') === model) {
+    return { success: true };
+  }
+
+  const switcher = findElement('modelSwitcher');
+  if (!switcher) {
+    return { success: false, error: "Could not find the model picker" };
+  }
+
+  pressButton(switcher);
+  let item = await waitForElement(() => findModelMenuItem(model), MENU_OPEN_WAIT);
+  if (!item) {
+    const more = findMenuItem(MORE_MODELS_PATTERN);
+    if (more) {
+      pressButton(more);
+      item = await waitForElement(() => findModelMenuItem(model), MENU_OPEN_WAIT);
+    }
+  }
+
+  if (!item) {
+    closeMenus();
+    return { success: false, error: `Model "${model}" is not available in the model picker (current: ${current || 'unknown'})` };
+  }
+
+  pressButton(item);
+  await delay(300);
+  console.log(`ChatGPT Automator: Selected model ${model}`);
+  return { success: true };
+}
+
+function isComposerToolActive(tool, composer) {
+  if (new URLSearchParams(location.search).get('hints') === tool.hint) {
+    return true;
+  }
+  return findAllElements('activeTool', composer)
+    .some(element => elementLines(element).some(line => tool.label.test(line)) ||
+      tool.label.test(element.getAttribute('aria-label') || ''));
+}
+
+// Turn on a composer tool with its toggle button, or through the "+" menu
+async function enableComposerTool(name, textarea) {
+  const tool = COMPOSER_TOOLS[name];
+  if (!tool) {
+    return { success: false, error: `Unknown tool "${name}"` };
+  }
+
+  const composer = textarea.closest('form') || document.body;
+  if (isComposerToolActive(tool, composer)) {
+    return { success: true };
+  }
+
+  const toggle = findAllElements('toolToggle', composer)
+    .find(button => tool.label.test(button.getAttribute('aria-label') || '') || elementLines(button).some(line => tool.label.test(line)));
+  if (toggle) {
+    pressButton(toggle);
+    await delay(300);
+    return { success: true };
+  }
+
+  const plusButton = findElement('composerPlusButton', composer);
+  if (plusButton) {
+    pressButton(plusButton);
+    const item = await waitForElement(() => findMenuItem(tool.label), MENU_OPEN_WAIT);
+    if (item) {
+      pressButton(item);
+      await delay(300);
+      return { success: true };
+    }
+    closeMenus();
+  }
+
+  return { success: false, error: `Could not turn on the "${name}" tool in the composer` };
+}
+
+// Attachments arrive as { name, mimeType, data } with base64 data
+function attachmentToFile(attachment) {
+  const binary = atob(attachment.data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new File([bytes], attachment.name, { type: attachment.mimeType || 'application/octet-stream' });
+}
+
+function acceptsFile(input, file) {
+  const accept = (input.getAttribute('accept') || '').trim();
+  if (!accept) {
+    return true;
+  }
+  return accept.split(',').map(type => type.trim().toLowerCase()).some(type =>
+    type === file.type ||
+    (type.endsWith('/*') && file.type.startsWith(type.slice(0, -1))) ||
+    (type.startsWith('.') && file.name.toLowerCase().endsWith(type))
+  );
+}
+
+// ChatGPT has several hidden file inputs (e.g. one for images only); use
+// one that takes every file we're attaching
+function findFileInput(files) {
+  const inputs = findAllElements('fileInput')
+    .filter(input => files.length === 1 || input.multiple);
+  return inputs.find(input => files.every(file => acceptsFile(input, file))) || null;
+}
+
+// Hand the files to ChatGPT the way its upload button (or a drag and drop)
+// would, then wait for the uploads to finish
+async function attachFiles(attachments, textarea, requestId) {
+  let files;
+  try {
+    files = attachments.map(attachmentToFile);
+  } catch (e) {
+    return { success: false, error: `Could not decode attachment data: ${e.message}` };
+  }
+
+  const errorBaseline = captureErrorBaseline();
+  const transfer = new DataTransfer();
+  files.forEach(file => transfer.items.add(file));
+
+  const fileInput = findFileInput(files);
+  if (fileInput) {
+    fileInput.files = transfer.files;
+    fileInput.dispatchEvent(new Event('change', { bubbles: true }));
+  } else {
+    const dropTarget = textarea.closest('form') || textarea;
+    ['dragenter', 'dragover', 'drop'].forEach(type => {
+      dropTarget.dispatchEvent(new DragEvent(type, { bubbles: true, cancelable: true, dataTransfer: transfer }));
+    });
+  }
+
+  console.log(`ChatGPT Automator: Uploading ${files.length} attachment(s)...`);
+  return waitForUploads(textarea, errorBaseline, requestId);
+}
+
+function waitForUploads(textarea, errorBaseline, requestId) {
+  const composer = textarea.closest('form') || document.body;
+  const deadline = Date.now() + ATTACHMENT_UPLOAD_TIMEOUT;
+  let stablePolls = 0;
+
+  return new Promise((resolve) => {
+    const poll = () => {
+      if (activeRequestId !== requestId) {
+        resolve({ success: false, error: "Cancelled" });
+        return;
+      }
+
+      const banner = findAllElements('errorBanner').find(candidate =>
+        !errorBaseline.banners.has(candidate) && UPLOAD_ERROR_PATTERN.test(candidate.innerText || candidate.textContent || '')
+      );
+      if (banner) {
+        resolve({ success: false, error: (banner.innerText || banner.textContent).trim() });
+        return;
+      }
+
+      const sendButton = findElement('sendButton');
+      const uploading = findElement('uploadProgress', composer) !== null;
+      stablePolls = !uploading && sendButton && !sendButton.disabled ? stablePolls + 1 : 0;
+
+      if (stablePolls >= ATTACHMENT_STABLE_POLLS) {
+        resolve({ success: true });
+      } else if (Date.now() > deadline) {
+        resolve({ success: false, error: "Timed out waiting for ChatGPT to finish uploading the attachments" });
+      } else {
+        setTimeout(poll, ATTACHMENT_POLL_INTERVAL);
+      }
+    };
+    setTimeout(poll, ATTACHMENT_POLL_INTERVAL);
+  });
 }
 
 async function setProseMirrorContent(promptText, textarea) {
@@ -48,7 +882,8 @@ async function setProseMirrorContent(promptText, textarea) {
     const result = await new Promise((resolve) => {
       chrome.runtime.sendMessage({
         action: "INJECT_PROSEMIRROR_SCRIPT",
-        promptText: promptText
+        promptText: promptText,
+        composerSelector: getMatchedSelector('composer')
       }, (response) => {
         if (chrome.runtime.lastError) {
           resolve({ success: false, error: chrome.runtime.lastError.message });
@@ -59,32 +894,56 @@ async function setProseMirrorContent(promptText, textarea) {
     });
     
     // Always verify content directly in textarea
-    await new Promise(resolve => setTimeout(resolve, 300));
+    await new Promise(resolve => setTimeout(resolve, currentSettings().injectionCheckDelay));
     const contentCheck = textarea.textContent || textarea.innerText || '';
     
     if (contentCheck.trim().length > 0) {
-      return true;
+      return { success: true };
     }
     
-    return false;
+    return { success: false, error: result.error || "Prompt box is still empty" };
   } catch (e) {
     console.error("ChatGPT Automator: Error setting content:", e);
-    return false;
+    return { success: false, error: e.message };
   }
 }
 
-function waitForResponse() {
-  console.log("Waiting for ChatGPT response to complete...");
+// Watch for the answer to the prompt just sent: the assistant turn that
+// appears after it. Reports it once finished (see getCompletionSettings()),
+// or the error ChatGPT shows instead.
+function waitForResponse(requestId, completion, pageBaseline = capturePageBaseline()) {
+  const settings = getCompletionSettings(completion);
+  console.log(`Waiting for ChatGPT response to complete (${settings.strategy})...`);
 
-  let checkCount = 0;
-  const maxChecks = 300; // Maximum number of checks (5 minutes at 1 second intervals)
-  let streamingDetected = false;
-  let lastResponseLength = 0;
-  let stableCount = 0;
-  const requiredStableChecks = 3; // Response must be stable for 3 seconds
+  const startedAt = Date.now();
+  // Answers already on the page (e.g. the previous one) are not ours
+  const baseline = pageBaseline.messages;
+  const errorBaseline = pageBaseline.errors;
   let observer = null;
   let intervalId = null;
   let isComplete = false;
+  let lastSnapshot = null;
+  let lastChangeAt = startedAt;
+  let streamedMessage = null;
+  let streamedLength = 0;
+
+  // Report text added to the answer since the last chunk
+  const emitChunk = (message, text) => {
+    if (message !== streamedMessage) {
+      streamedMessage = message;
+      streamedLength = 0;
+    }
+    if (text.length <= streamedLength) return;
+
+    const delta = text.slice(streamedLength);
+    streamedLength = text.length;
+    chrome.runtime.sendMessage({
+      action: "RESPONSE_CHUNK",
+      delta: delta,
+      text: text,
+      requestId: requestId
+    });
+  };
 
   const cleanup = () => {
     if (observer) {
@@ -99,102 +958,78 @@ function waitForResponse() {
 
   const checkCompletion = () => {
     if (isComplete) return;
-    
-    checkCount++;
-    
-    // Safety timeout
-    if (checkCount > maxChecks) {
-      console.error("Timeout waiting for response");
+
+    const now = Date.now();
+    if (now - startedAt > settings.timeout) {
+      isComplete = true;
       cleanup();
-      chrome.runtime.sendMessage({
-        action: "CAPTURED_RESPONSE",
-        text: "Response timeout - please check manually"
+      reportError(requestId, ERROR_CODES.TIMEOUT, "Timed out waiting for ChatGPT to finish responding");
+      return;
+    }
+
+    // A failed answer rewritten in place is the new answer
+    pageBaseline.failed.forEach((failedText, failed) => {
+      if (failed.textContent !== failedText) {
+        baseline.delete(failed);
+        pageBaseline.failed.delete(failed);
+      }
+    });
+
+    const messages = findNewAssistantMessages(baseline);
+    const message = findMainMessage(messages);
+    const text = message ? getMessageText(message) : '';
+    // Every part of the turn (other messages, images) must have settled
+    const snapshot = messages.map(part =>
+      (part.textContent || '') + findAllElements('generatedImage', part).map(image => image.src).join(' ')
+    ).join('\n').trim();
+
+    // Error banners take precedence, so they are never captured as the answer
+    const errorState = detectErrorState(errorBaseline, snapshot.length > 0);
+    if (errorState) {
+      isComplete = true;
+      cleanup();
+      reportError(requestId, errorState.code, errorState.message, {
+        retryable: errorState.retryable,
+        canRegenerate: errorState.canRegenerate
       });
       return;
     }
 
-    // Try multiple selectors for send button
-    let sendButton = document.querySelector('button[data-testid="send-button"]');
-    if (!sendButton) {
-      sendButton = document.querySelector('button[aria-label*="Send" i], button[aria-label*="send" i]') ||
-                   document.querySelector('button[title*="Send" i], button[title*="send" i]') ||
-                   document.querySelector('button[type="submit"]');
+    if (!snapshot) return;
+
+    if (snapshot !== lastSnapshot) {
+      lastSnapshot = snapshot;
+      lastChangeAt = now;
     }
-    
-    const stopButton = document.querySelector('button[aria-label*="Stop"], button[aria-label*="stop"], [data-testid="stop-button"]') ||
-                       document.querySelector('button[aria-label*="stop generating" i], button[title*="Stop" i]');
-    
-    // Check if streaming has started
-    if (stopButton && !streamingDetected) {
-      streamingDetected = true;
-      console.log("Streaming detected - waiting for completion...");
+    if (text) {
+      emitChunk(message, text);
     }
 
-    // Check for completion indicators
-    const isStreaming = document.querySelector('.result-streaming, [class*="streaming"], [class*="Streaming"]');
-    const hasStopButton = stopButton !== null;
-    
-    // Get the latest response
-    let responses = document.querySelectorAll('.markdown, [class*="markdown"], [data-testid="conversation-turn-block"]');
-    if (responses.length === 0) {
-      responses = document.querySelectorAll('[class*="Message"], [class*="message"], [class*="Response"], [class*="response"]');
-    }
-    
-    let currentResponseLength = 0;
-    let lastResponse = null;
-    
-    if (responses.length > 0) {
-      lastResponse = responses[responses.length - 1];
-      currentResponseLength = lastResponse.innerText ? lastResponse.innerText.length : 0;
-    }
-
-    // Completion conditions:
-    // 1. Streaming was detected (we know a response started)
-    // 2. No stop button exists (streaming has stopped)
-    // 3. No streaming indicators (no streaming class elements)
-    // 4. Response content exists
-    // 5. Send button check (optional - if found, it should be enabled)
-    const completionConditionsMet = streamingDetected && 
-                                    !hasStopButton && 
-                                    !isStreaming &&
-                                    lastResponse &&
-                                    currentResponseLength > 0 &&
-                                    (!sendButton || !sendButton.disabled);
-
-    if (completionConditionsMet) {
-      // Check if response length is stable
-      if (currentResponseLength === lastResponseLength) {
-        stableCount++;
-        
-        if (stableCount >= requiredStableChecks) {
-          // Response is complete and stable
-          isComplete = true;
-          cleanup();
-          const responseText = lastResponse.innerText || lastResponse.textContent || '';
-          
-          console.log("Response captured successfully (length:", responseText.length, "chars)");
-          
-          chrome.runtime.sendMessage({
-            action: "CAPTURED_RESPONSE",
-            text: responseText
-          });
-          return;
-        }
-      } else {
-        // Response is still changing, reset stability counter
-        stableCount = 0;
-        lastResponseLength = currentResponseLength;
-      }
-    } else {
-      // Reset stability counter if conditions not met
-      stableCount = 0;
-      if (currentResponseLength > 0) {
-        lastResponseLength = currentResponseLength;
-      }
+    if (isAnswerFinished(messages, now - lastChangeAt, settings)) {
+      isComplete = true;
+      cleanup();
+      const turn = captureTurn(baseline);
+      const response = serializeResponse(getMessageContent(turn.main));
+
+      console.log("Response captured successfully (length:", response.text.length, "chars,", turn.parts.length, "parts)");
+
+      reportResult(requestId, {
+        ok: true,
+        text: response.text,
+        markdown: response.markdown,
+        html: response.html,
+        codeBlocks: response.codeBlocks,
+        parts: turn.parts,
+        citations: turn.citations,
+        candidates: turn.candidates,
+        conversationId: getConversationId(),
+        conversationUrl: location.href,
+        model: getResponseModel(turn.main)
+      });
     }
   };
 
-  // Set up observer to watch for changes
+  // Check on every page change, and on a timer for the settle time
   observer = new MutationObserver(() => {
     checkCompletion();
   });
@@ -202,18 +1037,20 @@ function waitForResponse() {
   observer.observe(document.body, {
     childList: true,
     subtree: true,
+    characterData: true,
     attributes: true,
     attributeFilter: ['class', 'disabled', 'aria-label']
   });
 
-  // Also check periodically in case mutations are missed
-  intervalId = setInterval(() => {
-    checkCompletion();
-    if (isComplete) {
-      cleanup();
-    }
-  }, 1000);
+  intervalId = setInterval(checkCompletion, settings.pollInterval);
 
-  // Start checking immediately
   checkCompletion();
+
+  return {
+    // Stop watching without reporting anything
+    stop: () => {
+      isComplete = true;
+      cleanup();
+    }
+  };
 }
@@ -0,0 +1,177 @@
+// Persistent history of finished prompts, owned by the background service
+// worker. Every job that completes, fails or is cancelled is recorded from
+// its final job update, so answers survive the popup (or any other caller)
+// closing mid-generation.
+//
+// Entries are stored one per key (`historyEntry:<jobId>`) with the ordered
+// list of IDs under `historyIndex`, so recording an answer doesn't rewrite
+// the whole history. `historyEnabled`, `historyMaxEntries` and
+// `historyMaxAgeDays` in chrome.storage.local control what is kept.
+
+const HISTORY_INDEX_KEY = 'historyIndex';
+const HISTORY_ENTRY_PREFIX = 'historyEntry:';
+const DEFAULT_HISTORY_MAX_ENTRIES = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let historyLock = Promise.resolve();
+
+// Serialize history writes, like withJobQueue() does for the queue
+function withHistory(mutator) {
+  const run = historyLock.then(async () => {
+    const stored = await chrome.storage.local.get(HISTORY_INDEX_KEY);
+    const index = stored[HISTORY_INDEX_KEY] || [];
+    const result = await mutator(index);
+    await chrome.storage.local.set({ [HISTORY_INDEX_KEY]: index });
+    return result;
+  });
+  historyLock = run.catch(() => {});
+  return run;
+}
+
+async function getHistorySettings() {
+  const settings = await chrome.storage.local.get(['historyEnabled', 'historyMaxEntries', 'historyMaxAgeDays']);
+  return {
+    enabled: settings.historyEnabled !== false,
+    maxEntries: settings.historyMaxEntries || DEFAULT_HISTORY_MAX_ENTRIES,
+    maxAgeDays: settings.historyMaxAgeDays || 0
+  };
+}
+
+function jobToHistoryEntry(job) {
+  return {
+    id: job.id,
+    prompt: job.prompt,
+    response: job.response,
+    markdown: job.markdown,
+    status: job.status,
+    error: job.error,
+    errorCode: job.errorCode,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    durationMs: job.startedAt && job.finishedAt ? job.finishedAt - job.startedAt : null,
+    conversationId: job.conversationId,
+    conversationUrl: job.conversationUrl,
+    model: job.model,
+    attachments: job.attachments ? job.attachments.map(({ name, mimeType, size }) => ({ name, mimeType, size })) : null
+  };
+}
+
+// Record a finished job. Recording the same job again replaces its entry.
+async function recordHistory(job) {
+  const settings = await getHistorySettings();
+  if (!settings.enabled) {
+    return;
+  }
+
+  const entry = jobToHistoryEntry(job);
+  await withHistory(async (index) => {
+    const existing = index.indexOf(entry.id);
+    if (existing !== -1) {
+      index.splice(existing, 1);
+    }
+    index.push(entry.id);
+    await chrome.storage.local.set({ [HISTORY_ENTRY_PREFIX + entry.id]: entry });
+    await applyHistoryRetention(index, settings);
+  });
+}
+
+// Drop entries beyond the count limit or older than the age limit (oldest first)
+async function applyHistoryRetention(index, settings) {
+  let dropped = index.length > settings.maxEntries ? index.splice(0, index.length - settings.maxEntries) : [];
+
+  // The index is in the order jobs finished, so only the oldest can be expired
+  if (settings.maxAgeDays > 0) {
+    const cutoff = Date.now() - settings.maxAgeDays * DAY_MS;
+    while (index.length > 0) {
+      const [oldest] = await loadHistoryEntries([index[0]]);
+      if (oldest && (oldest.finishedAt || oldest.createdAt) >= cutoff) {
+        break;
+      }
+      dropped.push(index.shift());
+    }
+  }
+
+  if (dropped.length > 0) {
+    await chrome.storage.local.remove(dropped.map(id => HISTORY_ENTRY_PREFIX + id));
+  }
+}
+
+async function loadHistoryEntries(ids) {
+  if (ids.length === 0) {
+    return [];
+  }
+  const stored = await chrome.storage.local.get(ids.map(id => HISTORY_ENTRY_PREFIX + id));
+  return ids.map(id => stored[HISTORY_ENTRY_PREFIX + id]).filter(Boolean);
+}
+
+// Every whitespace-separated term must appear in the prompt, response,
+// error or conversation URL (case-insensitive)
+function matchesHistoryQuery(entry, terms) {
+  const haystack = [entry.prompt, entry.response, entry.error, entry.conversationUrl]
+    .filter(Boolean).join('\n').toLowerCase();
+  return terms.every(term => haystack.includes(term));
+}
+
+// Newest first. Returns { entries, total } where total counts every match.
+async function searchHistory({ query, status, limit, offset } = {}) {
+  const stored = await chrome.storage.local.get(HISTORY_INDEX_KEY);
+  const index = stored[HISTORY_INDEX_KEY] || [];
+  const terms = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+
+  const matches = (await loadHistoryEntries(index.slice().reverse())).filter(entry =>
+    (!status || entry.status === status) && matchesHistoryQuery(entry, terms)
+  );
+  const start = offset || 0;
+  return {
+    entries: limit ? matches.slice(start, start + limit) : matches.slice(start),
+    total: matches.length
+  };
+}
+
+// Delete the given entries, or everything when no IDs are passed
+async function deleteHistory(ids) {
+  return withHistory(async (index) => {
+    const removed = ids ? index.filter(id => ids.includes(id)) : index.slice();
+    removed.forEach(id => index.splice(index.indexOf(id), 1));
+    await chrome.storage.local.remove(removed.map(id => HISTORY_ENTRY_PREFIX + id));
+    return removed.length;
+  });
+}
+
+jobUpdateListeners.add((job) => {
+  if (isFinishedJob(job)) {
+    recordHistory(job).catch(error => console.error("ChatGPT Automator: Failed to record history:", error));
+  }
+});
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  switch (request.action) {
+    case "SEARCH_HISTORY":
+      searchHistory(request)
+        .then(result => sendResponse({ success: true, entries: result.entries, total: result.total }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case "DELETE_HISTORY":
+      deleteHistory(request.ids)
+        .then(deleted => sendResponse({ success: true, deleted: deleted }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+  }
+  return false;
+});
+
+function pruneHistory() {
+  return getHistorySettings().then(settings => withHistory(index => applyHistoryRetention(index, settings)));
+}
+
+// Retention settings may have been tightened
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && (changes.historyMaxEntries || changes.historyMaxAgeDays)) {
+    pruneHistory().catch(error => console.error("ChatGPT Automator: Failed to prune history:", error));
+  }
+});
+
+// Entries may have aged out while the service worker was asleep
+pruneHistory().catch(error => console.error("ChatGPT Automator: Failed to prune history:", error));
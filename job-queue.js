@@ -0,0 +1,666 @@
+// Job queue owned by the background service worker.
+// Prompts are queued per ChatGPT tab and dispatched one at a time: the next
+// job for a tab is only sent once the previous CAPTURED_RESPONSE came back.
+// The queue lives in chrome.storage.local so it survives the service worker
+// being suspended.
+// With the tab pool on (tab-pool.js), jobs sent without a tab wait for an
+// idle pool tab instead, so several of them run side by side.
+
+const JOB_QUEUE_STORAGE_KEY = 'jobQueue';
+const MAX_FINISHED_JOBS = 100;
+const BUSY_RETRY_DELAY = 2000;
+const RETRY_ALARM_NAME = 'jobQueueRetry';
+// Attachment contents are stored under their own key per job, so the queue
+// itself (which is read and written on every change) stays small
+const ATTACHMENT_STORAGE_PREFIX = 'jobAttachments:';
+
+const COMPLETION_STRATEGIES = ['auto', 'actions', 'stable'];
+
+// Failed jobs whose error is retryable (see content.js ERROR_STATES) are
+// queued again after a backoff, unless the caller passes `retry: false`.
+// `attempts` comes from the active settings profile (settings.js).
+const DEFAULT_RETRY = {
+  attempts: 2,
+  delay: 2000,
+  factor: 2,
+  maxDelay: 60000,
+  strategy: 'regenerate'
+};
+
+let jobQueueLock = Promise.resolve();
+let busyRetryTimer = null;
+let retryWakeTimer = null;
+
+// Other background modules (e.g. the bridge client) can observe job changes;
+// extension pages get them as JOB_UPDATED messages.
+const jobUpdateListeners = new Set();
+
+// For work started without waiting for it, such as another pass over the
+// queue: a storage error is logged instead of becoming an unhandled
+// rejection in the service worker
+function logJobQueueError(error) {
+  console.error("ChatGPT Automator: Job queue error:", error);
+}
+
+// Error for a failed queue operation; `code` is reported alongside the message
+function jobError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Run a mutation against the stored queue. Calls are serialized so two
+// messages arriving at once can't overwrite each other's changes.
+function withJobQueue(mutator) {
+  const run = jobQueueLock.then(async () => {
+    const stored = await chrome.storage.local.get(JOB_QUEUE_STORAGE_KEY);
+    const jobs = stored[JOB_QUEUE_STORAGE_KEY] || [];
+    const result = await mutator(jobs);
+    await releaseAttachmentData(jobs);
+    await chrome.storage.local.set({ [JOB_QUEUE_STORAGE_KEY]: pruneFinishedJobs(jobs) });
+    return result;
+  });
+  jobQueueLock = run.catch(() => {});
+  return run;
+}
+
+function pruneFinishedJobs(jobs) {
+  const finished = jobs.filter(job => isFinishedJob(job));
+  if (finished.length <= MAX_FINISHED_JOBS) {
+    return jobs;
+  }
+  const dropped = new Set(finished.slice(0, finished.length - MAX_FINISHED_JOBS));
+  return jobs.filter(job => !dropped.has(job));
+}
+
+// Finished jobs never upload their files again
+async function releaseAttachmentData(jobs) {
+  const released = jobs.filter(job => isFinishedJob(job) && job.attachments && !job.attachmentsReleased);
+  if (released.length === 0) {
+    return;
+  }
+  released.forEach(job => { job.attachmentsReleased = true; });
+  await chrome.storage.local.remove(released.map(job => ATTACHMENT_STORAGE_PREFIX + job.id));
+}
+
+async function loadAttachmentData(jobId) {
+  const key = ATTACHMENT_STORAGE_PREFIX + jobId;
+  const stored = await chrome.storage.local.get(key);
+  return stored[key] || [];
+}
+
+// Accepts { name, mimeType, data } with `data` as base64 or a data: URL;
+// returns the base64 data and the type (taken from the data: URL if missing)
+function normalizeAttachments(attachments) {
+  if (attachments === undefined || attachments === null) {
+    return [];
+  }
+  if (!Array.isArray(attachments)) {
+    throw jobError('INVALID_ATTACHMENT', "Attachments must be an array of { name, mimeType, data }");
+  }
+
+  return attachments.map((attachment, index) => {
+    if (!attachment || typeof attachment.name !== 'string' || attachment.name.trim().length === 0) {
+      throw jobError('INVALID_ATTACHMENT', `Attachment ${index} needs a file name`);
+    }
+    if (typeof attachment.data !== 'string' || attachment.data.length === 0) {
+      throw jobError('INVALID_ATTACHMENT', `Attachment "${attachment.name}" needs base64 data`);
+    }
+
+    let data = attachment.data;
+    let mimeType = attachment.mimeType;
+    const dataUrl = data.match(/^data:([^;,]*)(;base64)?,/);
+    if (dataUrl) {
+      if (!dataUrl[2]) {
+        throw jobError('INVALID_ATTACHMENT', `Attachment "${attachment.name}" must be a base64 data: URL`);
+      }
+      data = data.slice(dataUrl[0].length);
+      mimeType = mimeType || dataUrl[1];
+    }
+
+    return {
+      name: attachment.name.trim(),
+      mimeType: mimeType || 'application/octet-stream',
+      size: Math.floor(data.replace(/=+$/, '').length * 3 / 4),
+      data: data
+    };
+  });
+}
+
+// Model, temporary chat, tools and custom GPT for a job
+function normalizeChatOptions({ conversationId, model, temporaryChat, tools, customGpt }) {
+  if (model !== undefined && model !== null && (typeof model !== 'string' || !model.trim())) {
+    throw jobError('INVALID_OPTIONS', "`model` must be a model name such as \"gpt-4o\"");
+  }
+  if (tools !== undefined && tools !== null) {
+    if (!Array.isArray(tools)) {
+      throw jobError('INVALID_OPTIONS', "`tools` must be an array such as [\"search\"]");
+    }
+    const unknown = tools.filter(tool => !TOOL_URL_HINTS[tool]);
+    if (unknown.length > 0) {
+      throw jobError('INVALID_OPTIONS', `Unknown tool(s): ${unknown.join(', ')} (supported: ${Object.keys(TOOL_URL_HINTS).join(', ')})`);
+    }
+  }
+  if (customGpt && !/\/g\/g-[\w-]+|^g-[\w-]+$/.test(customGpt)) {
+    throw jobError('INVALID_OPTIONS', "`customGpt` must be a custom GPT URL (https://chatgpt.com/g/g-...) or ID");
+  }
+  if (conversationId && (temporaryChat || customGpt)) {
+    throw jobError('INVALID_OPTIONS', "A temporary chat or custom GPT always starts a new chat; don't pass `conversationId`");
+  }
+
+  return {
+    targetModel: model ? model.trim() : null,
+    temporaryChat: !!temporaryChat,
+    tools: tools && tools.length > 0 ? tools.slice() : null,
+    customGpt: customGpt || null
+  };
+}
+
+// How the content script decides an answer is finished (see content.js
+// getCompletionSettings()); missing settings keep their defaults
+function normalizeCompletion(completion) {
+  if (completion === undefined || completion === null) {
+    return null;
+  }
+  if (typeof completion !== 'object' || Array.isArray(completion)) {
+    throw jobError('INVALID_OPTIONS', "`completion` must be an object such as { strategy: 'auto', settleTime: 500 }");
+  }
+  const { strategy, settleTime, timeout, pollInterval } = completion;
+  if (strategy !== undefined && !COMPLETION_STRATEGIES.includes(strategy)) {
+    throw jobError('INVALID_OPTIONS', `Unknown completion strategy "${strategy}" (supported: ${COMPLETION_STRATEGIES.join(', ')})`);
+  }
+  const timings = { settleTime, timeout, pollInterval };
+  Object.keys(timings).forEach(key => {
+    const value = timings[key];
+    if (value !== undefined && (typeof value !== 'number' || !isFinite(value) || value < 0)) {
+      throw jobError('INVALID_OPTIONS', `\`completion.${key}\` must be a number of milliseconds`);
+    }
+    // A zero timeout fails at once and a zero poll interval busy-loops the page
+    if (value === 0 && key !== 'settleTime') {
+      throw jobError('INVALID_OPTIONS', `\`completion.${key}\` must be more than 0 milliseconds`);
+    }
+  });
+
+  const normalized = {};
+  Object.entries(Object.assign({ strategy }, timings)).forEach(([key, value]) => {
+    if (value !== undefined) normalized[key] = value;
+  });
+  return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+function isFinishedJob(job) {
+  return job.status === 'completed' || job.status === 'failed' || job.status === 'cancelled';
+}
+
+function notifyJobUpdate(job) {
+  chrome.runtime.sendMessage({ action: "JOB_UPDATED", job: job }).catch(() => {});
+  jobUpdateListeners.forEach(listener => listener(job));
+}
+
+function normalizeRetry(retry, settings) {
+  if (retry === false) {
+    return Object.assign({}, DEFAULT_RETRY, { attempts: 0 });
+  }
+  return Object.assign({}, DEFAULT_RETRY, { attempts: settings.retryAttempts }, retry || {});
+}
+
+function getRetryDelay(retry, attempt) {
+  return Math.min(retry.delay * Math.pow(retry.factor, attempt - 1), retry.maxDelay);
+}
+
+async function enqueueJob({ id, prompt, tabId, newChat, conversationId, retry, attachments, model, temporaryChat, tools, customGpt, completion }) {
+  if (!prompt || typeof prompt !== 'string' || prompt.trim().length === 0) {
+    throw jobError('INVALID_PROMPT', "Prompt must be a non-empty string");
+  }
+  const files = normalizeAttachments(attachments);
+  const chatOptions = normalizeChatOptions({ conversationId, model, temporaryChat, tools, customGpt });
+  const completionOptions = normalizeCompletion(completion);
+  const settings = await getSettings();
+  if (newChat === undefined || newChat === null) {
+    newChat = settings.newChat && !conversationId;
+  }
+  const startsNewChat = newChat || chatOptions.temporaryChat || chatOptions.customGpt;
+  const pool = tabId ? null : await getTabPool();
+  const pooled = !!(pool && pool.size > 0);
+
+  if (pooled) {
+    // The tab is picked at dispatch; a pool tab still shows the previous
+    // job's chat, so anything but a continued conversation starts a new one
+    newChat = !conversationId;
+  } else if (tabId) {
+    try {
+      await chrome.tabs.get(tabId);
+    } catch (error) {
+      throw jobError('TAB_NOT_FOUND', `Tab ${tabId} not found`);
+    }
+  } else {
+    let tab = await findChatGPTTab(conversationId);
+    if (!tab && conversationId) {
+      // No tab shows the conversation: it gets a background tab of its own
+      tab = await openChatGPTTab(getConversationUrl(null, conversationId));
+      newChat = false;
+    }
+    if (!tab && startsNewChat) {
+      // A freshly opened tab already shows a new chat, unless it needs a
+      // mode that is chosen through the new-chat URL
+      tab = await openChatGPTTab();
+      newChat = !!(chatOptions.targetModel || chatOptions.tools || chatOptions.temporaryChat || chatOptions.customGpt);
+    }
+    if (!tab) {
+      throw jobError('TAB_NOT_FOUND', "ChatGPT tab not found. Please open ChatGPT in a browser tab.");
+    }
+    tabId = tab.id;
+  }
+
+  const job = {
+    id: id || crypto.randomUUID(),
+    tabId: tabId || null,
+    pooled: pooled,
+    prompt: prompt.trim(),
+    newChat: !!newChat,
+    targetConversationId: conversationId || null,
+    targetModel: chatOptions.targetModel,
+    temporaryChat: chatOptions.temporaryChat,
+    tools: chatOptions.tools,
+    customGpt: chatOptions.customGpt,
+    completion: completionOptions,
+    status: 'queued',
+    createdAt: Date.now(),
+    startedAt: null,
+    finishedAt: null,
+    response: null,
+    markdown: null,
+    codeBlocks: null,
+    parts: null,
+    citations: null,
+    candidates: null,
+    conversationId: null,
+    conversationUrl: null,
+    model: null,
+    error: null,
+    errorCode: null,
+    retry: normalizeRetry(retry, settings),
+    attempts: 0,
+    retryAt: null,
+    recovery: null,
+    attachments: files.length > 0 ? files.map(({ name, mimeType, size }) => ({ name, mimeType, size })) : null
+  };
+
+  await withJobQueue(async (jobs) => {
+    if (jobs.some(existing => existing.id === job.id)) {
+      throw jobError('DUPLICATE_JOB', `Job ${job.id} already exists`);
+    }
+    if (files.length > 0) {
+      await chrome.storage.local.set({ [ATTACHMENT_STORAGE_PREFIX + job.id]: files });
+    }
+    jobs.push(job);
+  });
+
+  notifyJobUpdate(job);
+  processJobQueue().catch(logJobQueueError);
+  return job;
+}
+
+async function listJobs(tabId) {
+  const stored = await chrome.storage.local.get(JOB_QUEUE_STORAGE_KEY);
+  const jobs = stored[JOB_QUEUE_STORAGE_KEY] || [];
+  return tabId ? jobs.filter(job => job.tabId === tabId) : jobs;
+}
+
+// Move a queued job to a new position among the queued jobs of its tab.
+async function moveJob(jobId, index) {
+  return withJobQueue((jobs) => {
+    const job = jobs.find(candidate => candidate.id === jobId);
+    if (!job) {
+      throw jobError('JOB_NOT_FOUND', `Job ${jobId} not found`);
+    }
+    if (job.status !== 'queued') {
+      throw jobError('INVALID_STATE', `Only queued jobs can be moved (job is ${job.status})`);
+    }
+
+    jobs.splice(jobs.indexOf(job), 1);
+    const queued = jobs.filter(candidate => candidate.tabId === job.tabId && candidate.status === 'queued');
+    const target = Math.max(0, Math.min(index, queued.length));
+
+    if (target < queued.length) {
+      jobs.splice(jobs.indexOf(queued[target]), 0, job);
+    } else if (queued.length > 0) {
+      jobs.splice(jobs.indexOf(queued[queued.length - 1]) + 1, 0, job);
+    } else {
+      jobs.push(job);
+    }
+    return job;
+  });
+}
+
+async function cancelJob(jobId) {
+  let wasRunning = false;
+  const job = await withJobQueue((jobs) => {
+    const job = jobs.find(candidate => candidate.id === jobId);
+    if (!job) {
+      throw jobError('JOB_NOT_FOUND', `Job ${jobId} not found`);
+    }
+    if (isFinishedJob(job)) {
+      return job;
+    }
+    wasRunning = job.status === 'running';
+    job.status = 'cancelled';
+    job.errorCode = 'CANCELLED';
+    job.finishedAt = Date.now();
+    return job;
+  });
+
+  if (wasRunning) {
+    // Stop the page from generating, not just the queue from waiting
+    chrome.tabs.sendMessage(job.tabId, { action: "CANCEL_PROMPT", requestId: job.id }).catch(() => {});
+  }
+
+  notifyJobUpdate(job);
+  processJobQueue().catch(logJobQueueError);
+  return job;
+}
+
+// Record a CAPTURED_RESPONSE: either { ok: true, text, ... } or
+// { ok: false, code, message, retryable, canRegenerate }
+async function completeJob(jobId, captured) {
+  const job = await withJobQueue((jobs) => {
+    const job = jobs.find(candidate => candidate.id === jobId);
+    // Responses for cancelled jobs still free up the tab, but are dropped
+    if (!job || job.status !== 'running') {
+      return null;
+    }
+    if (captured.ok === false) {
+      job.error = captured.message;
+      job.errorCode = captured.code;
+
+      if (captured.retryable && job.attempts < job.retry.attempts) {
+        // Keep the job at its place in the queue until the backoff is over
+        job.attempts++;
+        job.status = 'queued';
+        job.startedAt = null;
+        job.retryAt = Date.now() + getRetryDelay(job.retry, job.attempts);
+        job.recovery = job.retry.strategy === 'regenerate' && captured.canRegenerate ? 'regenerate' : 'resubmit';
+        if (job.pooled && job.recovery === 'resubmit') {
+          // Any idle pool tab can send it again
+          job.tabId = null;
+        }
+        return job;
+      }
+
+      job.status = 'failed';
+      job.finishedAt = Date.now();
+      return job;
+    }
+    job.finishedAt = Date.now();
+    job.status = 'completed';
+    job.response = captured.text;
+    job.markdown = captured.markdown || null;
+    job.codeBlocks = captured.codeBlocks || null;
+    job.parts = captured.parts || null;
+    job.citations = captured.citations || null;
+    job.candidates = captured.candidates || null;
+    job.conversationId = captured.conversationId || null;
+    job.conversationUrl = captured.conversationUrl || null;
+    job.model = captured.model || null;
+    return job;
+  });
+
+  if (job) {
+    notifyJobUpdate(job);
+  }
+  processJobQueue().catch(logJobQueueError);
+}
+
+async function failJobs(predicate, error, code) {
+  const failed = await withJobQueue((jobs) => {
+    const matching = jobs.filter(job => !isFinishedJob(job) && predicate(job));
+    matching.forEach(job => {
+      job.status = 'failed';
+      job.error = error;
+      job.errorCode = code;
+      job.finishedAt = Date.now();
+    });
+    return matching;
+  });
+
+  failed.forEach(job => notifyJobUpdate(job));
+  return failed;
+}
+
+// Send the next queued job to every tab that has nothing running. A job
+// waiting out its retry backoff keeps its tab reserved. Pooled jobs without
+// a tab get the next idle pool tab that no queued job is waiting for.
+async function processJobQueue() {
+  let nextRetryAt = null;
+  let waitingForTab = 0;
+
+  const dispatched = await withJobQueue(async (jobs) => {
+    const pool = await getTabPool();
+    const now = Date.now();
+    const busyTabs = new Set(jobs.filter(job => job.status === 'running').map(job => job.tabId));
+    // Whatever their place in the queue, e.g. a retry regenerating in its tab
+    const reservedTabs = new Set(jobs.filter(job => job.status === 'queued' && job.tabId).map(job => job.tabId));
+    const next = [];
+    for (const job of jobs) {
+      if (job.status === 'queued' && !job.tabId) {
+        if (job.retryAt && job.retryAt > now) {
+          nextRetryAt = nextRetryAt ? Math.min(nextRetryAt, job.retryAt) : job.retryAt;
+          continue;
+        }
+        // Prompts to one conversation never run side by side
+        const conversationId = job.targetConversationId;
+        if (conversationId && jobs.some(other => other.status === 'running' &&
+            (other.targetConversationId === conversationId || other.conversationId === conversationId))) {
+          continue;
+        }
+        const idleTab = pool.tabs.find(tab => !busyTabs.has(tab.id) && !reservedTabs.has(tab.id));
+        if (!idleTab) {
+          waitingForTab++;
+          continue;
+        }
+        job.tabId = idleTab.id;
+      }
+      if (job.status === 'queued' && !busyTabs.has(job.tabId)) {
+        busyTabs.add(job.tabId);
+        if (job.retryAt && job.retryAt > now) {
+          nextRetryAt = nextRetryAt ? Math.min(nextRetryAt, job.retryAt) : job.retryAt;
+          continue;
+        }
+        job.status = 'running';
+        job.startedAt = now;
+        job.retryAt = null;
+        next.push(job);
+      }
+    }
+    return next;
+  });
+
+  if (nextRetryAt) {
+    scheduleRetryWake(nextRetryAt);
+  }
+  if (waitingForTab > 0) {
+    growTabPool(waitingForTab).catch(logJobQueueError);
+  }
+
+  for (const job of dispatched) {
+    dispatchJob(job).catch(logJobQueueError);
+  }
+}
+
+async function dispatchJob(job) {
+  let response;
+  try {
+    // A pool tab that crashed or got logged out is replaced first
+    if (job.pooled && !(await ensureHealthyPoolTab(job))) {
+      return;
+    }
+
+    // Never navigate away from a reply that is still being generated
+    const status = await chrome.tabs.sendMessage(job.tabId, { action: "GET_STATUS" }).catch(() => null);
+    if (status && (status.activeRequestId || status.generating)) {
+      await requeueBusyJob(job);
+      return;
+    }
+
+    // Regenerating must stay on the page that shows the failed answer
+    const regenerate = job.attempts > 0 && job.recovery === 'regenerate';
+    await prepareChatGPTTab(job.tabId, regenerate ? {} : {
+      newChat: job.newChat,
+      conversationId: job.targetConversationId,
+      model: job.targetModel,
+      temporaryChat: job.temporaryChat,
+      tools: job.tools,
+      customGpt: job.customGpt
+    });
+
+    response = await chrome.tabs.sendMessage(job.tabId, {
+      action: "PROMPT_CHATGPT",
+      prompt: job.prompt,
+      requestId: job.id,
+      recovery: regenerate ? 'regenerate' : null,
+      model: job.targetModel,
+      tools: job.tools,
+      completion: job.completion,
+      attachments: job.attachments ? await loadAttachmentData(job.id) : []
+    });
+  } catch (error) {
+    await failJobs(candidate => candidate.id === job.id,
+      `Failed to send prompt: ${error.message}. Please refresh the ChatGPT page.`, 'SEND_FAILED');
+    processJobQueue().catch(logJobQueueError);
+    return;
+  }
+
+  if (response && response.status === "busy") {
+    await requeueBusyJob(job);
+    return;
+  }
+
+  notifyJobUpdate(Object.assign({}, job, { status: 'running' }));
+}
+
+// The tab is still generating (a cancelled job or a manual chat);
+// put the job back and try again shortly.
+async function requeueBusyJob(job) {
+  await requeueJob(job);
+  scheduleBusyRetry();
+}
+
+// Put a job that was taken from the queue but never sent back at its place
+async function requeueJob(job) {
+  await withJobQueue((jobs) => {
+    const stored = jobs.find(candidate => candidate.id === job.id);
+    if (stored && stored.status === 'running') {
+      stored.status = 'queued';
+      stored.startedAt = null;
+    }
+  });
+}
+
+// Hand the pooled jobs queued for a pool tab that is going away back to the
+// pool. Regenerating needs the page with the failed answer, so they resubmit.
+async function releasePooledJobs(tabId) {
+  await withJobQueue((jobs) => {
+    jobs.filter(job => job.pooled && job.tabId === tabId && job.status === 'queued').forEach(job => {
+      job.tabId = null;
+      if (job.recovery === 'regenerate') {
+        job.recovery = 'resubmit';
+      }
+    });
+  });
+}
+
+function scheduleBusyRetry() {
+  if (busyRetryTimer) {
+    return;
+  }
+  busyRetryTimer = setTimeout(() => {
+    busyRetryTimer = null;
+    processJobQueue().catch(logJobQueueError);
+  }, BUSY_RETRY_DELAY);
+}
+
+// Wake up for the next retry. The alarm covers the service worker being
+// suspended during a long backoff; the timer covers short ones (alarms
+// fire no sooner than 30 seconds).
+function scheduleRetryWake(retryAt) {
+  clearTimeout(retryWakeTimer);
+  retryWakeTimer = setTimeout(() => {
+    retryWakeTimer = null;
+    processJobQueue().catch(logJobQueueError);
+  }, Math.max(0, retryAt - Date.now()));
+  chrome.alarms.create(RETRY_ALARM_NAME, { when: retryAt });
+}
+
+// Reconcile the stored queue after the service worker (re)starts: running
+// jobs whose tab is gone or no longer working on them can't complete.
+async function resumeJobQueue() {
+  const jobs = await listJobs();
+  const running = jobs.filter(job => job.status === 'running');
+
+  for (const job of running) {
+    let status = null;
+    try {
+      status = await chrome.tabs.sendMessage(job.tabId, { action: "GET_STATUS" });
+    } catch (error) {
+      status = null;
+    }
+
+    if (!status || status.activeRequestId !== job.id) {
+      await failJobs(candidate => candidate.id === job.id,
+        "Job was interrupted (ChatGPT tab was closed or reloaded)", 'INTERRUPTED');
+    }
+  }
+
+  processJobQueue().catch(logJobQueueError);
+}
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  switch (request.action) {
+    case "ENQUEUE_JOB":
+      enqueueJob(request)
+        .then(job => sendResponse({ success: true, job: job }))
+        .catch(error => sendResponse({ success: false, error: error.message, code: error.code }));
+      return true;
+
+    case "LIST_JOBS":
+      listJobs(request.tabId)
+        .then(jobs => sendResponse({ success: true, jobs: jobs }))
+        .catch(error => sendResponse({ success: false, error: error.message, code: error.code }));
+      return true;
+
+    case "MOVE_JOB":
+      moveJob(request.jobId, request.index)
+        .then(job => sendResponse({ success: true, job: job }))
+        .catch(error => sendResponse({ success: false, error: error.message, code: error.code }));
+      return true;
+
+    case "CANCEL_JOB":
+      cancelJob(request.jobId)
+        .then(job => sendResponse({ success: true, job: job }))
+        .catch(error => sendResponse({ success: false, error: error.message, code: error.code }));
+      return true;
+
+    case "CAPTURED_RESPONSE":
+      if (sender.tab && request.requestId) {
+        completeJob(request.requestId, request).catch(logJobQueueError);
+      }
+      return false;
+  }
+  return false;
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === RETRY_ALARM_NAME) {
+    processJobQueue().catch(logJobQueueError);
+  }
+});
+
+// Pooled jobs waiting for the closed tab go to another pool tab; the rest fail
+chrome.tabs.onRemoved.addListener((tabId) => {
+  releasePooledJobs(tabId)
+    .then(() => failJobs(job => job.tabId === tabId, "ChatGPT tab was closed", 'TAB_CLOSED'))
+    .then(() => processJobQueue())
+    .catch(logJobQueueError);
+});
+
+resumeJobQueue().catch(logJobQueueError);
@@ -0,0 +1,215 @@
+// Converts a rendered ChatGPT response (the `.markdown` element) back into
+// Markdown, keeping fenced code blocks with their language, inline code,
+// links, lists and GFM tables. Loaded as a content script before content.js.
+
+const BLOCK_SEPARATOR = '\n\n';
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'div', 'dl', 'figure', 'footer',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'ol', 'p', 'pre',
+  'section', 'table', 'tbody', 'td', 'th', 'thead', 'tr', 'ul'
+]);
+
+function domToMarkdown(element) {
+  const markdown = convertChildren(element, { listDepth: 0 });
+  return markdown.replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// Returns every code block in the response as { language, code }
+function extractCodeBlocks(element) {
+  return Array.from(element.querySelectorAll('pre')).map(pre => ({
+    language: getCodeLanguage(pre),
+    code: getCodeText(pre)
+  }));
+}
+
+function convertChildren(node, context) {
+  let output = '';
+  node.childNodes.forEach(child => {
+    output += convertNode(child, context);
+  });
+  return output;
+}
+
+function convertNode(node, context) {
+  if (node.nodeType === Node.TEXT_NODE) {
+    // Formatting whitespace between blocks is not part of the content
+    if (!node.textContent.trim() && (isBlock(node.previousSibling) || isBlock(node.nextSibling))) {
+      return '';
+    }
+    return node.textContent.replace(/\s+/g, ' ');
+  }
+  if (node.nodeType !== Node.ELEMENT_NODE) {
+    return '';
+  }
+
+  const tag = node.tagName.toLowerCase();
+
+  switch (tag) {
+    case 'h1':
+    case 'h2':
+    case 'h3':
+    case 'h4':
+    case 'h5':
+    case 'h6':
+      return BLOCK_SEPARATOR + '#'.repeat(Number(tag[1])) + ' ' + convertInline(node, context) + BLOCK_SEPARATOR;
+
+    case 'p':
+      return BLOCK_SEPARATOR + convertInline(node, context) + BLOCK_SEPARATOR;
+
+    case 'br':
+      return '  \n';
+
+    case 'hr':
+      return BLOCK_SEPARATOR + '---' + BLOCK_SEPARATOR;
+
+    case 'strong':
+    case 'b':
+      return wrapInline('**', convertChildren(node, context));
+
+    case 'em':
+    case 'i':
+      return wrapInline('*', convertChildren(node, context));
+
+    case 'del':
+    case 's':
+      return wrapInline('~~', convertChildren(node, context));
+
+    case 'code':
+      return inlineCode(node.textContent);
+
+    case 'pre':
+      return BLOCK_SEPARATOR + fencedCode(getCodeText(node), getCodeLanguage(node)) + BLOCK_SEPARATOR;
+
+    case 'a': {
+      const text = convertChildren(node, context).trim();
+      const href = node.getAttribute('href');
+      return href ? `[${text || href}](${href})` : text;
+    }
+
+    case 'img': {
+      const src = node.getAttribute('src');
+      return src ? `![${node.getAttribute('alt') || ''}](${src})` : '';
+    }
+
+    case 'ul':
+    case 'ol':
+      return convertList(node, context);
+
+    case 'blockquote': {
+      const quoted = convertChildren(node, context).replace(/\n{3,}/g, '\n\n').trim();
+      return BLOCK_SEPARATOR + quoted.split('\n').map(line => line ? '> ' + line : '>').join('\n') + BLOCK_SEPARATOR;
+    }
+
+    case 'table':
+      return BLOCK_SEPARATOR + convertTable(node, context) + BLOCK_SEPARATOR;
+
+    case 'button':
+    case 'svg':
+    case 'style':
+    case 'script':
+      // UI chrome such as "Copy code" buttons
+      return '';
+
+    default:
+      return convertChildren(node, context);
+  }
+}
+
+function isBlock(node) {
+  return !node || (node.nodeType === Node.ELEMENT_NODE && BLOCK_TAGS.has(node.tagName.toLowerCase()));
+}
+
+// Collapses runs of spaces, but keeps the two that mark a line break (<br>)
+function convertInline(node, context) {
+  return convertChildren(node, context).replace(/[ \t]+/g, ' ').replace(/ ?\n ?/g, '  \n').trim();
+}
+
+function wrapInline(marker, content) {
+  const trimmed = content.trim();
+  return trimmed ? marker + trimmed + marker : '';
+}
+
+function inlineCode(text) {
+  // Use a fence longer than any backtick run inside the code
+  const longestRun = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longestRun + 1);
+  const padding = text.startsWith('`') || text.endsWith('`') ? ' ' : '';
+  return fence + padding + text + padding + fence;
+}
+
+function fencedCode(code, language) {
+  const longestRun = Math.max(2, ...(code.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longestRun + 1);
+  return fence + (language || '') + '\n' + code.replace(/\n$/, '') + '\n' + fence;
+}
+
+function getCodeText(pre) {
+  const code = pre.querySelector('code');
+  return (code || pre).textContent;
+}
+
+function getCodeLanguage(pre) {
+  const code = pre.querySelector('code');
+  const classNames = code ? Array.from(code.classList) : [];
+  const languageClass = classNames.find(name => name.startsWith('language-') || name.startsWith('lang-'));
+  if (languageClass) {
+    return languageClass.replace(/^lang(uage)?-/, '');
+  }
+
+  // ChatGPT renders the language as a label in the code block header
+  const header = pre.querySelector('div > div:first-child, [class*="header"]');
+  if (header && header !== code && !header.contains(code)) {
+    const label = header.textContent.replace(/copy( code)?/i, '').trim();
+    if (label && /^[\w#+.-]+$/.test(label)) {
+      return label.toLowerCase();
+    }
+  }
+  return '';
+}
+
+function convertList(list, context) {
+  const ordered = list.tagName.toLowerCase() === 'ol';
+  const start = Number(list.getAttribute('start')) || 1;
+  const childContext = Object.assign({}, context, { listDepth: context.listDepth + 1 });
+
+  const items = Array.from(list.children).filter(child => child.tagName.toLowerCase() === 'li');
+  const lines = items.map((item, index) => {
+    const marker = ordered ? `${start + index}.` : '-';
+    // Continuation lines (and nested lists) are indented under the marker
+    const indent = ' '.repeat(marker.length + 1);
+    const content = convertChildren(item, childContext)
+      .replace(/\n{3,}/g, '\n\n')
+      .trim()
+      .split('\n')
+      .map((line, lineIndex) => lineIndex === 0 || !line ? line : indent + line)
+      .join('\n');
+    return marker + ' ' + content;
+  });
+
+  const body = lines.join('\n');
+  return context.listDepth > 0 ? '\n' + body + '\n' : BLOCK_SEPARATOR + body + BLOCK_SEPARATOR;
+}
+
+function convertTable(table, context) {
+  const rows = Array.from(table.querySelectorAll('tr')).map(row =>
+    Array.from(row.children).map(cell =>
+      convertInline(cell, context).replace(/\|/g, '\\|').replace(/\n+/g, ' ')
+    )
+  );
+  if (rows.length === 0) {
+    return '';
+  }
+
+  const columnCount = Math.max(...rows.map(row => row.length));
+  const pad = row => row.concat(Array(columnCount - row.length).fill(''));
+  const formatRow = row => '| ' + pad(row).join(' | ') + ' |';
+
+  const header = formatRow(rows[0]);
+  const separator = '| ' + Array(columnCount).fill('---').join(' | ') + ' |';
+  return [header, separator].concat(rows.slice(1).map(formatRow)).join('\n');
+}
+
+// Export for use in modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { domToMarkdown, extractCodeBlocks };
+}
@@ -0,0 +1,422 @@
+document.addEventListener('DOMContentLoaded', async function() {
+  const searchInput = document.getElementById('history-search');
+  const statusSelect = document.getElementById('history-status');
+  const historySummary = document.getElementById('history-summary');
+  const historyList = document.getElementById('history-list');
+  const loadMoreBtn = document.getElementById('load-more-btn');
+  const enabledInput = document.getElementById('history-enabled');
+  const maxEntriesInput = document.getElementById('history-max-entries');
+  const maxAgeInput = document.getElementById('history-max-age');
+  const settingsStatus = document.getElementById('settings-status');
+
+  const PAGE_SIZE = 50;
+  const DEFAULT_MAX_ENTRIES = 1000;
+
+  let shown = 0;
+  let searchTimer = null;
+
+  const chatGPTAPI = await createChatGPTAPI();
+
+  function setSummary(msg, isError = false) {
+    historySummary.textContent = msg;
+    historySummary.classList.toggle('error', isError);
+  }
+
+  function formatDate(timestamp) {
+    return timestamp ? new Date(timestamp).toLocaleString() : '';
+  }
+
+  function formatDuration(ms) {
+    return ms === null || ms === undefined ? '' : `${(ms / 1000).toFixed(1)}s`;
+  }
+
+  function currentFilter() {
+    return { query: searchInput.value.trim(), status: statusSelect.value || undefined };
+  }
+
+  // --- History list ---
+
+  function renderEntry(entry) {
+    const details = document.createElement('details');
+    details.className = 'entry';
+
+    const summary = document.createElement('summary');
+    const prompt = document.createElement('div');
+    prompt.className = 'entry-prompt';
+    prompt.textContent = entry.prompt;
+
+    const meta = document.createElement('div');
+    meta.className = 'entry-meta';
+    const status = document.createElement('span');
+    status.className = entry.status;
+    status.textContent = entry.errorCode && entry.status !== 'completed' ? `${entry.status} (${entry.errorCode})` : entry.status;
+    meta.append(formatDate(entry.finishedAt || entry.createdAt), ' · ', status);
+    if (entry.durationMs !== null && entry.durationMs !== undefined) {
+      meta.append(` · ${formatDuration(entry.durationMs)}`);
+    }
+    if (entry.conversationUrl) {
+      const link = document.createElement('a');
+      link.href = entry.conversationUrl;
+      link.target = '_blank';
+      link.textContent = 'conversation';
+      meta.append(' · ', link);
+    }
+
+    summary.append(prompt, meta);
+    details.appendChild(summary);
+
+    // The body is only built when the entry is opened
+    details.addEventListener('toggle', () => {
+      if (!details.open || details.querySelector('.entry-body')) return;
+
+      const body = document.createElement('div');
+      body.className = 'entry-body';
+      const sections = [['Prompt', entry.prompt], ['Response', entry.markdown || entry.response || entry.error || '']];
+      sections.forEach(([title, text]) => {
+        const heading = document.createElement('h3');
+        heading.textContent = title;
+        const content = document.createElement('div');
+        content.textContent = text;
+        body.append(heading, content);
+      });
+
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'btn-danger';
+      deleteBtn.textContent = 'Delete';
+      deleteBtn.addEventListener('click', async () => {
+        await chatGPTAPI.deleteHistory([entry.id]);
+        details.remove();
+      });
+      body.appendChild(deleteBtn);
+      details.appendChild(body);
+    });
+
+    return details;
+  }
+
+  async function loadHistory(append = false) {
+    if (!append) {
+      shown = 0;
+      historyList.innerHTML = '';
+    }
+
+    try {
+      const { entries, total } = await chatGPTAPI.searchHistory(Object.assign(currentFilter(), {
+        limit: PAGE_SIZE,
+        offset: shown
+      }));
+      entries.forEach(entry => historyList.appendChild(renderEntry(entry)));
+      shown += entries.length;
+      setSummary(total === 0 ? "No matching entries" : `Showing ${shown} of ${total} entries`);
+      loadMoreBtn.style.display = shown < total ? 'block' : 'none';
+    } catch (error) {
+      setSummary(`Failed to load history: ${error.message}`, true);
+    }
+  }
+
+  searchInput.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => loadHistory(), 250);
+  });
+  statusSelect.addEventListener('change', () => loadHistory());
+  loadMoreBtn.addEventListener('click', () => loadHistory(true));
+
+  document.getElementById('clear-history-btn').addEventListener('click', async () => {
+    if (!confirm("Delete the whole history?")) return;
+    await chatGPTAPI.deleteHistory();
+    loadHistory();
+  });
+
+  // --- Export (everything matching the current search) ---
+
+  function toCSV(entries) {
+    const columns = ['createdAt', 'finishedAt', 'status', 'errorCode', 'durationMs', 'prompt', 'response', 'error', 'conversationUrl'];
+    const escape = (value) => {
+      if (value === null || value === undefined) return '';
+      const text = String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = entries.map(entry => columns.map(column =>
+      escape(column.endsWith('At') && entry[column] ? new Date(entry[column]).toISOString() : entry[column])
+    ).join(','));
+    return [columns.join(',')].concat(rows).join('\r\n') + '\r\n';
+  }
+
+  function toMarkdown(entries) {
+    const sections = entries.map(entry => {
+      const meta = [
+        `- Date: ${formatDate(entry.finishedAt || entry.createdAt)}`,
+        `- Status: ${entry.status}${entry.errorCode ? ` (${entry.errorCode})` : ''}`
+      ];
+      if (entry.durationMs !== null && entry.durationMs !== undefined) meta.push(`- Duration: ${formatDuration(entry.durationMs)}`);
+      if (entry.conversationUrl) meta.push(`- Conversation: ${entry.conversationUrl}`);
+
+      return [
+        `## ${entry.prompt.split('\n')[0].slice(0, 80)}`,
+        meta.join('\n'),
+        `### Prompt\n\n${entry.prompt}`,
+        `### Response\n\n${entry.markdown || entry.response || `*${entry.error || 'No response'}*`}`
+      ].join('\n\n');
+    });
+    return `# ChatGPT History\n\n${sections.join('\n\n---\n\n')}\n`;
+  }
+
+  async function exportHistory(format) {
+    const { entries } = await chatGPTAPI.searchHistory(currentFilter());
+    const formats = {
+      json: [JSON.stringify(entries, null, 2), 'application/json'],
+      md: [toMarkdown(entries), 'text/markdown'],
+      csv: [toCSV(entries), 'text/csv']
+    };
+    const [content, type] = formats[format];
+
+    const url = URL.createObjectURL(new Blob([content], { type: type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `chatgpt-history-${new Date().toISOString().slice(0, 10)}.${format}`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  document.getElementById('export-json-btn').addEventListener('click', () => exportHistory('json'));
+  document.getElementById('export-md-btn').addEventListener('click', () => exportHistory('md'));
+  document.getElementById('export-csv-btn').addEventListener('click', () => exportHistory('csv'));
+
+  // --- Timing & behavior profiles (see settings.js) ---
+
+  const profileSelect = document.getElementById('settings-profile');
+  const activeProfileLabel = document.getElementById('active-profile');
+  const profileStatus = document.getElementById('profile-status');
+  const deleteProfileBtn = document.getElementById('delete-profile-btn');
+  const settingInputs = Array.from(document.querySelectorAll('[data-setting]'));
+
+  let settingsStore = await getSettingsStore();
+  const statusTimers = new Map();
+
+  // A status message next to a Save button; errors stay until the next one
+  function flashStatus(element, msg, isError = false) {
+    clearTimeout(statusTimers.get(element));
+    element.textContent = msg;
+    element.classList.toggle('error', isError);
+    if (!isError) {
+      statusTimers.set(element, setTimeout(() => { element.textContent = ''; }, 2000));
+    }
+  }
+
+  function setProfileStatus(msg, isError = false) {
+    flashStatus(profileStatus, msg, isError);
+  }
+
+  function renderProfiles(selected) {
+    profileSelect.innerHTML = '';
+    Object.keys(settingsStore.profiles).forEach(name => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name === settingsStore.activeProfile ? `${name} (in use)` : name;
+      profileSelect.appendChild(option);
+    });
+    profileSelect.value = selected;
+    activeProfileLabel.textContent = `In use: ${settingsStore.activeProfile}`;
+    // Built-in profiles can only go back to their original values
+    deleteProfileBtn.textContent = BUILTIN_PROFILES[selected] ? 'Reset' : 'Delete';
+    showProfile(selected);
+  }
+
+  function showProfile(name) {
+    const values = Object.assign({}, DEFAULT_SETTINGS, normalizeSettings(settingsStore.profiles[name]));
+    settingInputs.forEach(input => {
+      const value = values[input.dataset.setting];
+      if (input.type === 'checkbox') {
+        input.checked = value;
+      } else {
+        input.value = input.dataset.scale ? value / Number(input.dataset.scale) : value;
+      }
+    });
+  }
+
+  // The values that differ from the defaults, and the labels of invalid ones
+  function readProfileInputs() {
+    const values = {};
+    const invalid = [];
+    settingInputs.forEach(input => {
+      const name = input.dataset.setting;
+      let value = input.value.trim();
+      if (input.type === 'checkbox') {
+        value = input.checked;
+      } else if (input.type === 'number') {
+        value = value === '' ? NaN : Number(value) * Number(input.dataset.scale || 1);
+      }
+      if (!(name in normalizeSettings({ [name]: value }))) {
+        invalid.push(input.closest('label').firstChild.textContent.trim());
+      } else if (value !== DEFAULT_SETTINGS[name]) {
+        values[name] = value;
+      }
+    });
+    return { values, invalid };
+  }
+
+  async function saveProfile(name) {
+    const { values, invalid } = readProfileInputs();
+    if (invalid.length > 0) {
+      setProfileStatus(`Check these values: ${invalid.join(', ')}`, true);
+      return;
+    }
+    try {
+      settingsStore = await saveSettingsProfile(name, values);
+      renderProfiles(name.trim());
+      setProfileStatus("Saved");
+    } catch (error) {
+      setProfileStatus(`Failed to save: ${error.message}`, true);
+    }
+  }
+
+  profileSelect.addEventListener('change', () => renderProfiles(profileSelect.value));
+
+  document.getElementById('use-profile-btn').addEventListener('click', async () => {
+    settingsStore = await setActiveSettingsProfile(profileSelect.value);
+    renderProfiles(profileSelect.value);
+    setProfileStatus(`Now using "${profileSelect.value}"`);
+  });
+
+  document.getElementById('save-profile-btn').addEventListener('click', () => saveProfile(profileSelect.value));
+
+  document.getElementById('save-profile-as-btn').addEventListener('click', () => {
+    const name = prompt("Name of the new profile:");
+    if (!name || !name.trim()) return;
+    if (settingsStore.profiles[name.trim()] && !confirm(`Replace the profile "${name.trim()}"?`)) return;
+    saveProfile(name);
+  });
+
+  deleteProfileBtn.addEventListener('click', async () => {
+    const name = profileSelect.value;
+    const builtIn = !!BUILTIN_PROFILES[name];
+    if (!confirm(builtIn ? `Reset "${name}" to its original values?` : `Delete the profile "${name}"?`)) return;
+    settingsStore = await deleteSettingsProfile(name);
+    renderProfiles(builtIn ? name : settingsStore.activeProfile);
+    setProfileStatus(builtIn ? "Reset" : "Deleted");
+  });
+
+  renderProfiles(settingsStore.activeProfile);
+
+  // --- Quick actions (see quick-actions.js) ---
+
+  const quickActionList = document.getElementById('quick-action-list');
+  const quickActionDisplay = document.getElementById('quick-action-display');
+  const quickActionsStatus = document.getElementById('quick-actions-status');
+
+  function renderQuickAction(action) {
+    const row = document.createElement('div');
+    row.className = 'quick-action';
+
+    const title = document.createElement('input');
+    title.type = 'text';
+    title.className = 'quick-action-title';
+    title.placeholder = 'Menu title';
+    title.value = action.title;
+
+    const template = document.createElement('textarea');
+    template.className = 'quick-action-template';
+    template.placeholder = 'Prompt, e.g. Explain this: {{selection}}';
+    template.value = action.template;
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'btn-danger';
+    removeBtn.textContent = 'Remove';
+    removeBtn.addEventListener('click', () => row.remove());
+
+    row.append(title, template, removeBtn);
+    return row;
+  }
+
+  async function loadQuickActions() {
+    try {
+      const { display, actions } = await chatGPTAPI.getQuickActions();
+      quickActionList.innerHTML = '';
+      actions.forEach(action => quickActionList.appendChild(renderQuickAction(action)));
+      quickActionDisplay.value = display;
+    } catch (error) {
+      flashStatus(quickActionsStatus, `Failed to load quick actions: ${error.message}`, true);
+    }
+  }
+
+  document.getElementById('add-quick-action-btn').addEventListener('click', () => {
+    quickActionList.appendChild(renderQuickAction({ title: '', template: '{{selection}}' }));
+  });
+
+  document.getElementById('save-quick-actions-btn').addEventListener('click', async () => {
+    const actions = Array.from(quickActionList.querySelectorAll('.quick-action')).map(row => ({
+      title: row.querySelector('.quick-action-title').value,
+      template: row.querySelector('.quick-action-template').value
+    }));
+    try {
+      await chatGPTAPI.configureQuickActions({ display: quickActionDisplay.value, actions: actions });
+      flashStatus(quickActionsStatus, "Saved");
+    } catch (error) {
+      flashStatus(quickActionsStatus, error.message, true);
+    }
+  });
+
+  document.getElementById('reset-quick-actions-btn').addEventListener('click', async () => {
+    if (!confirm("Replace your quick actions with the default ones?")) return;
+    await chatGPTAPI.configureQuickActions({ actions: null });
+    await loadQuickActions();
+    flashStatus(quickActionsStatus, "Restored");
+  });
+
+  // Shortcuts are assigned on Chrome's own page
+  document.getElementById('shortcuts-btn').addEventListener('click', () => {
+    chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+  });
+
+  loadQuickActions();
+
+  // --- History settings ---
+
+  const settings = await chrome.storage.local.get(['historyEnabled', 'historyMaxEntries', 'historyMaxAgeDays']);
+  enabledInput.checked = settings.historyEnabled !== false;
+  maxEntriesInput.value = settings.historyMaxEntries || DEFAULT_MAX_ENTRIES;
+  maxAgeInput.value = settings.historyMaxAgeDays || 0;
+
+  document.getElementById('save-settings-btn').addEventListener('click', async () => {
+    await chrome.storage.local.set({
+      historyEnabled: enabledInput.checked,
+      historyMaxEntries: Math.max(1, parseInt(maxEntriesInput.value, 10) || DEFAULT_MAX_ENTRIES),
+      historyMaxAgeDays: Math.max(0, parseInt(maxAgeInput.value, 10) || 0)
+    });
+    settingsStatus.textContent = "Saved";
+    setTimeout(() => { settingsStatus.textContent = ''; }, 2000);
+    loadHistory();
+  });
+
+  // --- Local bridge ---
+
+  const bridgeEnabledInput = document.getElementById('bridge-enabled');
+  const bridgeUrlInput = document.getElementById('bridge-url');
+  const bridgeTokenInput = document.getElementById('bridge-token');
+  const bridgeStatus = document.getElementById('bridge-status');
+
+  const bridgeSettings = await chrome.storage.local.get(['bridgeEnabled', 'bridgeUrl', 'bridgeToken']);
+  bridgeEnabledInput.checked = bridgeSettings.bridgeEnabled === true;
+  bridgeUrlInput.value = bridgeSettings.bridgeUrl || '';
+  bridgeTokenInput.value = bridgeSettings.bridgeToken || '';
+
+  document.getElementById('save-bridge-btn').addEventListener('click', async () => {
+    const url = bridgeUrlInput.value.trim();
+    if (url && !/^wss?:\/\//.test(url)) {
+      flashStatus(bridgeStatus, "The bridge URL must start with ws:// or wss://", true);
+      return;
+    }
+    if (bridgeEnabledInput.checked && !bridgeTokenInput.value.trim()) {
+      flashStatus(bridgeStatus, "Enter the token the bridge printed at startup", true);
+      return;
+    }
+    await chrome.storage.local.set({
+      bridgeEnabled: bridgeEnabledInput.checked,
+      bridgeUrl: url,
+      bridgeToken: bridgeTokenInput.value.trim()
+    });
+    flashStatus(bridgeStatus, bridgeEnabledInput.checked ? "Saved, connecting to the bridge" : "Saved, bridge turned off");
+  });
+
+  loadHistory();
+});
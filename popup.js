@@ -73,10 +73,16 @@ document.addEventListener('DOMContentLoaded', async function() {
           return;
         }
 
-        // Send prompt and wait for response
+        // Send prompt and show the response as it is written
         const response = await chatGPTAPI.sendPrompt(promptText, {
           onProgress: (status) => {
             setStatus(status);
+          },
+          onChunk: (delta, text) => {
+            setStatus("Receiving response...");
+            responseText.textContent = text;
+            responseArea.style.display = 'block';
+            responseArea.classList.add('show');
           }
         });
 
@@ -125,4 +131,22 @@ document.addEventListener('DOMContentLoaded', async function() {
       promptInput.value = randomPrompt; 
       executePrompt(randomPrompt);
     });
+
+    // 3. Side panel. sidePanel.open() only works straight from the click,
+    // so the window is looked up beforehand.
+    const currentWindow = await chrome.windows.getCurrent();
+    document.getElementById('side-panel-btn').addEventListener('click', () => {
+      chrome.sidePanel.open({ windowId: currentWindow.id });
+      window.close();
+    });
+
+    // 4. Batch runner (in its own tab, so it keeps running when the popup closes)
+    document.getElementById('batch-btn').addEventListener('click', () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL('batch.html') });
+    });
+
+    // 5. History (on the options page)
+    document.getElementById('history-btn').addEventListener('click', () => {
+      chrome.runtime.openOptionsPage();
+    });
   });
\ No newline at end of file
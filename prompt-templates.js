@@ -0,0 +1,63 @@
+// Prompt templates with {{variable}} placeholders. Saved templates live in
+// chrome.storage.local under `promptTemplates` as { name, template } so the
+// popup and the batch runner share them.
+
+const TEMPLATE_STORAGE_KEY = 'promptTemplates';
+const TEMPLATE_VARIABLE_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+// Names of the variables used in a template, in order of first use
+function getTemplateVariables(template) {
+  const names = [];
+  for (const match of template.matchAll(TEMPLATE_VARIABLE_PATTERN)) {
+    if (!names.includes(match[1])) {
+      names.push(match[1]);
+    }
+  }
+  return names;
+}
+
+// Fill a template from `variables`. Missing variables throw unless
+// `allowMissing` is set, in which case they become empty strings.
+function renderTemplate(template, variables, options = {}) {
+  const missing = getTemplateVariables(template).filter(name =>
+    variables[name] === undefined || variables[name] === null
+  );
+  if (missing.length > 0 && !options.allowMissing) {
+    const error = new Error(`Missing template variable(s): ${missing.join(', ')}`);
+    error.code = 'MISSING_VARIABLE';
+    throw error;
+  }
+
+  return template.replace(TEMPLATE_VARIABLE_PATTERN, (placeholder, name) => {
+    const value = variables[name];
+    if (value === undefined || value === null) {
+      return '';
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  });
+}
+
+async function listTemplates() {
+  const stored = await chrome.storage.local.get(TEMPLATE_STORAGE_KEY);
+  return stored[TEMPLATE_STORAGE_KEY] || [];
+}
+
+// Save a template, replacing any existing one with the same name
+async function saveTemplate(name, template) {
+  const templates = (await listTemplates()).filter(existing => existing.name !== name);
+  templates.push({ name: name, template: template });
+  templates.sort((a, b) => a.name.localeCompare(b.name));
+  await chrome.storage.local.set({ [TEMPLATE_STORAGE_KEY]: templates });
+  return templates;
+}
+
+async function deleteTemplate(name) {
+  const templates = (await listTemplates()).filter(existing => existing.name !== name);
+  await chrome.storage.local.set({ [TEMPLATE_STORAGE_KEY]: templates });
+  return templates;
+}
+
+// Export for use in modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { getTemplateVariables, renderTemplate, listTemplates, saveTemplate, deleteTemplate };
+}
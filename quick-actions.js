@@ -0,0 +1,351 @@
+// Quick actions on the text selected in any web page: "Ask ChatGPT",
+// "Summarize", "Translate" and whatever else the user sets up. Each action
+// is a prompt template filled with {{selection}} and the page's {{title}}
+// and {{url}}, offered in the page's context menu and on the quick-action-N
+// keyboard shortcuts. The prompt runs as a job in a new chat, in a pool tab
+// or else a background ChatGPT tab of the quick actions' own, so the user
+// never has to go to chatgpt.com first and never loses the chat they have open.
+//
+// The answer streams into an overlay on the page, arrives as a
+// notification, or is followed in the side panel (sidepanel.js), which the
+// action opens. Pages that can't be scripted (chrome://, the Web Store) get
+// a notification instead of the overlay. The actions and where answers go are kept in
+// chrome.storage.sync under `quickActions` as { display, actions }; actions
+// not customized come from DEFAULT_QUICK_ACTIONS.
+
+const QUICK_ACTIONS_STORAGE_KEY = 'quickActions';
+const QUICK_ACTION_MENU_ID = 'quickActions';
+// Context menu items and commands are both "quick-action-<n>", counted from 1
+const QUICK_ACTION_ID_PREFIX = 'quick-action-';
+const MAX_QUICK_ACTIONS = 10;
+const QUICK_ACTION_DISPLAYS = ['overlay', 'notification', 'sidepanel'];
+// Chrome cuts longer notification text short anyway
+const NOTIFICATION_TEXT_LENGTH = 300;
+// Streamed text is redrawn in the overlay at most this often
+const OVERLAY_REFRESH_INTERVAL = 500;
+const QUICK_ACTION_ICON = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAACAAAAAgCAIAAAD8GO2jAAAAKklEQVR42mMQWFxPU8QwasGoBaMWjFowasGoBaMWjFowasGoBaMWDBULAILkyD0zU5ZPAAAAAElFTkSuQmCC';
+
+const DEFAULT_QUICK_ACTIONS = [
+  { title: 'Ask ChatGPT', template: '{{selection}}' },
+  { title: 'Summarize', template: 'Summarize the following text in a few sentences:\n\n{{selection}}' },
+  { title: 'Translate', template: 'Translate the following text into English. Reply with only the translation.\n\n{{selection}}' }
+];
+
+// Quick-action jobs still running: jobId -> { tabId, title, display, shownAt }.
+// Only kept in memory: an answer that arrives after the worker restarted
+// still goes to the history, just not to the page.
+const quickActionRuns = new Map();
+// Notification ID -> conversation URL opened when it is clicked
+const notificationUrls = new Map();
+// The background tab quick actions run in while the tab pool is off, reused
+// as long as it stays open
+let quickActionTabId = null;
+// The stored `display`, known up front: the side panel can only be opened
+// straight from the click or shortcut, before anything is awaited
+let quickActionDisplay = 'overlay';
+
+function readQuickActions(stored) {
+  const config = stored[QUICK_ACTIONS_STORAGE_KEY] || {};
+  return {
+    display: config.display || 'overlay',
+    actions: config.actions || DEFAULT_QUICK_ACTIONS,
+    customized: !!config.actions
+  };
+}
+
+async function getQuickActions() {
+  return readQuickActions(await chrome.storage.sync.get(QUICK_ACTIONS_STORAGE_KEY));
+}
+
+// `display` is 'overlay', 'notification' or 'sidepanel'; `actions` is [{ title, template }],
+// or null to go back to the default actions
+async function configureQuickActions({ display, actions }) {
+  if (display !== undefined && !QUICK_ACTION_DISPLAYS.includes(display)) {
+    throw jobError('INVALID_OPTIONS', `\`display\` must be one of: ${QUICK_ACTION_DISPLAYS.join(', ')}`);
+  }
+  if (actions !== undefined && actions !== null) {
+    if (!Array.isArray(actions) || actions.length === 0 || actions.length > MAX_QUICK_ACTIONS) {
+      throw jobError('INVALID_OPTIONS', `\`actions\` must be a list of 1 to ${MAX_QUICK_ACTIONS} actions`);
+    }
+    const invalid = actions.findIndex(action => !action
+      || typeof action.title !== 'string' || !action.title.trim()
+      || typeof action.template !== 'string' || !action.template.trim());
+    if (invalid !== -1) {
+      throw jobError('INVALID_OPTIONS', `Quick action ${invalid + 1} needs a title and a prompt template`);
+    }
+  }
+
+  const stored = (await chrome.storage.sync.get(QUICK_ACTIONS_STORAGE_KEY))[QUICK_ACTIONS_STORAGE_KEY] || {};
+  if (display !== undefined) {
+    stored.display = display;
+  }
+  if (actions === null) {
+    delete stored.actions;
+  } else if (actions !== undefined) {
+    stored.actions = actions.map(action => ({ title: action.title.trim(), template: action.template }));
+  }
+  await chrome.storage.sync.set({ [QUICK_ACTIONS_STORAGE_KEY]: stored });
+  return readQuickActions({ [QUICK_ACTIONS_STORAGE_KEY]: stored });
+}
+
+function getQuickActionIndex(id) {
+  return typeof id === 'string' && id.startsWith(QUICK_ACTION_ID_PREFIX)
+    ? parseInt(id.slice(QUICK_ACTION_ID_PREFIX.length), 10) - 1
+    : -1;
+}
+
+// Build the context menu and remember where answers go
+async function loadQuickActions() {
+  const { display, actions } = await getQuickActions();
+  quickActionDisplay = display;
+  await chrome.contextMenus.removeAll();
+  chrome.contextMenus.create({ id: QUICK_ACTION_MENU_ID, title: 'ChatGPT', contexts: ['selection'] });
+  actions.forEach((action, index) => {
+    chrome.contextMenus.create({
+      id: QUICK_ACTION_ID_PREFIX + (index + 1),
+      parentId: QUICK_ACTION_MENU_ID,
+      title: action.title,
+      contexts: ['selection']
+    });
+  });
+}
+
+// The page's selection with its line breaks, which the context menu's
+// `selectionText` loses. Empty if the page can't be scripted.
+async function getSelectedText(tabId) {
+  try {
+    const [injection] = await chrome.scripting.executeScript({
+      target: { tabId: tabId },
+      func: () => window.getSelection().toString()
+    });
+    return injection.result || '';
+  } catch (error) {
+    return '';
+  }
+}
+
+// A new chat would take the user's own ChatGPT tab away from their
+// conversation, so without a pool the actions get a tab of their own
+async function getQuickActionTabId() {
+  const pool = await getTabPool();
+  if (pool.size > 0) {
+    return undefined;
+  }
+  if (quickActionTabId) {
+    try {
+      await chrome.tabs.get(quickActionTabId);
+      return quickActionTabId;
+    } catch (error) {
+      quickActionTabId = null;
+    }
+  }
+  const tab = await openChatGPTTab();
+  quickActionTabId = tab.id;
+  return tab.id;
+}
+
+async function runQuickAction(index, tab, selectionText) {
+  const config = await getQuickActions();
+  const action = config.actions[index];
+  if (!action) {
+    return;
+  }
+  const run = { tabId: tab.id, title: action.title, display: config.display, shownAt: 0 };
+  const selection = ((await getSelectedText(tab.id)) || selectionText || '').trim();
+  if (!selection) {
+    await showQuickActionResult(run, { state: 'error', text: "Select some text on the page first" });
+    return;
+  }
+
+  const prompt = renderTemplate(action.template, {
+    selection: selection,
+    title: tab.title || '',
+    url: tab.url || ''
+  }, { allowMissing: true });
+
+  try {
+    const job = await enqueueJob({ prompt: prompt, tabId: await getQuickActionTabId(), newChat: true });
+    run.jobId = job.id;
+    quickActionRuns.set(job.id, run);
+    await showQuickActionResult(run, { state: 'pending', text: '' });
+  } catch (error) {
+    await showQuickActionResult(run, { state: 'error', text: error.message });
+  }
+}
+
+// view: { state: 'pending' | 'streaming' | 'done' | 'error', text, copyText, conversationUrl }
+async function showQuickActionResult(run, view) {
+  // The side panel follows the job itself; only errors before there is one
+  // need showing
+  if (run.display === 'sidepanel' && run.jobId) {
+    return;
+  }
+  if (run.display === 'overlay') {
+    try {
+      await chrome.scripting.executeScript({
+        target: { tabId: run.tabId },
+        func: showQuickActionOverlay,
+        args: [Object.assign({ title: run.title }, view)]
+      });
+      return;
+    } catch (error) {
+      // Fall back to a notification
+    }
+  }
+  if (view.state !== 'done' && view.state !== 'error') {
+    return;
+  }
+
+  const text = view.text.length > NOTIFICATION_TEXT_LENGTH
+    ? view.text.slice(0, NOTIFICATION_TEXT_LENGTH - 3) + '...'
+    : view.text;
+  const notificationId = await chrome.notifications.create({
+    type: 'basic',
+    iconUrl: QUICK_ACTION_ICON,
+    title: view.state === 'error' ? `${run.title} failed` : run.title,
+    message: text
+  });
+  if (view.conversationUrl) {
+    notificationUrls.set(notificationId, view.conversationUrl);
+  }
+}
+
+// Runs in the web page: a box in the top right corner, kept apart from the
+// page's styles in a shadow root and updated in place by later calls
+function showQuickActionOverlay(view) {
+  const HOST_ID = 'chatgpt-automator-overlay';
+  let host = document.getElementById(HOST_ID);
+  if (!host) {
+    host = document.createElement('div');
+    host.id = HOST_ID;
+    host.style.cssText = 'position: fixed; top: 16px; right: 16px; z-index: 2147483647;';
+    const shadow = host.attachShadow({ mode: 'open' });
+    shadow.innerHTML = `
+      <style>
+        .box { width: 380px; max-height: 60vh; display: flex; flex-direction: column; background: #fff; color: #333;
+               border: 1px solid #e5e5e5; border-radius: 8px; box-shadow: 0 4px 16px rgba(0, 0, 0, 0.15);
+               font: 13px/1.5 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; }
+        .header, .footer { display: flex; align-items: center; justify-content: space-between; gap: 8px; padding: 8px 12px; }
+        .header { border-bottom: 1px solid #eee; color: #10a37f; }
+        .text { padding: 10px 12px; overflow-y: auto; white-space: pre-wrap; word-wrap: break-word; }
+        .text.error { color: #d32f2f; }
+        .text.pending { color: #888; }
+        .footer { border-top: 1px solid #eee; }
+        a { color: #10a37f; }
+        button { border: none; border-radius: 4px; padding: 4px 10px; cursor: pointer; font: inherit; font-weight: bold;
+                 background: #444654; color: #fff; }
+        .close { background: none; color: #888; font-size: 16px; padding: 0 4px; }
+      </style>
+      <div class="box">
+        <div class="header"><strong class="title"></strong><button class="close" title="Close">&times;</button></div>
+        <div class="text"></div>
+        <div class="footer"><a class="link" target="_blank">Open in ChatGPT</a><button class="copy">Copy</button></div>
+      </div>`;
+    shadow.querySelector('.close').addEventListener('click', () => host.remove());
+    shadow.querySelector('.copy').addEventListener('click', (event) => {
+      navigator.clipboard.writeText(host.dataset.copyText || '').then(() => {
+        event.target.textContent = 'Copied';
+      });
+    });
+    document.documentElement.appendChild(host);
+  }
+
+  const shadow = host.shadowRoot;
+  shadow.querySelector('.title').textContent = view.title;
+  const text = shadow.querySelector('.text');
+  text.textContent = view.state === 'pending' ? 'Asking ChatGPT...' : view.text;
+  text.className = `text ${view.state}`;
+  const link = shadow.querySelector('.link');
+  link.href = view.conversationUrl || '#';
+  link.style.visibility = view.conversationUrl ? 'visible' : 'hidden';
+  const copy = shadow.querySelector('.copy');
+  copy.textContent = 'Copy';
+  copy.style.display = view.state === 'done' ? '' : 'none';
+  host.dataset.copyText = view.copyText || view.text || '';
+}
+
+jobUpdateListeners.add((job) => {
+  const run = quickActionRuns.get(job.id);
+  if (!run || !isFinishedJob(job)) {
+    return;
+  }
+  quickActionRuns.delete(job.id);
+  if (job.status === 'completed') {
+    showQuickActionResult(run, {
+      state: 'done',
+      text: job.response || '',
+      copyText: job.markdown || job.response || '',
+      conversationUrl: job.conversationUrl
+    }).catch(error => console.error("ChatGPT Automator: Could not show the quick action result:", error));
+  } else {
+    showQuickActionResult(run, { state: 'error', text: job.error || "The prompt was cancelled" }).catch(error => console.error("ChatGPT Automator: Could not show the quick action result:", error));
+  }
+});
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === "RESPONSE_CHUNK" && sender.tab) {
+    const run = quickActionRuns.get(request.requestId);
+    if (run && run.display === 'overlay' && Date.now() - run.shownAt >= OVERLAY_REFRESH_INTERVAL) {
+      run.shownAt = Date.now();
+      showQuickActionResult(run, { state: 'streaming', text: request.text }).catch(error => console.error("ChatGPT Automator: Could not show the quick action result:", error));
+    }
+    return false;
+  }
+  if (request.action === "CONFIGURE_QUICK_ACTIONS") {
+    configureQuickActions({ display: request.display, actions: request.actions })
+      .then(config => sendResponse({ success: true, quickActions: config }))
+      .catch(error => sendResponse({ success: false, error: error.message, code: error.code }));
+    return true;
+  }
+  if (request.action === "GET_QUICK_ACTIONS") {
+    getQuickActions()
+      .then(config => sendResponse({ success: true, quickActions: config }))
+      .catch(error => sendResponse({ success: false, error: error.message, code: error.code }));
+    return true;
+  }
+  return false;
+});
+
+function openSidePanelFor(tab) {
+  if (quickActionDisplay === 'sidepanel') {
+    chrome.sidePanel.open({ windowId: tab.windowId }).catch(error => {
+      console.warn("ChatGPT Automator: Could not open the side panel:", error);
+    });
+  }
+}
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  const index = getQuickActionIndex(info.menuItemId);
+  if (index !== -1 && tab) {
+    openSidePanelFor(tab);
+    runQuickAction(index, tab, info.selectionText).catch(error => console.error("ChatGPT Automator: Quick action failed:", error));
+  }
+});
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  const index = getQuickActionIndex(command);
+  if (index !== -1 && tab) {
+    openSidePanelFor(tab);
+    runQuickAction(index, tab).catch(error => console.error("ChatGPT Automator: Quick action failed:", error));
+  }
+});
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+  const url = notificationUrls.get(notificationId);
+  if (url) {
+    chrome.tabs.create({ url: url, active: true });
+  }
+  chrome.notifications.clear(notificationId);
+});
+
+chrome.notifications.onClosed.addListener((notificationId) => {
+  notificationUrls.delete(notificationId);
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'sync' && changes[QUICK_ACTIONS_STORAGE_KEY]) {
+    loadQuickActions().catch(error => console.error("ChatGPT Automator: Failed to load quick actions:", error));
+  }
+});
+
+loadQuickActions().catch(error => console.error("ChatGPT Automator: Failed to load quick actions:", error));
@@ -0,0 +1,328 @@
+// Registry of the ChatGPT page elements the content script relies on.
+// Each element has an ordered list of strategies (CSS selectors): the first
+// one that matches wins, so when ChatGPT changes its markup the later ones
+// keep the extension working. Elements marked `union` are collections
+// (error banners, menu items, ...) gathered from every strategy instead.
+//
+// Strategies can be added without a new build through
+// `selectorOverrides` in chrome.storage.local:
+//
+//   { version: 1, selectors: { sendButton: ['button.new-send'], ... } }
+//
+// Overrides are tried before the built-in strategies. Overrides written for
+// an older registry version are ignored, so a hotfix retires itself once a
+// build with updated selectors ships.
+
+const SELECTOR_REGISTRY_VERSION = 1;
+const SELECTOR_OVERRIDES_KEY = 'selectorOverrides';
+
+const SELECTOR_REGISTRY = {
+  composer: {
+    strategies: [
+      { name: 'prompt-textarea', selector: '#prompt-textarea' },
+      { name: 'prosemirror', selector: 'form .ProseMirror[contenteditable="true"]' },
+      { name: 'textarea', selector: 'form textarea' }
+    ]
+  },
+  sendButton: {
+    strategies: [
+      { name: 'test-id', selector: 'button[data-testid="send-button"]' },
+      { name: 'aria-label', selector: 'button[aria-label*="send" i]' },
+      { name: 'title', selector: 'button[title*="send" i]' },
+      { name: 'submit', selector: 'button[type="submit"]' }
+    ]
+  },
+  stopButton: {
+    strategies: [
+      { name: 'test-id', selector: '[data-testid="stop-button"]' },
+      { name: 'aria-label', selector: 'button[aria-label*="stop" i]' },
+      { name: 'title', selector: 'button[title*="stop" i]' }
+    ]
+  },
+  streamingIndicator: {
+    strategies: [
+      { name: 'result-streaming', selector: '.result-streaming' },
+      { name: 'streaming-class', selector: '[class*="streaming"], [class*="Streaming"]' }
+    ]
+  },
+  // Assistant messages only: the user's own turn must never be captured
+  assistantMessage: {
+    strategies: [
+      { name: 'author-role', selector: '[data-message-author-role="assistant"]' },
+      { name: 'turn-markdown', selector: '[data-testid^="conversation-turn"] .markdown' }
+    ]
+  },
+  // The user's own messages, to tell which answers came after the last one
+  userMessage: {
+    strategies: [
+      { name: 'author-role', selector: '[data-message-author-role="user"]' }
+    ]
+  },
+  // Output of a tool (code interpreter, browsing, ...) shown in the turn
+  toolMessage: {
+    strategies: [
+      { name: 'author-role', selector: '[data-message-author-role="tool"]' }
+    ]
+  },
+  // "Thought for 12 seconds", with the reasoning summary when expanded.
+  // Buttons are only used when their text reads like that label.
+  reasoning: {
+    strategies: [
+      { name: 'test-id', selector: '[data-testid*="reasoning"], [data-testid*="thoughts"]' },
+      { name: 'button', selector: 'button, [role="button"]' }
+    ]
+  },
+  // Source links in an answer: citation pills, or else external links
+  citation: {
+    strategies: [
+      { name: 'citation-pill', selector: '[data-testid*="citation"] a[href], a[data-testid*="citation"][href]' },
+      { name: 'external-link', selector: 'a[href^="http"][target="_blank"]' }
+    ]
+  },
+  // Images generated in an answer (not avatars or icons)
+  generatedImage: {
+    union: true,
+    strategies: [
+      { name: 'alt', selector: 'img[alt*="generated image" i]' },
+      { name: 'image-test-id', selector: '[data-testid*="image"] img' },
+      { name: 'oai-content', selector: 'img[src*="oaiusercontent"], img[src*="oaidalle"]' }
+    ]
+  },
+  // The container of one turn, holding its messages and action bar
+  turn: {
+    strategies: [
+      { name: 'test-id', selector: '[data-testid^="conversation-turn-"]' },
+      { name: 'article', selector: 'article' }
+    ]
+  },
+  // The action bar (copy, like, ...) ChatGPT adds under a finished answer
+  turnActions: {
+    union: true,
+    strategies: [
+      { name: 'copy-test-id', selector: '[data-testid="copy-turn-action-button"]' },
+      { name: 'turn-action-test-id', selector: '[data-testid$="turn-action-button"]' }
+    ]
+  },
+  // The rendered Markdown inside a response or message
+  markdown: {
+    strategies: [
+      { name: 'markdown', selector: '.markdown' },
+      { name: 'prose', selector: '.prose' }
+    ]
+  },
+  message: {
+    strategies: [
+      { name: 'author-role', selector: '[data-message-author-role]' }
+    ]
+  },
+  errorBanner: {
+    union: true,
+    strategies: [
+      { name: 'alert', selector: '[role="alert"]' },
+      { name: 'error-text', selector: '.text-token-text-error' },
+      { name: 'red', selector: '[class*="text-red"], [class*="border-red"]' }
+    ]
+  },
+  modelSwitcher: {
+    strategies: [
+      { name: 'test-id', selector: '[data-testid="model-switcher-dropdown-button"]' },
+      { name: 'aria-label', selector: 'button[aria-label^="Model selector" i]' }
+    ]
+  },
+  // Only shown to logged-out visitors, who can still chat (without history)
+  loginButton: {
+    strategies: [
+      { name: 'test-id', selector: '[data-testid="login-button"]' },
+      { name: 'auth-link', selector: 'a[href*="/auth/login"]' }
+    ]
+  },
+  menuItem: {
+    union: true,
+    strategies: [
+      { name: 'menuitem', selector: '[role="menuitem"], [role="menuitemradio"]' },
+      { name: 'option', selector: '[role="option"]' }
+    ]
+  },
+  composerPlusButton: {
+    strategies: [
+      { name: 'test-id', selector: '[data-testid="composer-plus-btn"]' },
+      { name: 'tools-label', selector: 'button[aria-label*="tools" i]' },
+      { name: 'add-photos-label', selector: 'button[aria-label*="Add photos" i]' }
+    ]
+  },
+  // Composer tool toggles (web search, canvas, ...) that are switched off
+  toolToggle: {
+    union: true,
+    strategies: [
+      { name: 'aria-pressed', selector: 'button[aria-pressed="false"]' }
+    ]
+  },
+  // Composer tools that are switched on, shown as pressed buttons or pills
+  activeTool: {
+    union: true,
+    strategies: [
+      { name: 'aria-pressed', selector: 'button[aria-pressed="true"]' },
+      { name: 'state-on', selector: '[data-state="on"]' },
+      { name: 'pill', selector: '[data-testid*="pill"]' }
+    ]
+  },
+  fileInput: {
+    union: true,
+    strategies: [
+      { name: 'file-input', selector: 'input[type="file"]' }
+    ]
+  },
+  uploadProgress: {
+    union: true,
+    strategies: [
+      { name: 'progressbar', selector: '[role="progressbar"]' },
+      { name: 'spinner', selector: '.animate-spin' },
+      { name: 'progress-ring', selector: 'circle[stroke-dashoffset]' }
+    ]
+  }
+};
+
+// Overrides loaded from storage, by element name
+let selectorOverrides = {};
+// Elements we already warned about matching through a fallback
+const reportedFallbacks = new Set();
+
+// Accepts selector strings or { name, selector } objects per element
+function normalizeSelectorOverrides(stored) {
+  if (!stored || typeof stored !== 'object' || !stored.selectors) {
+    return {};
+  }
+  if ((stored.version || 0) < SELECTOR_REGISTRY_VERSION) {
+    console.warn(`ChatGPT Automator: Ignoring selector overrides for registry version ${stored.version || 0} (current: ${SELECTOR_REGISTRY_VERSION})`);
+    return {};
+  }
+
+  const overrides = {};
+  Object.keys(stored.selectors).forEach(element => {
+    if (!SELECTOR_REGISTRY[element]) {
+      console.warn(`ChatGPT Automator: Ignoring selector overrides for unknown element "${element}"`);
+      return;
+    }
+    const list = [].concat(stored.selectors[element] || []);
+    overrides[element] = list
+      .map((entry, i) => typeof entry === 'string' ? { name: `override-${i + 1}`, selector: entry } : entry)
+      .filter(entry => entry && typeof entry.selector === 'string' && entry.selector.trim())
+      .map(entry => ({ name: entry.name || 'override', selector: entry.selector, source: 'override' }));
+  });
+  return overrides;
+}
+
+function loadSelectorOverrides() {
+  return chrome.storage.local.get(SELECTOR_OVERRIDES_KEY).then(stored => {
+    selectorOverrides = normalizeSelectorOverrides(stored[SELECTOR_OVERRIDES_KEY]);
+    reportedFallbacks.clear();
+  }).catch(error => console.error("ChatGPT Automator: Failed to load selector overrides:", error));
+}
+
+// Every strategy for an element, overrides first
+function getSelectorStrategies(element) {
+  const entry = SELECTOR_REGISTRY[element];
+  if (!entry) {
+    throw new Error(`Unknown page element "${element}"`);
+  }
+  const builtIn = entry.strategies.map(strategy => Object.assign({ source: 'default' }, strategy));
+  return (selectorOverrides[element] || []).concat(builtIn);
+}
+
+// A malformed override must not break the lookup, so syntax errors count
+// as "no match"
+function queryStrategy(strategy, root) {
+  try {
+    return Array.from(root.querySelectorAll(strategy.selector));
+  } catch (e) {
+    return [];
+  }
+}
+
+function noteFallback(element, strategy, index) {
+  if (index > 0 && !reportedFallbacks.has(element)) {
+    reportedFallbacks.add(element);
+    console.warn(`ChatGPT Automator: "${element}" matched by fallback strategy "${strategy.name}" (${strategy.selector})`);
+  }
+}
+
+// All matches for an element: from the first strategy that matches
+// anything, or from every strategy for `union` elements
+function findAllElements(element, root = document) {
+  const strategies = getSelectorStrategies(element);
+
+  if (SELECTOR_REGISTRY[element].union) {
+    const found = new Set();
+    strategies.forEach(strategy => queryStrategy(strategy, root).forEach(match => found.add(match)));
+    return Array.from(found).sort((a, b) =>
+      a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+    );
+  }
+
+  for (let i = 0; i < strategies.length; i++) {
+    const matches = queryStrategy(strategies[i], root);
+    if (matches.length > 0) {
+      noteFallback(element, strategies[i], i);
+      return matches;
+    }
+  }
+  return [];
+}
+
+function findElement(element, root = document) {
+  return findAllElements(element, root)[0] || null;
+}
+
+// The selector of the strategy that currently finds the element, for code
+// that can't use the registry itself (scripts injected by the background)
+function getMatchedSelector(element, root = document) {
+  const strategy = getSelectorStrategies(element).find(candidate => queryStrategy(candidate, root).length > 0);
+  return strategy ? strategy.selector : null;
+}
+
+function matchesElement(node, element) {
+  return getSelectorStrategies(element).some(strategy => {
+    try {
+      return node.matches(strategy.selector);
+    } catch (e) {
+      return false;
+    }
+  });
+}
+
+// Which strategy matched each element on the current page
+function diagnoseSelectors() {
+  const elements = {};
+  Object.keys(SELECTOR_REGISTRY).forEach(element => {
+    let matched = null;
+    const strategies = getSelectorStrategies(element).map(strategy => {
+      let count = 0;
+      let error = null;
+      try {
+        count = document.querySelectorAll(strategy.selector).length;
+      } catch (e) {
+        error = e.message;
+      }
+      if (count > 0 && !matched) {
+        matched = strategy.name;
+      }
+      return { name: strategy.name, selector: strategy.selector, source: strategy.source, count: count, error: error };
+    });
+    elements[element] = { matched: matched, union: !!SELECTOR_REGISTRY[element].union, strategies: strategies };
+  });
+
+  return {
+    version: SELECTOR_REGISTRY_VERSION,
+    url: location.href,
+    overrides: Object.keys(selectorOverrides).filter(element => selectorOverrides[element].length > 0),
+    elements: elements
+  };
+}
+
+loadSelectorOverrides();
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[SELECTOR_OVERRIDES_KEY]) {
+    loadSelectorOverrides();
+  }
+});
@@ -0,0 +1,193 @@
+// Timeouts, polling and behavior defaults, kept in chrome.storage.sync so
+// they follow the user's Chrome profile. Loaded by the content scripts, the
+// background worker (importScripts) and the options page; extension pages
+// using chatgpt-api.js get them through GET_SETTINGS.
+//
+// Settings are grouped in named profiles, one of which is active:
+//
+//   { activeProfile: 'Default', profiles: { 'Default': {}, 'Mine': { settleTime: 800 } } }
+//
+// A profile only stores the values it changes; everything else falls back
+// to DEFAULT_SETTINGS. Changes apply to the next prompt, without a reload.
+
+const SETTINGS_STORAGE_KEY = 'settings';
+const DEFAULT_PROFILE_NAME = 'Default';
+
+// Times are in milliseconds
+const DEFAULT_SETTINGS = {
+  // ChatGPT page opened for new tabs (chatgpt.com or chat.openai.com)
+  chatGPTUrl: 'https://chatgpt.com/',
+  // Start a new chat when a prompt doesn't say (`newChat` option)
+  newChat: false,
+  // sendPrompt() gives up after this long (its `timeout` option)
+  requestTimeout: 300000,
+  // How an answer counts as finished; see content.js waitForResponse()
+  completionStrategy: 'auto',
+  settleTime: 500,
+  // settleTime for the 'stable' strategy, which only has the text to go on
+  stableSettleTime: 3000,
+  responseTimeout: 300000,
+  pollInterval: 250,
+  // Wait after inserting the prompt before pressing send
+  sendDelay: 300,
+  // Wait before checking that the prompt box holds the prompt
+  injectionCheckDelay: 300,
+  // Wait before the background reads the result of the editor injection
+  injectionResultDelay: 500,
+  // Retries after a ChatGPT error (the `retry.attempts` option)
+  retryAttempts: 2
+};
+
+// Allowed values of each setting: a number range, a list or a test
+const SETTING_RULES = {
+  chatGPTUrl: value => /^https:\/\/(chatgpt\.com|chat\.openai\.com)\//.test(value),
+  newChat: value => typeof value === 'boolean',
+  requestTimeout: [1000, 86400000],
+  completionStrategy: ['auto', 'actions', 'stable'],
+  settleTime: [0, 600000],
+  stableSettleTime: [0, 600000],
+  responseTimeout: [1000, 86400000],
+  pollInterval: [50, 60000],
+  sendDelay: [0, 60000],
+  injectionCheckDelay: [0, 60000],
+  injectionResultDelay: [0, 60000],
+  retryAttempts: [0, 10]
+};
+
+// Profiles every user has. They can be changed, but not deleted.
+const BUILTIN_PROFILES = {
+  [DEFAULT_PROFILE_NAME]: {},
+  'Fast short answers': {
+    newChat: true,
+    requestTimeout: 90000,
+    settleTime: 300,
+    responseTimeout: 60000,
+    pollInterval: 100,
+    sendDelay: 150
+  },
+  'Long reasoning runs': {
+    requestTimeout: 3600000,
+    completionStrategy: 'actions',
+    settleTime: 2000,
+    responseTimeout: 3540000,
+    pollInterval: 1000,
+    retryAttempts: 1
+  }
+};
+
+let cachedSettings = Object.assign({}, DEFAULT_SETTINGS);
+let settingsReady = null;
+
+function isValidSetting(name, value) {
+  const rule = SETTING_RULES[name];
+  if (typeof rule === 'function') {
+    return typeof value === 'string' || typeof value === 'boolean' ? rule(value) : false;
+  }
+  if (rule.length === 2 && typeof rule[0] === 'number') {
+    return typeof value === 'number' && isFinite(value) && value >= rule[0] && value <= rule[1];
+  }
+  return rule.includes(value);
+}
+
+// Known settings with valid values; anything else is dropped
+function normalizeSettings(values) {
+  const normalized = {};
+  Object.keys(values || {}).forEach(name => {
+    if (SETTING_RULES[name] && isValidSetting(name, values[name])) {
+      normalized[name] = values[name];
+    }
+  });
+  return normalized;
+}
+
+// The stored profiles with the built-in ones filled in
+function readSettingsStore(stored) {
+  const store = stored && typeof stored === 'object' ? stored : {};
+  const profiles = Object.assign({}, BUILTIN_PROFILES, store.profiles || {});
+  const activeProfile = profiles[store.activeProfile] ? store.activeProfile : DEFAULT_PROFILE_NAME;
+  return { activeProfile: activeProfile, profiles: profiles };
+}
+
+// The active profile's values over the defaults
+function resolveSettings(store) {
+  const { activeProfile, profiles } = readSettingsStore(store);
+  return Object.assign({}, DEFAULT_SETTINGS, normalizeSettings(profiles[activeProfile]), { profile: activeProfile });
+}
+
+async function getSettingsStore() {
+  const stored = await chrome.storage.sync.get(SETTINGS_STORAGE_KEY);
+  return readSettingsStore(stored[SETTINGS_STORAGE_KEY]);
+}
+
+function loadSettings() {
+  settingsReady = chrome.storage.sync.get(SETTINGS_STORAGE_KEY)
+    .then(stored => {
+      cachedSettings = resolveSettings(stored[SETTINGS_STORAGE_KEY]);
+    })
+    .catch(error => {
+      console.warn("ChatGPT Automator: Could not load settings, using the defaults:", error);
+    });
+  return settingsReady;
+}
+
+// The settings in effect, once they have been read from storage
+async function getSettings() {
+  await settingsReady;
+  return Object.assign({}, cachedSettings);
+}
+
+// The settings in effect right now (the defaults until storage was read)
+function currentSettings() {
+  return cachedSettings;
+}
+
+async function updateSettingsStore(mutator) {
+  const store = await getSettingsStore();
+  mutator(store);
+  await chrome.storage.sync.set({ [SETTINGS_STORAGE_KEY]: store });
+  return store;
+}
+
+// Save `values` as profile `name` (replacing it), optionally making it active
+function saveSettingsProfile(name, values, activate = false) {
+  if (typeof name !== 'string' || !name.trim()) {
+    return Promise.reject(new Error("A profile needs a name"));
+  }
+  return updateSettingsStore((store) => {
+    store.profiles[name.trim()] = normalizeSettings(values);
+    if (activate) {
+      store.activeProfile = name.trim();
+    }
+  });
+}
+
+function setActiveSettingsProfile(name) {
+  return updateSettingsStore((store) => {
+    if (!store.profiles[name]) {
+      throw new Error(`There is no settings profile named "${name}"`);
+    }
+    store.activeProfile = name;
+  });
+}
+
+// Built-in profiles go back to their original values instead
+function deleteSettingsProfile(name) {
+  return updateSettingsStore((store) => {
+    if (BUILTIN_PROFILES[name]) {
+      store.profiles[name] = Object.assign({}, BUILTIN_PROFILES[name]);
+      return;
+    }
+    delete store.profiles[name];
+    if (store.activeProfile === name) {
+      store.activeProfile = DEFAULT_PROFILE_NAME;
+    }
+  });
+}
+
+loadSettings();
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'sync' && changes[SETTINGS_STORAGE_KEY]) {
+    cachedSettings = resolveSettings(changes[SETTINGS_STORAGE_KEY].newValue);
+  }
+});
@@ -0,0 +1,283 @@
+// Side panel: stays open beside the page, unlike the popup, so an answer
+// keeps streaming in while the user works. Prompts go through the job queue
+// and the panel follows every job with watchJobs(), so it also shows jobs
+// started elsewhere (quick actions, the batch runner) and picks up a job
+// that was already running when it was opened.
+document.addEventListener('DOMContentLoaded', async function() {
+  const promptInput = document.getElementById('prompt-input');
+  const newChatInput = document.getElementById('new-chat-input');
+  const sendBtn = document.getElementById('send-btn');
+  const statusMsg = document.getElementById('status-msg');
+  const answerGroup = document.getElementById('answer-group');
+  const answerStatus = document.getElementById('answer-status');
+  const answerPrompt = document.getElementById('answer-prompt');
+  const answerText = document.getElementById('answer-text');
+  const answerLink = document.getElementById('answer-link');
+  const copyBtn = document.getElementById('copy-btn');
+  const stopBtn = document.getElementById('stop-btn');
+  const queueList = document.getElementById('queue-list');
+  const historySearch = document.getElementById('history-search');
+  const historyList = document.getElementById('history-list');
+
+  const HISTORY_LIMIT = 20;
+
+  // Latest state of every job seen, by ID
+  const jobs = new Map();
+  // The job (or history entry) shown in the answer area, and its text so far
+  let shown = null;
+  let shownText = '';
+  let searchTimer = null;
+
+  const chatGPTAPI = await createChatGPTAPI();
+  newChatInput.checked = (await chatGPTAPI.getSettings()).newChat;
+
+  function setStatus(msg, isError = false) {
+    statusMsg.textContent = msg;
+    statusMsg.classList.toggle('error', isError);
+  }
+
+  function isFinished(job) {
+    return job.status === 'completed' || job.status === 'failed' || job.status === 'cancelled';
+  }
+
+  function snippet(text) {
+    return text.length > 120 ? text.slice(0, 117) + '...' : text;
+  }
+
+  // --- Answer ---
+
+  function describeStatus(job) {
+    switch (job.status) {
+      case 'queued':
+        return job.attempts > 0 ? `Retrying (attempt ${job.attempts} of ${job.retry.attempts})...` : "Waiting in the queue...";
+      case 'running':
+        return shownText ? "Writing..." : "Waiting for response...";
+      case 'completed':
+        return `Done (${(job.response || '').length} chars)`;
+      case 'cancelled':
+        return "Cancelled";
+      default:
+        return "Failed";
+    }
+  }
+
+  function renderAnswer() {
+    if (!shown) {
+      answerGroup.style.display = 'none';
+      return;
+    }
+    answerGroup.style.display = 'block';
+    answerStatus.textContent = describeStatus(shown);
+    answerPrompt.textContent = shown.prompt;
+    answerText.textContent = shown.status === 'failed' ? shown.error || "The prompt failed" : shownText;
+    answerText.classList.toggle('error', shown.status === 'failed');
+    copyBtn.disabled = shown.status !== 'completed';
+    stopBtn.style.display = isFinished(shown) ? 'none' : '';
+    answerLink.style.display = shown.conversationUrl ? '' : 'none';
+    answerLink.href = shown.conversationUrl || '#';
+  }
+
+  // Show a job or history entry; a job is then kept up to date as it runs
+  function show(job) {
+    shown = jobs.get(job.id) || job;
+    shownText = shown.response || '';
+    renderAnswer();
+  }
+
+  // A job started elsewhere takes over the answer area once the shown one is done
+  function isFollowing(job) {
+    return shown !== null && shown.id === job.id;
+  }
+
+  function canTakeOver() {
+    return shown === null || isFinished(shown);
+  }
+
+  copyBtn.addEventListener('click', async () => {
+    try {
+      await navigator.clipboard.writeText(shown.markdown || shown.response || '');
+      setStatus("Copied as Markdown");
+    } catch (error) {
+      setStatus(`Could not copy: ${error.message}`, true);
+    }
+  });
+
+  stopBtn.addEventListener('click', () => cancel(shown.id));
+
+  // --- Sending ---
+
+  async function send(prompt) {
+    if (!prompt || !prompt.trim()) {
+      setStatus("Please enter a prompt.", true);
+      return;
+    }
+    sendBtn.disabled = true;
+    try {
+      const job = await chatGPTAPI.enqueuePrompt(prompt, { newChat: newChatInput.checked });
+      if (!jobs.has(job.id)) {
+        jobs.set(job.id, job);
+      }
+      show(job);
+      renderQueue();
+      setStatus('');
+    } catch (error) {
+      setStatus(`Error: ${error.message}`, true);
+    } finally {
+      sendBtn.disabled = false;
+    }
+  }
+
+  async function cancel(jobId) {
+    try {
+      await chatGPTAPI.cancelJob(jobId);
+    } catch (error) {
+      setStatus(`Could not cancel: ${error.message}`, true);
+    }
+  }
+
+  sendBtn.addEventListener('click', () => send(promptInput.value));
+  promptInput.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+      send(promptInput.value);
+    }
+  });
+
+  // --- Queue ---
+
+  function renderQueue() {
+    const waiting = Array.from(jobs.values())
+      .filter(job => !isFinished(job))
+      .sort((a, b) => a.createdAt - b.createdAt);
+    queueList.innerHTML = '';
+    if (waiting.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'empty';
+      empty.textContent = "Nothing queued";
+      queueList.appendChild(empty);
+      return;
+    }
+
+    waiting.forEach(job => {
+      const row = document.createElement('div');
+      row.className = 'job';
+
+      const prompt = document.createElement('div');
+      prompt.className = 'job-prompt';
+      prompt.textContent = snippet(job.prompt);
+      prompt.title = job.prompt;
+      prompt.addEventListener('click', () => show(job));
+
+      const meta = document.createElement('div');
+      meta.className = 'job-meta';
+      const status = document.createElement('span');
+      status.className = job.status;
+      status.textContent = job.status;
+      const cancelBtn = document.createElement('button');
+      cancelBtn.className = 'btn-danger';
+      cancelBtn.textContent = 'Cancel';
+      cancelBtn.addEventListener('click', () => cancel(job.id));
+      meta.append(status, cancelBtn);
+
+      row.append(prompt, meta);
+      queueList.appendChild(row);
+    });
+  }
+
+  // --- History ---
+
+  function renderEntry(entry) {
+    const row = document.createElement('div');
+    row.className = 'entry';
+
+    const prompt = document.createElement('div');
+    prompt.className = 'entry-prompt';
+    prompt.textContent = snippet(entry.prompt);
+    prompt.title = entry.prompt;
+    prompt.addEventListener('click', () => show(entry));
+
+    const meta = document.createElement('div');
+    meta.className = 'entry-meta';
+    const status = document.createElement('span');
+    status.className = entry.status;
+    status.textContent = entry.status;
+
+    const editBtn = document.createElement('button');
+    editBtn.textContent = 'Edit';
+    editBtn.addEventListener('click', () => {
+      promptInput.value = entry.prompt;
+      promptInput.focus();
+    });
+
+    const rerunBtn = document.createElement('button');
+    rerunBtn.textContent = 'Re-run';
+    rerunBtn.addEventListener('click', () => send(entry.prompt));
+
+    meta.append(status, editBtn, rerunBtn);
+    row.append(prompt, meta);
+    return row;
+  }
+
+  async function loadHistory() {
+    try {
+      const { entries } = await chatGPTAPI.searchHistory({
+        query: historySearch.value.trim(),
+        limit: HISTORY_LIMIT
+      });
+      historyList.innerHTML = '';
+      if (entries.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'empty';
+        empty.textContent = historySearch.value.trim() ? "No matching prompts" : "No prompts yet";
+        historyList.appendChild(empty);
+      }
+      entries.forEach(entry => historyList.appendChild(renderEntry(entry)));
+    } catch (error) {
+      setStatus(`Failed to load history: ${error.message}`, true);
+    }
+  }
+
+  historySearch.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => loadHistory(), 250);
+  });
+
+  // --- Following the queue ---
+
+  chatGPTAPI.watchJobs({
+    onUpdate: (job) => {
+      jobs.set(job.id, job);
+      if (isFollowing(job)) {
+        shown = job;
+        if (job.status === 'completed') {
+          shownText = job.response || '';
+        }
+        renderAnswer();
+      } else if (job.status === 'running' && canTakeOver()) {
+        show(job);
+      }
+      renderQueue();
+      if (isFinished(job)) {
+        // The history records the job from the same update
+        setTimeout(() => loadHistory(), 500);
+      }
+    },
+    onChunk: (jobId, delta, text) => {
+      const job = jobs.get(jobId);
+      if (job && !isFollowing(job) && !isFinished(job) && canTakeOver()) {
+        show(job);
+      }
+      if (shown && shown.id === jobId && !isFinished(shown)) {
+        shownText = text;
+        renderAnswer();
+      }
+    }
+  });
+
+  (await chatGPTAPI.listJobs()).forEach(job => jobs.set(job.id, job));
+  const running = Array.from(jobs.values()).filter(job => job.status === 'running');
+  if (running.length > 0) {
+    show(running[running.length - 1]);
+  }
+  renderQueue();
+  loadHistory();
+});
@@ -0,0 +1,302 @@
+// Pool of ChatGPT tabs owned by the background service worker, so several
+// prompts can be answered at once. While the pool has a size, jobs queued
+// without a tab wait for an idle pool tab (see processJobQueue()); tabs are
+// opened as jobs need them, up to the pool's size, and reused after that.
+// Only tabs the pool opened itself are used, so a ChatGPT tab the user is
+// chatting in is never taken over.
+//
+// Busy or idle comes from the job queue (a running job on the tab). Health
+// is checked before each job and every minute: a tab that stops answering
+// (crashed or hung) or shows ChatGPT logged out is closed and replaced.
+
+const TAB_POOL_STORAGE_KEY = 'tabPool';
+const MAX_TAB_POOL_SIZE = 8;
+const TAB_POOL_HEALTH_ALARM = 'tabPoolHealth';
+// Tabs that failed in a row before the pool stops replacing them: fresh
+// tabs failing too means the browser is logged out or ChatGPT is down
+const MAX_TAB_POOL_FAILURES = 3;
+
+let tabPoolLock = Promise.resolve();
+// Tabs being opened; they join the stored pool once loaded
+let openingPoolTabs = 0;
+
+function readTabPool(stored) {
+  return Object.assign({ size: 0, windows: false, tabs: [], failures: 0, checkedAt: null }, stored[TAB_POOL_STORAGE_KEY]);
+}
+
+async function getTabPool() {
+  return readTabPool(await chrome.storage.local.get(TAB_POOL_STORAGE_KEY));
+}
+
+// Serialized like withJobQueue(). When both are needed, take the job queue
+// first: processJobQueue() reads the pool while holding it.
+function withTabPool(mutator) {
+  const run = tabPoolLock.then(async () => {
+    const pool = readTabPool(await chrome.storage.local.get(TAB_POOL_STORAGE_KEY));
+    const result = await mutator(pool);
+    await chrome.storage.local.set({ [TAB_POOL_STORAGE_KEY]: pool });
+    return result;
+  });
+  tabPoolLock = run.catch(() => {});
+  return run;
+}
+
+// `size` pool tabs at most (0 turns the pool off); `windows` opens each
+// one in its own window
+async function configureTabPool({ size, windows }) {
+  if (size !== undefined && (!Number.isInteger(size) || size < 0 || size > MAX_TAB_POOL_SIZE)) {
+    throw jobError('INVALID_OPTIONS', `The tab pool size must be a whole number from 0 to ${MAX_TAB_POOL_SIZE}`);
+  }
+
+  const pool = await withTabPool((pool) => {
+    if (size !== undefined) {
+      pool.size = size;
+    }
+    if (windows !== undefined) {
+      pool.windows = !!windows;
+    }
+    // Give replacements another chance, e.g. after logging in again
+    pool.failures = 0;
+    return Object.assign({}, pool);
+  });
+
+  scheduleTabPoolHealthCheck(pool.size);
+  await trimTabPool();
+  processJobQueue().catch(logJobQueueError);
+  return getTabPoolStatus();
+}
+
+// The pool's settings and each tab's state: 'busy' with `jobId`, or 'idle'
+async function getTabPoolStatus() {
+  const pool = await getTabPool();
+  const jobs = await listJobs();
+
+  return {
+    size: pool.size,
+    windows: pool.windows,
+    healthy: pool.failures < MAX_TAB_POOL_FAILURES,
+    failures: pool.failures,
+    opening: openingPoolTabs,
+    waiting: jobs.filter(job => job.status === 'queued' && job.pooled && !job.tabId).length,
+    tabs: pool.tabs.map(tab => {
+      const running = jobs.find(job => job.status === 'running' && job.tabId === tab.id);
+      return {
+        tabId: tab.id,
+        windowId: tab.windowId,
+        state: running ? 'busy' : 'idle',
+        jobId: running ? running.id : null,
+        openedAt: tab.openedAt,
+        checkedAt: tab.checkedAt
+      };
+    })
+  };
+}
+
+// Open tabs for the jobs waiting on the pool, up to its size. Waiting jobs
+// fail if the pool was turned off or keeps failing.
+async function growTabPool(waiting) {
+  const pool = await getTabPool();
+
+  if (pool.size === 0 || pool.failures >= MAX_TAB_POOL_FAILURES) {
+    const message = pool.size === 0
+      ? "The tab pool was turned off before the job got a tab"
+      : "ChatGPT tabs in the pool keep failing (logged out or not responding). Log in to ChatGPT and configure the pool again.";
+    const failed = await failJobs(job => job.pooled && !job.tabId && job.status === 'queued',
+      message, pool.size === 0 ? 'TAB_NOT_FOUND' : 'TAB_UNHEALTHY');
+    if (failed.length > 0) {
+      processJobQueue().catch(logJobQueueError);
+    }
+    return;
+  }
+
+  const missing = Math.min(waiting, pool.size - pool.tabs.length - openingPoolTabs);
+  for (let i = 0; i < missing; i++) {
+    openPoolTab(pool.windows).catch(logJobQueueError);
+  }
+}
+
+async function openPoolTab(inWindow) {
+  openingPoolTabs++;
+  try {
+    const tab = inWindow ? await openChatGPTWindow() : await openChatGPTTab();
+    await withTabPool((pool) => {
+      pool.tabs.push({ id: tab.id, windowId: tab.windowId, openedAt: Date.now(), checkedAt: null });
+    });
+  } catch (error) {
+    console.error("ChatGPT Automator: Could not open a pool tab:", error);
+    await withTabPool((pool) => {
+      pool.failures++;
+    });
+  } finally {
+    openingPoolTabs--;
+  }
+  processJobQueue().catch(logJobQueueError);
+}
+
+// Why a pool tab can't take a prompt, or null if it can
+function getPoolTabProblem(status) {
+  if (!status) {
+    return "is not responding";
+  }
+  if (status.loggedIn === false) {
+    return "is logged out of ChatGPT";
+  }
+  return null;
+}
+
+// Check a pool tab before a job is sent to it. An unhealthy tab is
+// replaced and the job goes back to wait for another one.
+async function ensureHealthyPoolTab(job) {
+  const problem = getPoolTabProblem(await getTabStatus(job.tabId));
+  if (!problem) {
+    return true;
+  }
+  await requeueJob(job);
+  await replacePoolTab(job.tabId, problem);
+  return false;
+}
+
+// Close an unhealthy pool tab. A prompt it was answering counts as a failed
+// attempt and is retried on another tab; the next waiting job opens the
+// replacement.
+async function replacePoolTab(tabId, problem) {
+  const removed = await withTabPool((pool) => {
+    const found = pool.tabs.some(tab => tab.id === tabId);
+    pool.tabs = pool.tabs.filter(tab => tab.id !== tabId);
+    if (found) {
+      pool.failures++;
+    }
+    return found;
+  });
+  if (!removed) {
+    return;
+  }
+  console.warn(`ChatGPT Automator: Replacing pool tab ${tabId}, which ${problem}`);
+
+  await releasePooledJobs(tabId);
+  const running = (await listJobs()).find(job => job.status === 'running' && job.tabId === tabId);
+  if (running) {
+    await completeJob(running.id, {
+      ok: false,
+      code: 'TAB_UNHEALTHY',
+      message: `The ChatGPT tab ${problem}`,
+      retryable: true,
+      canRegenerate: false
+    });
+  }
+  await chrome.tabs.remove(tabId).catch(() => {});
+  processJobQueue().catch(logJobQueueError);
+}
+
+// Close idle tabs beyond the pool's size; busy ones go once their job ends
+async function trimTabPool() {
+  const closing = await withJobQueue(jobs => withTabPool((pool) => {
+    const inUse = new Set(jobs.filter(job => !isFinishedJob(job)).map(job => job.tabId));
+    const extra = pool.tabs.length - pool.size;
+    const idle = pool.tabs.filter(tab => !inUse.has(tab.id)).reverse().slice(0, Math.max(0, extra));
+    pool.tabs = pool.tabs.filter(tab => !idle.includes(tab));
+    return idle;
+  }));
+
+  for (const tab of closing) {
+    await chrome.tabs.remove(tab.id).catch(() => {});
+  }
+}
+
+// A tab that crashes in the middle of an answer never reports back, so
+// the pool doesn't wait for its next job to find out
+async function checkTabPoolHealth() {
+  const pool = await getTabPool();
+  const checked = [];
+
+  for (const poolTab of pool.tabs) {
+    const tab = await chrome.tabs.get(poolTab.id).catch(() => null);
+    // Closed tabs are dropped by onRemoved; loading ones are checked next time
+    if (!tab || tab.status === 'loading') {
+      continue;
+    }
+    const problem = getPoolTabProblem(await getTabStatus(poolTab.id));
+    if (problem) {
+      await replacePoolTab(poolTab.id, problem);
+    } else {
+      checked.push(poolTab.id);
+    }
+  }
+
+  await withTabPool((pool) => {
+    const now = Date.now();
+    pool.tabs.filter(tab => checked.includes(tab.id)).forEach(tab => { tab.checkedAt = now; });
+    pool.checkedAt = now;
+  });
+}
+
+function scheduleTabPoolHealthCheck(size) {
+  if (size > 0) {
+    chrome.alarms.create(TAB_POOL_HEALTH_ALARM, { periodInMinutes: 1 });
+  } else {
+    chrome.alarms.clear(TAB_POOL_HEALTH_ALARM);
+  }
+}
+
+// After a (re)start: forget pool tabs that no longer exist (the browser
+// restarted) and keep the health checks running
+async function resumeTabPool() {
+  const pool = await getTabPool();
+  const missing = [];
+  for (const tab of pool.tabs) {
+    if (!(await chrome.tabs.get(tab.id).catch(() => null))) {
+      missing.push(tab.id);
+    }
+  }
+  if (missing.length > 0) {
+    await withTabPool((pool) => {
+      pool.tabs = pool.tabs.filter(tab => !missing.includes(tab.id));
+    });
+  }
+  scheduleTabPoolHealthCheck(pool.size);
+}
+
+jobUpdateListeners.add(async (job) => {
+  if (!job.pooled || !isFinishedJob(job)) {
+    return;
+  }
+  const pool = await getTabPool();
+  // A pool tab that answered shows the pool works again
+  if (job.status === 'completed' && pool.failures > 0) {
+    await withTabPool((pool) => { pool.failures = 0; });
+  }
+  // The pool was made smaller while this job's tab was busy
+  if (pool.tabs.length > pool.size) {
+    await trimTabPool();
+  }
+});
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === "CONFIGURE_TAB_POOL") {
+    configureTabPool({ size: request.size, windows: request.windows })
+      .then(pool => sendResponse({ success: true, pool: pool }))
+      .catch(error => sendResponse({ success: false, error: error.message, code: error.code }));
+    return true;
+  }
+  if (request.action === "GET_TAB_POOL") {
+    getTabPoolStatus()
+      .then(pool => sendResponse({ success: true, pool: pool }))
+      .catch(error => sendResponse({ success: false, error: error.message, code: error.code }));
+    return true;
+  }
+  return false;
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === TAB_POOL_HEALTH_ALARM) {
+    checkTabPoolHealth().catch(logJobQueueError);
+  }
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  withTabPool((pool) => {
+    pool.tabs = pool.tabs.filter(tab => tab.id !== tabId);
+  }).catch(logJobQueueError);
+});
+
+resumeTabPool().catch(logJobQueueError);
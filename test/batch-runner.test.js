@@ -0,0 +1,128 @@
+// The batch runner (batch-runner.js) and prompt templates
+// (prompt-templates.js): reading datasets, filling templates, running rows
+// and exporting the results.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupAPI, plain, echo } = require('./harness');
+const { parseDataset, parseCSV } = require('../batch-runner');
+const { renderTemplate } = require('../prompt-templates');
+
+// The API with the batch runner loaded into its page
+async function setupBatch(t, options = { page: { answer: echo() } }) {
+  const { harness, api } = await setupAPI(t, options);
+  const runner = harness.loadPageScripts('prompt-templates.js', 'batch-runner.js');
+  return { harness, api, runner };
+}
+
+test('parses quoted fields, escaped quotes, line breaks and short rows in CSV', () => {
+  const csv = ' name ,note\r\n"Smith, J","He said ""hi""\nthen left"\r\nshort\r\n\r\n,\n';
+
+  assert.deepEqual(parseCSV(csv), [
+    { name: 'Smith, J', note: 'He said "hi"\nthen left' },
+    { name: 'short', note: '' }
+  ]);
+  assert.deepEqual(parseCSV(''), []);
+});
+
+test('reads JSONL, JSON arrays and { rows } objects, and CSV otherwise', () => {
+  assert.deepEqual(parseDataset('{"a":1}\n\n{"a":2}\n', 'data.jsonl'), [{ a: 1 }, { a: 2 }]);
+  assert.deepEqual(parseDataset('{ "rows": [{ "a": 1 }] }', 'data.json'), [{ a: 1 }]);
+  assert.deepEqual(parseDataset('[{ "a": 1 }]'), [{ a: 1 }]);
+  assert.deepEqual(parseDataset('\uFEFFa,b\n1,2', 'data.csv'), [{ a: '1', b: '2' }]);
+
+  assert.throws(() => parseDataset('{"a":1}\n{"a":', 'data.ndjson'), /^Error: Line 2 is not valid JSON/);
+  assert.throws(() => parseDataset('{ "items": [] }', 'data.json'), /must be an array of objects/);
+});
+
+test('fills templates and reports missing variables', () => {
+  assert.equal(
+    renderTemplate("{{ greeting }}, {{name}}! {{data}}", { greeting: 'Hi', name: 0, data: { a: 1 } }),
+    'Hi, 0! {"a":1}'
+  );
+
+  assert.throws(() => renderTemplate("{{a}} {{b}} {{a}}", { b: null }), error => {
+    assert.equal(error.code, 'MISSING_VARIABLE');
+    assert.equal(error.message, 'Missing template variable(s): a, b');
+    return true;
+  });
+  assert.equal(renderTemplate("[{{a}}]", {}, { allowMissing: true }), '[]');
+});
+
+test('records a failed row and goes on with the rest', async (t) => {
+  const { harness, api, runner } = await setupBatch(t, {
+    page: { answer: prompt => prompt === 'Say fail' ? { error: "Something went wrong while generating the response." } : echo()(prompt) }
+  });
+  const rows = [{ word: 'one' }, { other: 'x' }, { word: 'fail' }, { word: 'two' }];
+
+  const results = await harness.run(runner.runBatch(api, "Say {{word}}", rows, { sendOptions: { retry: false } }));
+
+  assert.deepEqual(plain(results.map(result => [result.response, result.errorCode])), [
+    ['Re: Say one', null],
+    [null, 'MISSING_VARIABLE'],
+    [null, 'GENERATION_ERROR'],
+    ['Re: Say two', null]
+  ]);
+  assert.equal(results[1].prompt, null);
+  assert.deepEqual(harness.page.prompts, ['Say one', 'Say fail', 'Say two']);
+});
+
+test('never sends more rows at once than the concurrency', async (t) => {
+  const { harness, api, runner } = await setupBatch(t, { page: { answer: echo({ startDelay: 2000 }) } });
+  await harness.run(api.configureTabPool({ size: 3 }));
+  let running = 0;
+  let mostRunning = 0;
+
+  const results = await harness.run(runner.runBatch(api, "Say {{n}}", [1, 2, 3, 4, 5].map(n => ({ n: n })), {
+    concurrency: 2,
+    onRowStart: () => { running++; mostRunning = Math.max(mostRunning, running); },
+    onRowComplete: () => { running--; }
+  }));
+
+  assert.equal(mostRunning, 2);
+  assert.deepEqual(plain(results.map(result => result.response)), [1, 2, 3, 4, 5].map(n => `Re: Say ${n}`));
+});
+
+test('stops after the row being sent when aborted', async (t) => {
+  const { harness, api, runner } = await setupBatch(t, { page: { answer: echo({ startDelay: 2000 }) } });
+  const controller = new AbortController();
+  const rows = [{ n: 1 }, { n: 2 }, { n: 3 }];
+
+  const results = await harness.run(runner.runBatch(api, "Say {{n}}", rows, {
+    signal: controller.signal,
+    onRowStart: (index) => { if (index === 1) controller.abort(); }
+  }));
+
+  assert.deepEqual(plain(results.map(result => [result.index, result.errorCode])), [[0, null], [1, 'ABORTED']]);
+  assert.deepEqual(harness.page.prompts, ['Say 1']);
+});
+
+test('keeps every result when a row callback throws', async (t) => {
+  const { harness, api, runner } = await setupBatch(t);
+  const rows = [{ n: 1 }, { n: 2 }];
+
+  const results = await harness.run(runner.runBatch(api, "Say {{n}}", rows, {
+    onRowStart: () => { throw new Error("start failed"); },
+    onRowComplete: () => { throw new Error("complete failed"); }
+  }));
+
+  assert.deepEqual(plain(results.map(result => result.response)), ['Re: Say 1', 'Re: Say 2']);
+});
+
+test('exports keep input columns named like the outcome', async (t) => {
+  const { harness, api, runner } = await setupBatch(t);
+  const rows = [{ prompt: 'Hi', response: 'Hello', error: 'none' }];
+
+  const results = await harness.run(runner.runBatch(api, "Answer {{prompt}}", rows));
+
+  const record = JSON.parse(runner.resultsToJSONL(results));
+  assert.equal(record.prompt, 'Hi');
+  assert.equal(record.response, 'Hello');
+  assert.equal(record.error, 'none');
+  assert.equal(record.result_prompt, 'Answer Hi');
+  assert.equal(record.result_response, 'Re: Answer Hi');
+  assert.equal(record.result_error, null);
+  const [header, row] = runner.resultsToCSV(results).split('\r\n');
+  assert.equal(header, 'prompt,response,error,result_prompt,result_response,result_error_code,result_error,result_started_at,result_duration_ms');
+  assert.match(row, /^Hi,Hello,none,Answer Hi,Re: Answer Hi,,,/);
+});
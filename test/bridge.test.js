@@ -0,0 +1,298 @@
+// The local bridge (bridge/server.js) end to end: a real server on an
+// ephemeral port, with the extension's bridge client connected from the
+// harness background worker.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness, echo, TestWebSocket, EXTENSION_ID } = require('./harness');
+const { OPCODES } = require('./harness/websocket-client');
+const { createBridgeServer } = require('../bridge/server');
+
+async function startBridge(t, options = {}) {
+  const { server, bridge, token } = createBridgeServer(options);
+  const sockets = new Set();
+  server.on('connection', (socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    sockets.forEach(socket => socket.destroy());
+    return new Promise(resolve => server.close(resolve));
+  });
+
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return { server, bridge, token, base, ws: base.replace('http:', 'ws:') };
+}
+
+// A harness whose background worker is connected to the bridge
+async function connectExtension(t, bridgeServer, options = {}) {
+  const harness = createHarness(Object.assign({
+    page: { answer: echo() },
+    storage: {
+      bridgeEnabled: true,
+      bridgeUrl: `${bridgeServer.ws}/extension`,
+      bridgeToken: bridgeServer.token
+    }
+  }, options));
+  t.after(() => harness.close());
+  await harness.until(() => bridgeServer.bridge.isConnected());
+  return harness;
+}
+
+async function request(bridgeServer, path, { method, body, token = bridgeServer.token, headers = {} } = {}) {
+  const response = await fetch(bridgeServer.base + path, {
+    method: method || (body !== undefined ? 'POST' : 'GET'),
+    headers: Object.assign(
+      token ? { Authorization: `Bearer ${token}` } : {},
+      body !== undefined ? { 'Content-Type': 'application/json' } : {},
+      headers
+    ),
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+function openStream(t, bridgeServer, options = {}) {
+  const socket = new TestWebSocket(`${bridgeServer.ws}/stream?token=${bridgeServer.token}`, options);
+  t.after(() => socket.close());
+  return socket;
+}
+
+test('requires the token on every request and WebSocket', async (t) => {
+  const bridgeServer = await startBridge(t);
+
+  assert.equal((await request(bridgeServer, '/status', { token: null })).status, 401);
+  assert.equal((await request(bridgeServer, '/status', { token: 'wrong' })).status, 401);
+  assert.deepEqual(await request(bridgeServer, '/status'), { status: 200, body: { connected: false } });
+  assert.equal((await request(bridgeServer, `/status?token=${bridgeServer.token}`, { token: null })).status, 200);
+
+  const refused = new TestWebSocket(`${bridgeServer.ws}/stream`);
+  await assert.rejects(refused.opened(), /status 401/);
+  await openStream(t, bridgeServer).opened();
+});
+
+test('uses the token it is given', async (t) => {
+  const bridgeServer = await startBridge(t, { token: 'secret' });
+  assert.equal(bridgeServer.token, 'secret');
+  assert.equal((await request(bridgeServer, '/status', { token: 'secret' })).status, 200);
+});
+
+test('refuses requests and connections from web pages', async (t) => {
+  const bridgeServer = await startBridge(t);
+  const harness = await connectExtension(t, bridgeServer);
+  const fromPage = { Origin: 'https://attacker.example' };
+
+  assert.equal((await request(bridgeServer, '/status', { headers: fromPage })).status, 403);
+  const prompt = await request(bridgeServer, '/prompt', { body: { prompt: "Hi" }, headers: fromPage });
+  assert.equal(prompt.status, 403);
+
+  const stream = openStream(t, bridgeServer, { origin: 'https://attacker.example' });
+  await assert.rejects(stream.opened(), /status 403/);
+  const impostor = new TestWebSocket(`${bridgeServer.ws}/extension?token=${bridgeServer.token}`, {
+    origin: 'https://attacker.example'
+  });
+  await assert.rejects(impostor.opened(), /status 403/);
+
+  // The extension is still the one answering
+  const answer = await harness.run(request(bridgeServer, '/prompt', { body: { prompt: "Still there?", wait: true } }));
+  assert.equal(answer.body.response, 'Re: Still there?');
+  assert.equal(harness.webSockets.length, 1);
+  assert.deepEqual(harness.page.prompts, ["Still there?"]);
+});
+
+test('only accepts the configured extension', async (t) => {
+  const bridgeServer = await startBridge(t, { extensionId: 'abcdefghijklmnopabcdefghijklmnop' });
+
+  const other = openStream(t, bridgeServer, { origin: `chrome-extension://${EXTENSION_ID}` });
+  await assert.rejects(other.opened(), /status 403/);
+  await openStream(t, bridgeServer, { origin: 'chrome-extension://abcdefghijklmnopabcdefghijklmnop' }).opened();
+});
+
+test('only reads JSON request bodies', async (t) => {
+  const bridgeServer = await startBridge(t);
+
+  for (const path of ['/prompt', '/v1/chat/completions']) {
+    const response = await request(bridgeServer, path, {
+      body: { prompt: "Hi", messages: [{ role: 'user', content: "Hi" }] },
+      headers: { 'Content-Type': 'text/plain' }
+    });
+    assert.equal(response.status, 415, path);
+    assert.match(response.body.error.message, /application\/json/);
+  }
+});
+
+test('queues prompts over HTTP and waits for the answer', async (t) => {
+  const bridgeServer = await startBridge(t);
+  const harness = await connectExtension(t, bridgeServer);
+  assert.deepEqual((await request(bridgeServer, '/status')).body, { connected: true });
+
+  const { status, body: job } = await harness.run(request(bridgeServer, '/prompt', {
+    body: { prompt: "Write a haiku", newChat: true, wait: true }
+  }));
+  assert.equal(status, 200);
+  assert.equal(job.status, 'completed');
+  assert.equal(job.response, 'Re: Write a haiku');
+  assert.equal(job.conversationId, harness.page.conversationId);
+
+  assert.deepEqual((await request(bridgeServer, `/jobs/${job.id}`)).body, job);
+  assert.deepEqual((await request(bridgeServer, '/jobs')).body.jobs.map(entry => entry.id), [job.id]);
+  assert.equal((await request(bridgeServer, '/jobs/unknown')).status, 404);
+  assert.equal((await request(bridgeServer, '/prompt', { body: { prompt: ' ' } })).status, 400);
+});
+
+test('returns queued jobs at once and cancels them', async (t) => {
+  const bridgeServer = await startBridge(t);
+  const harness = await connectExtension(t, bridgeServer, {
+    page: { answer: () => ({ chunks: ['Slow'], chunkInterval: 60000 }) }
+  });
+
+  const first = await harness.run(request(bridgeServer, '/prompt', { body: { prompt: "First" } }));
+  const second = await harness.run(request(bridgeServer, '/prompt', { body: { prompt: "Second" } }));
+  assert.equal(first.status, 202);
+  assert.equal(second.body.status, 'queued');
+
+  const cancelled = await harness.run(request(bridgeServer, `/jobs/${second.body.id}`, { method: 'DELETE' }));
+  assert.equal(cancelled.body.status, 'cancelled');
+  assert.equal((await harness.jobs()).find(job => job.id === second.body.id).status, 'cancelled');
+});
+
+test('streams job updates and chunks to /stream clients', async (t) => {
+  const bridgeServer = await startBridge(t);
+  const harness = await connectExtension(t, bridgeServer, {
+    page: { answer: () => ({ chunks: ['One', ' two', ' three.'], chunkInterval: 1000 }) }
+  });
+  const stream = await openStream(t, bridgeServer).opened();
+
+  stream.send({ type: 'prompt', ref: 'count', prompt: "Count to three" });
+  const { job } = await harness.run(stream.nextMessage(message => message.type === 'accepted' && message.ref === 'count'));
+  const finished = await harness.run(stream.nextMessage(message => message.type === 'job' && message.job.status === 'completed'));
+
+  assert.equal(finished.job.id, job.id);
+  const chunks = stream.messages.filter(message => message.type === 'chunk');
+  assert.ok(chunks.length >= 2, `${chunks.length} chunks`);
+  assert.ok(chunks.every(chunk => chunk.jobId === job.id));
+  assert.equal(chunks.map(chunk => chunk.delta).join(''), 'One two three.');
+  assert.equal(chunks[chunks.length - 1].text, 'One two three.');
+
+  stream.send({ type: 'cancel', ref: 'late', jobId: 'unknown' });
+  const error = await harness.run(stream.nextMessage(message => message.ref === 'late'));
+  assert.equal(error.type, 'error');
+});
+
+test('reassembles fragmented messages', async (t) => {
+  const bridgeServer = await startBridge(t);
+  const stream = await openStream(t, bridgeServer).opened();
+
+  const message = Buffer.from(JSON.stringify({ type: 'prompt', ref: 'split', prompt: "Hello" }));
+  stream.sendFrame(OPCODES.TEXT, message.subarray(0, 10), { fin: false });
+  stream.sendFrame(OPCODES.PING, Buffer.from('between'));
+  stream.sendFrame(OPCODES.CONTINUATION, message.subarray(10, 20), { fin: false });
+  stream.sendFrame(OPCODES.CONTINUATION, message.subarray(20));
+
+  // No extension is connected, so the reassembled prompt is answered with an error
+  const reply = await stream.nextMessage(received => received.ref === 'split');
+  assert.deepEqual(reply, { type: 'error', ref: 'split', error: "Extension not connected to the bridge" });
+});
+
+test('ignores JSON that is not an object from clients and the extension', async (t) => {
+  const bridgeServer = await startBridge(t);
+  const extension = new TestWebSocket(`${bridgeServer.ws}/extension?token=${bridgeServer.token}`);
+  t.after(() => extension.close());
+  await extension.opened();
+  const stream = await openStream(t, bridgeServer).opened();
+
+  ['null', '42', '[1]', '"text"'].forEach(text => {
+    extension.send(text);
+    stream.send(text);
+  });
+  stream.send({ type: 'cancel', ref: 'after', jobId: 'unknown' });
+
+  // Both connections still work: the cancel goes through the extension
+  const cancel = await extension.nextMessage(message => message.type === 'cancel');
+  extension.send({ type: 'result', ref: cancel.ref, success: false, error: "Job unknown not found" });
+  const reply = await stream.nextMessage(message => message.ref === 'after');
+  assert.deepEqual(reply, { type: 'error', ref: 'after', error: "Job unknown not found" });
+  assert.deepEqual((await request(bridgeServer, '/status')).body, { connected: true });
+});
+
+test('closes with 1009 when a frame announces more than the limit', async (t) => {
+  const bridgeServer = await startBridge(t, { maxPayloadSize: 1024 });
+  const stream = await openStream(t, bridgeServer).opened();
+
+  // Only the header is sent: the server must not wait for the payload
+  stream.sendFrame(OPCODES.TEXT, Buffer.alloc(0), { length: 2 ** 40 });
+  assert.equal(await stream.closed, 1009);
+});
+
+test('closes with 1009 when the fragments of a message exceed the limit', async (t) => {
+  const bridgeServer = await startBridge(t, { maxPayloadSize: 1024 });
+  const stream = await openStream(t, bridgeServer).opened();
+
+  stream.sendFrame(OPCODES.TEXT, Buffer.alloc(600, 'a'), { fin: false });
+  stream.sendFrame(OPCODES.CONTINUATION, Buffer.alloc(600, 'a'), { fin: false });
+  assert.equal(await stream.closed, 1009);
+});
+
+test('answers chat completions in the OpenAI shape', async (t) => {
+  const bridgeServer = await startBridge(t);
+  const harness = await connectExtension(t, bridgeServer);
+
+  const { status, body } = await harness.run(request(bridgeServer, '/v1/chat/completions', {
+    body: { model: 'chatgpt-web', messages: [{ role: 'user', content: "Hello" }] }
+  }));
+  assert.equal(status, 200);
+  assert.equal(body.object, 'chat.completion');
+  assert.deepEqual(body.choices[0].message, { role: 'assistant', content: 'Re: Hello' });
+  assert.equal(body.conversation_id, harness.page.conversationId);
+});
+
+test('rejects malformed chat messages as invalid requests', async (t) => {
+  const bridgeServer = await startBridge(t);
+
+  const cases = [
+    [[null], 'messages[0]'],
+    [[{ role: 'user', content: "Hi" }, 'Hi'], 'messages[1]'],
+    [[{ content: "Hi" }], 'messages[0].role'],
+    [[{ role: 'user', content: 42 }], 'messages[0].content'],
+    [[{ role: 'user', content: [null] }], 'messages[0].content'],
+    [[], 'messages']
+  ];
+  for (const [messages, param] of cases) {
+    const { status, body } = await request(bridgeServer, '/v1/chat/completions', { body: { messages: messages } });
+    assert.equal(status, 400, JSON.stringify(messages));
+    assert.equal(body.error.type, 'invalid_request_error');
+    assert.equal(body.error.param, param);
+  }
+
+  const messages = [{ role: 'user', content: "Hi" }];
+  for (const model of [42, ['gpt-4o'], { id: 'gpt-4o' }]) {
+    const { status, body } = await request(bridgeServer, '/v1/chat/completions', { body: { model: model, messages: messages } });
+    assert.equal(status, 400, JSON.stringify(model));
+    assert.equal(body.error.type, 'invalid_request_error');
+    assert.equal(body.error.param, 'model');
+  }
+});
+
+test('waits as long as the active settings profile or the request allows', async (t) => {
+  const bridgeServer = await startBridge(t);
+  const harness = await connectExtension(t, bridgeServer, {
+    sync: { settings: { activeProfile: 'Fast short answers', profiles: {} } }
+  });
+  const timeouts = [];
+  const waitForJob = bridgeServer.bridge.waitForJob.bind(bridgeServer.bridge);
+  bridgeServer.bridge.waitForJob = (jobId, timeout) => {
+    timeouts.push(timeout);
+    return waitForJob(jobId, timeout);
+  };
+  const messages = [{ role: 'user', content: "Hi" }];
+
+  await harness.run(request(bridgeServer, '/v1/chat/completions', { body: { messages: messages } }));
+  await harness.run(request(bridgeServer, '/v1/chat/completions', { body: { messages: messages, timeout: 12 } }));
+  await harness.run(request(bridgeServer, '/prompt', { body: { prompt: "Hi", wait: true } }));
+  await harness.run(request(bridgeServer, '/prompt', { body: { prompt: "Hi", wait: true, timeout: 30 } }));
+  assert.deepEqual(timeouts, [90000, 12000, 90000, 30000]);
+
+  const invalid = await request(bridgeServer, '/prompt', { body: { prompt: "Hi", wait: true, timeout: -1 } });
+  assert.equal(invalid.status, 400);
+});
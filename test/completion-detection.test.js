@@ -0,0 +1,280 @@
+// handlePrompt() and waitForResponse() in content.js against the fake page:
+// when an answer counts as finished, and how failures are reported.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./harness');
+
+async function prompt(harness, text, requestId = 'req-1') {
+  harness.content.handlePrompt(text, requestId);
+  return harness.capturedResponse(requestId);
+}
+
+test('captures a streamed answer once it has stopped changing', async (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+  harness.page.reply({ chunks: ['The answer', ' is', ' 42.'] });
+
+  const result = await prompt(harness, "What is the answer?");
+
+  assert.equal(result.ok, true);
+  assert.equal(result.text, 'The answer is 42.');
+  assert.equal(result.markdown, 'The answer is 42.');
+  assert.equal(result.model, 'gpt-4o');
+  assert.equal(result.conversationId, harness.page.conversationId);
+  assert.equal(result.conversationUrl, `https://chatgpt.com/c/${harness.page.conversationId}`);
+  assert.deepEqual(harness.page.prompts, ["What is the answer?"]);
+});
+
+test('does not finish early while the stop button is shown during a pause', async (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+  harness.page.reply({ chunks: ['Thinking', ' hard', ' - done.'], pauses: { 2: 8000 } });
+
+  const result = await prompt(harness, "Take your time");
+
+  assert.equal(result.ok, true);
+  assert.equal(result.text, 'Thinking hard - done.');
+});
+
+test('waits for the text to settle after the stop button has gone', async (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+  harness.page.reply({
+    chunks: ['Main part.'],
+    lateChunks: [' Footnote.'],
+    chunkInterval: 300,
+    streamingClass: false,
+    turnActions: false
+  });
+
+  const result = await prompt(harness, "Hello");
+
+  assert.equal(result.text, 'Main part. Footnote.');
+});
+
+test('finishes as soon as the answer gets its action bar', async (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+  harness.page.reply({ chunks: ['Quick', ' one.'] });
+
+  const result = await prompt(harness, "Hello");
+
+  assert.equal(result.text, 'Quick one.');
+  assert.ok(harness.clock.now - harness.page.answeredAt < 250);
+});
+
+test('finishes shortly after streaming ends when there is no action bar', async (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+  harness.page.reply({ chunks: ['No', ' actions.'], turnActions: false });
+
+  const result = await prompt(harness, "Hello");
+
+  assert.equal(result.text, 'No actions.');
+  const wait = harness.clock.now - harness.page.answeredAt;
+  assert.ok(wait >= 500 && wait < 1000, `finished ${wait}ms after the answer`);
+});
+
+test('captures a short answer that never shows a stop button', async (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+  harness.page.reply({ chunks: ['Yes.'], stopButton: false });
+
+  const result = await prompt(harness, "Is water wet?");
+
+  assert.equal(result.ok, true);
+  assert.equal(result.text, 'Yes.');
+});
+
+test("never captures the user's own turn", async (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+  harness.page.reply({ chunks: ['The real answer.'], stopButton: false, startDelay: 4000 });
+
+  const result = await prompt(harness, "Echo this");
+
+  assert.equal(result.text, 'The real answer.');
+});
+
+test("the 'actions' strategy waits for the action bar only", async (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+  harness.page.reply({ chunks: ['Done.'], turnActions: false });
+
+  harness.content.handlePrompt("Hello", 'req-1', { completion: { strategy: 'actions', timeout: 10000 } });
+  const result = await harness.capturedResponse('req-1');
+
+  assert.equal(result.code, 'TIMEOUT');
+});
+
+test("the 'stable' strategy only watches the text", async (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+  // The stop button stays up through the pause, but the text doesn't change
+  harness.page.reply({ chunks: ['Before', ' after.'], pauses: { 1: 3000 } });
+
+  harness.content.handlePrompt("Hello", 'req-1', { completion: { strategy: 'stable', settleTime: 2000 } });
+  const result = await harness.capturedResponse('req-1');
+
+  assert.equal(result.text, 'Before');
+  assert.equal(harness.page.isStreaming, true);
+});
+
+test('finds an answer the page adds as soon as the prompt is sent', async (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+  harness.page.reply({ chunks: ['Right', ' away.'], placeholder: true });
+
+  const result = await prompt(harness, "Hello");
+
+  assert.equal(result.text, 'Right away.');
+});
+
+test('falls back to the defaults for a zero timeout or poll interval', async (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+  const defaults = harness.content.getCompletionSettings(null);
+
+  const settings = harness.content.getCompletionSettings({ timeout: 0, pollInterval: 0, settleTime: 0 });
+
+  assert.equal(settings.timeout, defaults.timeout);
+  assert.equal(settings.pollInterval, defaults.pollInterval);
+  assert.equal(settings.settleTime, 0);
+  harness.page.reply({ chunks: ['Still answered.'] });
+  harness.content.handlePrompt("Hello", 'req-1', { completion: { timeout: 0, pollInterval: 0 } });
+  assert.equal((await harness.capturedResponse('req-1')).text, 'Still answered.');
+});
+
+test('does not capture the previous answer before the new one starts', async (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+  harness.page.reply({ chunks: ['Old answer.'] }, { chunks: ['New answer.'], stopButtonDelay: 5000, startDelay: 6000 });
+
+  await prompt(harness, "One", 'req-1');
+  const result = await prompt(harness, "Two", 'req-2');
+
+  assert.equal(result.text, 'New answer.');
+});
+
+test('streams only the new answer as chunks, not the previous one', async (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+  harness.page.reply({ chunks: ['First answer.'] }, { chunks: ['Second', ' answer.'] });
+
+  await prompt(harness, "One", 'req-1');
+  await prompt(harness, "Two", 'req-2');
+
+  const chunks = harness.messagesFor('RESPONSE_CHUNK').filter(message => message.requestId === 'req-2');
+  assert.ok(chunks.length > 0);
+  assert.equal(chunks.map(chunk => chunk.delta).join(''), 'Second answer.');
+  assert.ok(chunks.every(chunk => !chunk.text.includes('First')));
+});
+
+test('reports an error banner as GENERATION_ERROR instead of capturing it', async (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+  harness.page.reply({ error: "Something went wrong while generating the response." });
+
+  const result = await prompt(harness, "Hello");
+
+  assert.equal(result.ok, false);
+  assert.equal(result.code, 'GENERATION_ERROR');
+  assert.equal(result.retryable, true);
+  assert.equal(result.canRegenerate, true);
+  assert.match(result.message, /Something went wrong/);
+});
+
+test('reports an error that interrupts a partial answer', async (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+  harness.page.reply({ chunks: ['Partial', ' answer', ' never finished'], error: "Network error. Check your connection.", errorAfter: 2 });
+
+  const result = await prompt(harness, "Hello");
+
+  assert.equal(result.ok, false);
+  assert.equal(result.code, 'NETWORK_ERROR');
+  assert.equal(result.retryable, true);
+});
+
+test('treats a usage cap as final', async (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+  harness.page.reply({ error: "You've reached our limit of messages. Please try again later." });
+
+  const result = await prompt(harness, "Hello");
+
+  assert.equal(result.code, 'USAGE_CAP');
+  assert.equal(result.retryable, false);
+});
+
+test('ignores error banners that were already on the page', async (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+  harness.page.showError("Something went wrong. Please try again.");
+  harness.page.reply({ chunks: ['Fine now.'] });
+
+  const result = await prompt(harness, "Hello");
+
+  assert.equal(result.ok, true);
+  assert.equal(result.text, 'Fine now.');
+});
+
+test('times out on a stream that never ends', async (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+  harness.page.reply({ chunks: ['and on'], endless: true, chunkInterval: 1000 });
+
+  const result = await prompt(harness, "Count forever");
+
+  assert.equal(result.ok, false);
+  assert.equal(result.code, 'TIMEOUT');
+  assert.equal(harness.page.isStreaming, true);
+});
+
+test('reports a missing prompt box', async (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+  harness.page.composer.remove();
+
+  const result = await prompt(harness, "Hello");
+
+  assert.equal(result.code, 'TEXTAREA_NOT_FOUND');
+});
+
+test('falls back to Enter when there is no send button', async (t) => {
+  const harness = createHarness({ page: { sendButton: false, enterSends: true } });
+  t.after(() => harness.close());
+  harness.page.reply({ chunks: ['Sent with Enter.'] });
+
+  const result = await prompt(harness, "Hello");
+
+  assert.equal(result.ok, true);
+  assert.equal(result.text, 'Sent with Enter.');
+});
+
+test('gives up when neither the send button nor Enter submits', async (t) => {
+  const harness = createHarness({ page: { sendButton: false, enterSends: false } });
+  t.after(() => harness.close());
+
+  const result = await prompt(harness, "Hello");
+
+  assert.equal(result.code, 'SEND_BUTTON_NOT_FOUND');
+  assert.equal(harness.page.prompts.length, 0);
+});
+
+test('cancelling clicks the stop button and reports nothing', async (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+  harness.page.reply({ chunks: ['tick'], endless: true });
+
+  harness.content.handlePrompt("Count forever", 'req-1');
+  await harness.until(() => harness.page.isStreaming);
+  await harness.tick(2000);
+  assert.equal(harness.content.cancelPrompt('req-1'), true);
+  await harness.tick(10000);
+
+  assert.equal(harness.page.isStreaming, false);
+  assert.equal(harness.page.stopped, true);
+  assert.equal(harness.messagesFor('CAPTURED_RESPONSE').length, 0);
+});
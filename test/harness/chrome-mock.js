@@ -0,0 +1,414 @@
+// In-memory stand-in for the chrome.* APIs the extension uses. One
+// `ChromeMock` is the browser: it routes messages between the background
+// worker, extension pages and the content scripts of each tab, and each of
+// those gets its own `chrome` object from `forBackground()`, `forPage()` or
+// `forContentScript(tabId)`.
+//
+// Messages are JSON-cloned like Chrome's, so values that wouldn't survive
+// the real message channel (Blobs, functions, ...) are caught in tests.
+
+const fs = require('fs');
+const path = require('path');
+
+// Shaped like a real ID, which the bridge checks in the WebSocket origin
+const EXTENSION_ID = 'kcoeamnhgodlfbmpfbidpkjpndfckimb';
+const NO_RECEIVER = "Could not establish connection. Receiving end does not exist.";
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function createEvent() {
+  const listeners = [];
+  return {
+    listeners,
+    addListener: (listener) => { listeners.push(listener); },
+    removeListener: (listener) => {
+      const index = listeners.indexOf(listener);
+      if (index !== -1) listeners.splice(index, 1);
+    },
+    hasListener: (listener) => listeners.includes(listener),
+    dispatch: (...args) => listeners.slice().forEach(listener => listener(...args))
+  };
+}
+
+// Match a URL against a pattern such as "https://chatgpt.com/*"
+function matchesPattern(url, pattern) {
+  const regex = new RegExp('^' + pattern.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+  return regex.test(url);
+}
+
+class ChromeMock {
+  constructor(clock, { manifest } = {}) {
+    this.clock = clock;
+    this.manifest = manifest || JSON.parse(fs.readFileSync(path.join(__dirname, '..', '..', 'manifest.json'), 'utf8'));
+    this.contexts = [];
+    this.tabs = new Map();
+    this.nextTabId = 1;
+    this.storageData = { local: {}, sync: {} };
+    this.storageChanged = createEvent();
+    this.tabUpdated = createEvent();
+    this.tabRemoved = createEvent();
+    this.alarmFired = createEvent();
+    this.alarms = new Map();
+    this.nextWindowId = 2;
+    // Context menu items by ID, and notifications shown, by ID
+    this.contextMenus = new Map();
+    this.contextMenuClicked = createEvent();
+    this.commandFired = createEvent();
+    this.notifications = new Map();
+    this.nextNotificationId = 1;
+    this.notificationClicked = createEvent();
+    this.notificationClosed = createEvent();
+    // Windows the side panel was opened in, as sidePanel.open() options
+    this.sidePanelOpened = [];
+    // Every runtime and tab message, in the order it was sent: { from, tabId, message }
+    this.messages = [];
+    // Called by tabs.create() and windows.create() to load a page:
+    // (url, windowId) => tab
+    this.openPage = null;
+  }
+
+  // --- Tabs ---
+
+  addTab(url, page, windowId = 1) {
+    const tab = {
+      id: this.nextTabId++,
+      url: url,
+      title: page.window.document.title,
+      status: 'complete',
+      active: false,
+      windowId: windowId
+    };
+    this.tabs.set(tab.id, { tab: tab, page: page, contentListeners: [] });
+    return tab;
+  }
+
+  removeTab(tabId) {
+    const entry = this.tabs.get(tabId);
+    if (entry && this.tabs.delete(tabId)) {
+      this.tabRemoved.dispatch(tabId, { windowId: entry.tab.windowId, isWindowClosing: false });
+    }
+  }
+
+  // The tab stays open but its page is gone, like Chrome's "Aw, Snap!":
+  // messages to it fail and nothing it had scheduled reaches the extension
+  crashTab(tabId) {
+    const entry = this.getTabEntry(tabId);
+    entry.crashed = true;
+    entry.contentListeners = [];
+  }
+
+  // The user picks a context menu item on text selected in tab `tabId`
+  clickContextMenu(menuItemId, tabId, selectionText) {
+    const tab = this.getTabEntry(tabId).tab;
+    this.contextMenuClicked.dispatch({ menuItemId: menuItemId, selectionText: selectionText, pageUrl: tab.url }, clone(tab));
+  }
+
+  // The user presses a command's keyboard shortcut while tab `tabId` is active
+  runCommand(command, tabId) {
+    this.commandFired.dispatch(command, clone(this.getTabEntry(tabId).tab));
+  }
+
+  clickNotification(notificationId) {
+    this.notificationClicked.dispatch(notificationId);
+  }
+
+  getTabEntry(tabId) {
+    const entry = this.tabs.get(tabId);
+    if (!entry) {
+      throw new Error(`No tab with id: ${tabId}.`);
+    }
+    return entry;
+  }
+
+  // --- Messaging ---
+
+  // Deliver to `listeners` like a runtime port: the first sendResponse()
+  // wins, and the channel only stays open if a listener returned true
+  deliver(listeners, message, sender) {
+    return new Promise((resolve, reject) => {
+      if (listeners.length === 0) {
+        reject(new Error(NO_RECEIVER));
+        return;
+      }
+      let answered = false;
+      let keepOpen = false;
+      const sendResponse = (response) => {
+        if (!answered) {
+          answered = true;
+          resolve(clone(response));
+        }
+      };
+      listeners.slice().forEach(listener => {
+        try {
+          if (listener(clone(message), sender, sendResponse) === true) {
+            keepOpen = true;
+          }
+        } catch (error) {
+          console.error("onMessage listener failed:", error);
+        }
+      });
+      if (!answered && !keepOpen) {
+        answered = true;
+        resolve(undefined);
+      }
+    });
+  }
+
+  // Promise API with an optional callback that sees runtime.lastError
+  respond(chrome, promise, callback) {
+    if (!callback) {
+      return promise;
+    }
+    promise.then(result => {
+      callback(result);
+    }, error => {
+      chrome.runtime.lastError = { message: error.message };
+      try {
+        callback(undefined);
+      } finally {
+        chrome.runtime.lastError = undefined;
+      }
+    });
+    return undefined;
+  }
+
+  runtimeSendMessage(context, message, callback) {
+    const tab = context.kind === 'content' ? this.tabs.get(context.tabId) : null;
+    if (tab && tab.crashed) {
+      return this.respond(context.chrome, new Promise(() => {}), callback);
+    }
+    this.messages.push({ from: context.kind, message: clone(message) });
+    const listeners = this.contexts
+      .filter(other => other !== context && other.kind !== 'content')
+      .reduce((all, other) => all.concat(other.onMessage.listeners), []);
+    const sender = context.kind === 'content'
+      ? { id: EXTENSION_ID, tab: clone(this.getTabEntry(context.tabId).tab), frameId: 0 }
+      : { id: EXTENSION_ID, url: `chrome-extension://${EXTENSION_ID}/${context.kind}.html` };
+    // Delivered asynchronously, like the real thing
+    const promise = Promise.resolve().then(() => this.deliver(listeners, message, sender));
+    return this.respond(context.chrome, promise, callback);
+  }
+
+  tabsSendMessage(context, tabId, message, callback) {
+    this.messages.push({ from: context.kind, tabId: tabId, message: clone(message) });
+    const promise = Promise.resolve().then(() => {
+      const entry = this.getTabEntry(tabId);
+      return this.deliver(entry.contentListeners, message, { id: EXTENSION_ID });
+    });
+    return this.respond(context.chrome, promise, callback);
+  }
+
+  // --- Storage ---
+
+  createStorageArea(areaName) {
+    const data = this.storageData[areaName];
+    const get = async (keys) => {
+      if (keys === null || keys === undefined) {
+        return clone(data);
+      }
+      const result = {};
+      const defaults = typeof keys === 'object' && !Array.isArray(keys) ? keys : null;
+      const names = defaults ? Object.keys(defaults) : [].concat(keys);
+      names.forEach(key => {
+        if (key in data) {
+          result[key] = clone(data[key]);
+        } else if (defaults) {
+          result[key] = defaults[key];
+        }
+      });
+      return result;
+    };
+    const set = async (items) => {
+      const changes = {};
+      Object.keys(items).forEach(key => {
+        changes[key] = { oldValue: data[key], newValue: clone(items[key]) };
+        data[key] = clone(items[key]);
+      });
+      this.storageChanged.dispatch(clone(changes), areaName);
+    };
+    const remove = async (keys) => {
+      const changes = {};
+      [].concat(keys).filter(key => key in data).forEach(key => {
+        changes[key] = { oldValue: data[key] };
+        delete data[key];
+      });
+      if (Object.keys(changes).length > 0) {
+        this.storageChanged.dispatch(clone(changes), areaName);
+      }
+    };
+    const clear = async () => remove(Object.keys(data));
+    return { get, set, remove, clear };
+  }
+
+  // --- chrome objects for each context ---
+
+  createContext(kind, tabId) {
+    const context = { kind: kind, tabId: tabId, onMessage: createEvent(), chrome: null };
+    const chrome = {
+      runtime: {
+        id: EXTENSION_ID,
+        lastError: undefined,
+        onMessage: context.onMessage,
+        sendMessage: (message, callback) => this.runtimeSendMessage(context, message, callback),
+        getManifest: () => clone(this.manifest),
+        getURL: (file) => `chrome-extension://${EXTENSION_ID}/${file.replace(/^\//, '')}`
+      },
+      storage: {
+        local: this.createStorageArea('local'),
+        sync: this.createStorageArea('sync'),
+        onChanged: this.storageChanged
+      }
+    };
+    context.chrome = chrome;
+    this.contexts.push(context);
+    return context;
+  }
+
+  forContentScript(tabId) {
+    const context = this.createContext('content', tabId);
+    this.getTabEntry(tabId).contentListeners = context.onMessage.listeners;
+    return context.chrome;
+  }
+
+  forPage() {
+    const context = this.createContext('page');
+    Object.assign(context.chrome, { tabs: this.tabsApi(context) });
+    return context.chrome;
+  }
+
+  forBackground() {
+    const context = this.createContext('background');
+    Object.assign(context.chrome, {
+      tabs: this.tabsApi(context),
+      scripting: {
+        executeScript: (injection) => this.executeScript(injection)
+      },
+      windows: {
+        create: async ({ url }) => {
+          const windowId = this.nextWindowId++;
+          const tab = this.openTab(url, windowId);
+          return { id: windowId, focused: false, tabs: [tab] };
+        }
+      },
+      alarms: {
+        create: (name, info) => this.createAlarm(name, info),
+        clear: async (name) => {
+          const alarm = this.alarms.get(name);
+          if (alarm) this.clock.clearTimeout(alarm.timer);
+          return this.alarms.delete(name);
+        },
+        onAlarm: this.alarmFired
+      },
+      contextMenus: {
+        create: (properties) => {
+          this.contextMenus.set(properties.id, clone(properties));
+          return properties.id;
+        },
+        removeAll: async () => this.contextMenus.clear(),
+        onClicked: this.contextMenuClicked
+      },
+      commands: {
+        onCommand: this.commandFired
+      },
+      sidePanel: {
+        open: async (options) => { this.sidePanelOpened.push(clone(options)); }
+      },
+      notifications: {
+        create: async (...args) => {
+          const id = typeof args[0] === 'string' ? args[0] : `notification-${this.nextNotificationId++}`;
+          this.notifications.set(id, clone(args[args.length - 1]));
+          return id;
+        },
+        clear: async (id) => {
+          const cleared = this.notifications.delete(id);
+          if (cleared) this.notificationClosed.dispatch(id, false);
+          return cleared;
+        },
+        onClicked: this.notificationClicked,
+        onClosed: this.notificationClosed
+      }
+    });
+    return context.chrome;
+  }
+
+  tabsApi(context) {
+    return {
+      query: async (queryInfo = {}) => {
+        const patterns = queryInfo.url ? [].concat(queryInfo.url) : null;
+        return Array.from(this.tabs.values())
+          .map(entry => entry.tab)
+          .filter(tab => !patterns || patterns.some(pattern => matchesPattern(tab.url, pattern)))
+          .map(clone);
+      },
+      get: async (tabId) => clone(this.getTabEntry(tabId).tab),
+      create: async ({ url }) => this.openTab(url, 1),
+      update: async (tabId, { url }) => {
+        const entry = this.getTabEntry(tabId);
+        if (url) {
+          entry.tab.status = 'loading';
+          this.tabUpdated.dispatch(tabId, { status: 'loading', url: url }, clone(entry.tab));
+          this.clock.setTimeout(() => {
+            entry.page.navigate(url);
+            entry.tab.url = entry.page.window.location.href;
+            this.finishLoading(tabId);
+          }, 50);
+        }
+        return clone(entry.tab);
+      },
+      remove: async (tabId) => this.removeTab(tabId),
+      sendMessage: (tabId, message, callback) => this.tabsSendMessage(context, tabId, message, callback),
+      onUpdated: this.tabUpdated,
+      onRemoved: this.tabRemoved
+    };
+  }
+
+  // Load a page in a new tab; it completes loading shortly after
+  openTab(url, windowId) {
+    if (!this.openPage) {
+      throw new Error("The harness can't open tabs");
+    }
+    const tab = this.openPage(url, windowId);
+    tab.status = 'loading';
+    this.clock.setTimeout(() => this.finishLoading(tab.id), 50);
+    return clone(tab);
+  }
+
+  finishLoading(tabId) {
+    const entry = this.tabs.get(tabId);
+    if (entry) {
+      entry.tab.status = 'complete';
+      this.tabUpdated.dispatch(tabId, { status: 'complete' }, clone(entry.tab));
+    }
+  }
+
+  createAlarm(name, info = {}) {
+    const existing = this.alarms.get(name);
+    if (existing) {
+      this.clock.clearTimeout(existing.timer);
+    }
+    const when = info.when || this.clock.now + (info.delayInMinutes || 0) * 60000;
+    const fire = () => {
+      this.alarms.delete(name);
+      this.alarmFired.dispatch({ name: name, scheduledTime: when });
+    };
+    const timer = info.periodInMinutes
+      ? this.clock.setInterval(() => this.alarmFired.dispatch({ name: name, scheduledTime: this.clock.now }), info.periodInMinutes * 60000)
+      : this.clock.setTimeout(fire, Math.max(0, when - this.clock.now));
+    this.alarms.set(name, { timer: timer, when: when });
+  }
+
+  // Functions are serialized and run in the page, as Chrome does
+  async executeScript({ target, func, args = [] }) {
+    const entry = this.getTabEntry(target.tabId);
+    if (!/^https?:/.test(entry.tab.url)) {
+      throw new Error(`Cannot access contents of url "${entry.tab.url}"`);
+    }
+    const injected = entry.page.window.eval(`(${func.toString()})`);
+    const result = await injected(...clone(args));
+    return [{ frameId: 0, result: clone(result === undefined ? null : result) }];
+  }
+}
+
+module.exports = { ChromeMock, EXTENSION_ID };
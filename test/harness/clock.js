@@ -0,0 +1,129 @@
+// Fake clock shared by the page, the background worker and the API under
+// test, so five-minute timeouts run in milliseconds. Timers only fire from
+// tick(); promises and DOM mutation callbacks are flushed in between.
+
+const START_TIME = Date.UTC(2024, 0, 1);
+
+class FakeClock {
+  constructor(now = START_TIME) {
+    this.now = now;
+    this.timers = new Map();
+    this.nextId = 1;
+
+    const clock = this;
+    this.Date = class extends Date {
+      constructor(...args) {
+        if (args.length === 0) {
+          super(clock.now);
+        } else {
+          super(...args);
+        }
+      }
+
+      static now() {
+        return clock.now;
+      }
+    };
+
+    // Bound so they can be handed out as globals
+    this.setTimeout = this.setTimeout.bind(this);
+    this.setInterval = this.setInterval.bind(this);
+    this.clearTimeout = this.clearTimeout.bind(this);
+    this.clearInterval = this.clearTimeout;
+  }
+
+  setTimeout(callback, ms = 0, ...args) {
+    const id = this.nextId++;
+    this.timers.set(id, { at: this.now + Math.max(0, Number(ms) || 0), callback, args, interval: null });
+    return id;
+  }
+
+  setInterval(callback, ms = 0, ...args) {
+    const id = this.setTimeout(callback, ms, ...args);
+    this.timers.get(id).interval = Math.max(1, Number(ms) || 0);
+    return id;
+  }
+
+  clearTimeout(id) {
+    this.timers.delete(id);
+  }
+
+  // The globals a script context needs to run on this clock
+  globals() {
+    return {
+      setTimeout: this.setTimeout,
+      setInterval: this.setInterval,
+      clearTimeout: this.clearTimeout,
+      clearInterval: this.clearInterval,
+      Date: this.Date
+    };
+  }
+
+  nextTimer(until) {
+    let next = null;
+    for (const [id, timer] of this.timers) {
+      if (timer.at <= until && (!next || timer.at < next.timer.at || (timer.at === next.timer.at && id < next.id))) {
+        next = { id, timer };
+      }
+    }
+    return next;
+  }
+
+  // Advance time by `ms`, firing every timer that comes due on the way
+  async tick(ms) {
+    const until = this.now + ms;
+    await flush();
+    for (let next = this.nextTimer(until); next; next = this.nextTimer(until)) {
+      const { id, timer } = next;
+      this.now = Math.max(this.now, timer.at);
+      if (timer.interval) {
+        timer.at += timer.interval;
+      } else {
+        this.timers.delete(id);
+      }
+      try {
+        timer.callback(...timer.args);
+      } catch (error) {
+        console.error("Timer callback failed:", error);
+      }
+      await flush();
+    }
+    this.now = until;
+    await flush();
+  }
+
+  // Advance time until `promise` settles. Rejects if it hasn't after `limit` ms.
+  async run(promise, { limit = 600000, step = 100 } = {}) {
+    let settled = false;
+    promise.then(() => { settled = true; }, () => { settled = true; });
+
+    const deadline = this.now + limit;
+    while (!settled && this.now < deadline) {
+      await this.tick(step);
+    }
+    if (!settled) {
+      throw new Error(`Still pending after ${limit} ms of fake time`);
+    }
+    return promise;
+  }
+
+  // Advance time until `predicate()` is true
+  async until(predicate, { limit = 600000, step = 100 } = {}) {
+    const deadline = this.now + limit;
+    while (!predicate() && this.now < deadline) {
+      await this.tick(step);
+    }
+    if (!predicate()) {
+      throw new Error(`Condition not met after ${limit} ms of fake time`);
+    }
+  }
+}
+
+// Let pending promise callbacks (and the DOM work they trigger) run
+async function flush() {
+  for (let i = 0; i < 5; i++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+module.exports = { FakeClock, flush };
@@ -0,0 +1,573 @@
+// A fake ChatGPT page in jsdom: a ProseMirror-like composer, a send button
+// that turns into a stop button while an answer streams into a `.markdown`
+// element, an action bar under finished answers, error banners and a
+// Regenerate button. Replies are scripted per
+// prompt with `page.reply(...)`.
+
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const DEFAULT_URL = 'https://chatgpt.com/';
+
+const PAGE_HTML = `<!DOCTYPE html>
+<html>
+<body>
+  <button data-testid="model-switcher-dropdown-button">ChatGPT 4o</button>
+  <main><div id="thread"></div></main>
+  <form id="composer">
+    <div id="prompt-textarea" class="ProseMirror" contenteditable="true"><p></p></div>
+  </form>
+</body>
+</html>`;
+
+// A reply is { chunks, startDelay, chunkInterval, pauses, lateChunks, stopButton,
+// stopButtonDelay, streamingClass, turnActions, reasoning, interim, toolOutput, citations,
+// images, alternative, error, errorAfter, endless, model }:
+// - chunks: text appended to the answer one by one
+// - pauses: { [chunkIndex]: ms } extra wait before that chunk (stop button stays)
+// - lateChunks: text still rendered after the stop button has gone
+// - stopButton: false to never show the stop button (as for some short answers)
+// - stopButtonDelay: how long after sending the stop button shows up
+// - streamingClass: mark the answer `.result-streaming` until it is fully rendered
+// - turnActions: add the copy/like action bar under the finished answer
+// - reasoning: { label, summary } shown above the answer ("Thought for 12 seconds")
+// - interim: text of an assistant message written before the answer, in the same turn
+// - toolOutput: text of a tool message shown before the answer
+// - citations: [{ title, url }] citation pills added at the end of the answer
+// - images: [{ url, alt }] generated images added to the answer
+// - alternative: chunks of a second answer streamed side by side ("Which
+//   response do you prefer?")
+// - error: banner text shown instead of (or, with errorAfter, partway through) the answer
+// - endless: keep streaming until stopped
+// - inPlace: a regenerated answer is written over the failed one, in its message
+// - placeholder: add the (empty) answer as soon as the prompt is sent
+const DEFAULT_REPLY = {
+  chunks: ['Hello', ' from', ' ChatGPT.'],
+  startDelay: 300,
+  chunkInterval: 200,
+  pauses: {},
+  lateChunks: [],
+  stopButton: true,
+  stopButtonDelay: 0,
+  streamingClass: true,
+  turnActions: true,
+  reasoning: null,
+  interim: null,
+  toolOutput: null,
+  citations: [],
+  images: [],
+  alternative: null,
+  error: null,
+  errorAfter: 0,
+  endless: false,
+  inPlace: false,
+  placeholder: false,
+  model: 'gpt-4o'
+};
+
+// jsdom leaves out a few APIs the scripts under test use
+function installPolyfills(window) {
+  if (!Object.getOwnPropertyDescriptor(window.HTMLElement.prototype, 'innerText')) {
+    Object.defineProperty(window.HTMLElement.prototype, 'innerText', {
+      configurable: true,
+      get() { return this.textContent; },
+      set(value) { this.textContent = value; }
+    });
+  }
+
+  window.CSS = window.CSS || {};
+  window.CSS.escape = window.CSS.escape || (value => String(value).replace(/[^\w-]/g, '\\$&'));
+
+  if (!window.DataTransfer) {
+    window.DataTransfer = class DataTransfer {
+      constructor() {
+        this.data = {};
+        this.files = [];
+        this.items = { add: (file) => { this.files.push(file); } };
+      }
+      setData(type, value) { this.data[type] = String(value); }
+      getData(type) { return this.data[type] || ''; }
+    };
+  }
+
+  if (!window.ClipboardEvent) {
+    window.ClipboardEvent = class ClipboardEvent extends window.Event {
+      constructor(type, init = {}) {
+        super(type, init);
+        this.clipboardData = init.clipboardData || null;
+      }
+    };
+  }
+
+  if (!window.DragEvent) {
+    window.DragEvent = class DragEvent extends window.MouseEvent {
+      constructor(type, init = {}) {
+        super(type, init);
+        this.dataTransfer = init.dataTransfer || null;
+      }
+    };
+  }
+}
+
+// Render prompt text the way ProseMirror does: a <p> per paragraph, with
+// <br> for line breaks
+function renderParagraphs(document, composer, paragraphs) {
+  composer.innerHTML = '';
+  paragraphs.forEach(lines => {
+    const p = document.createElement('p');
+    lines.forEach((line, index) => {
+      if (index > 0) p.appendChild(document.createElement('br'));
+      if (line) p.appendChild(document.createTextNode(line));
+    });
+    composer.appendChild(p);
+  });
+}
+
+// Just enough of an EditorView for injectProseMirrorCode(): it replaces
+// the document with paragraph nodes built from the schema
+function createFakeEditorView(document, composer) {
+  const node = (type, content = []) => ({ type: type, content: content });
+  const schema = {
+    nodes: {
+      paragraph: { create: (attrs, content) => node('paragraph', content || []) },
+      hard_break: { create: () => node('hard_break') }
+    },
+    text: (text) => Object.assign(node('text'), { text: text })
+  };
+
+  const view = {
+    dispatched: [],
+    get state() {
+      return {
+        schema: schema,
+        doc: { content: { size: composer.textContent.length } },
+        tr: {
+          replaceWith(from, to, nodes) {
+            this.nodes = nodes;
+            return this;
+          }
+        }
+      };
+    },
+    dispatch(tr) {
+      view.dispatched.push(tr.nodes);
+      const paragraphs = tr.nodes.map(paragraph => {
+        const lines = [''];
+        paragraph.content.forEach(child => {
+          if (child.type === 'hard_break') {
+            lines.push('');
+          } else {
+            lines[lines.length - 1] += child.text;
+          }
+        });
+        return lines;
+      });
+      renderParagraphs(document, composer, paragraphs);
+    }
+  };
+  return view;
+}
+
+class FakeChatGPTPage {
+  // options:
+  //   url            Initial URL (default https://chatgpt.com/)
+  //   editor         'prosemirror' (exposes an editor view), 'paste' (handles
+  //                  paste events only) or 'plain' (neither)
+  //   sendButton     false to leave out the send button
+  //   enterSends     Whether Enter in the composer sends the prompt
+  //   loggedIn       false to show the page as a logged-out visitor sees it
+  //   answer         (prompt) => reply for prompts without a queued reply
+  constructor(clock, options = {}) {
+    this.clock = clock;
+    this.options = Object.assign({ editor: 'prosemirror', sendButton: true, enterSends: false, loggedIn: true }, options);
+    this.replies = [];
+    this.prompts = [];
+    this.logs = [];
+    this.streaming = null;
+    this.conversationId = null;
+    this.nextMessageId = 1;
+
+    const virtualConsole = new VirtualConsole();
+    ['log', 'info', 'warn', 'error'].forEach(level => {
+      virtualConsole.on(level, (...args) => this.logs.push({ level: level, args: args }));
+    });
+    virtualConsole.on('jsdomError', error => this.logs.push({ level: 'error', args: [error.message] }));
+
+    this.dom = new JSDOM(PAGE_HTML, {
+      url: this.options.url || DEFAULT_URL,
+      runScripts: 'outside-only',
+      pretendToBeVisual: true,
+      virtualConsole: virtualConsole
+    });
+    this.window = this.dom.window;
+    this.document = this.window.document;
+
+    // The page runs on the fake clock too
+    Object.assign(this.window, clock.globals());
+    installPolyfills(this.window);
+
+    this.composer = this.document.getElementById('prompt-textarea');
+    this.form = this.document.getElementById('composer');
+    this.thread = this.document.getElementById('thread');
+    this.setupComposer();
+    this.showSendButton();
+    if (!this.options.loggedIn) {
+      this.logOut();
+    }
+  }
+
+  // ChatGPT still lets a logged-out visitor chat, but shows a login button
+  logOut() {
+    const button = this.document.createElement('button');
+    button.setAttribute('data-testid', 'login-button');
+    button.textContent = 'Log in';
+    this.document.body.insertBefore(button, this.document.body.firstChild);
+  }
+
+  nextReply(prompt) {
+    if (this.replies.length > 0) {
+      return this.replies.shift();
+    }
+    const reply = this.options.answer ? this.options.answer(prompt) : {};
+    return Object.assign({}, DEFAULT_REPLY, typeof reply === 'string' ? { chunks: [reply] } : reply);
+  }
+
+  setupComposer() {
+    const { editor, enterSends } = this.options;
+    if (editor === 'prosemirror') {
+      this.editorView = createFakeEditorView(this.document, this.composer);
+      this.composer.pmView = this.editorView;
+    }
+    if (editor === 'prosemirror' || editor === 'paste') {
+      this.composer.addEventListener('paste', event => {
+        const text = event.clipboardData ? event.clipboardData.getData('text/plain') : '';
+        if (!text) return;
+        event.preventDefault();
+        this.pasted = text;
+        renderParagraphs(this.document, this.composer, text.split(/\n\n+/).map(paragraph => paragraph.split('\n')));
+      });
+    }
+    this.composer.addEventListener('keydown', event => {
+      if (event.key === 'Enter' && enterSends) {
+        event.preventDefault();
+        this.submit();
+      }
+    });
+  }
+
+  // Queue the replies for the next prompts, in order
+  reply(...replies) {
+    replies.forEach(reply => {
+      this.replies.push(Object.assign({}, DEFAULT_REPLY, typeof reply === 'string' ? { chunks: [reply] } : reply));
+    });
+  }
+
+  get composerText() {
+    return this.composer.textContent;
+  }
+
+  // Paragraphs in the composer, each a list of lines
+  get composerParagraphs() {
+    return Array.from(this.composer.querySelectorAll('p')).map(p => {
+      const lines = [''];
+      p.childNodes.forEach(child => {
+        if (child.nodeName === 'BR') {
+          if (!child.classList.contains('ProseMirror-trailingBreak')) lines.push('');
+        } else {
+          lines[lines.length - 1] += child.textContent;
+        }
+      });
+      return lines;
+    });
+  }
+
+  showSendButton() {
+    this.removeControl();
+    if (!this.options.sendButton) return;
+    const button = this.document.createElement('button');
+    button.type = 'button';
+    button.setAttribute('data-testid', 'send-button');
+    button.setAttribute('aria-label', 'Send prompt');
+    button.textContent = 'Send';
+    button.addEventListener('click', () => this.submit());
+    this.form.appendChild(button);
+  }
+
+  showStopButton() {
+    this.removeControl();
+    const button = this.document.createElement('button');
+    button.type = 'button';
+    button.setAttribute('data-testid', 'stop-button');
+    button.setAttribute('aria-label', 'Stop streaming');
+    button.textContent = 'Stop';
+    button.addEventListener('click', () => this.stop());
+    this.form.appendChild(button);
+  }
+
+  removeControl() {
+    this.form.querySelectorAll('button').forEach(button => button.remove());
+  }
+
+  get isStreaming() {
+    return this.streaming !== null;
+  }
+
+  // The send button (or Enter) was pressed
+  submit() {
+    const text = this.composer.textContent.trim();
+    if (!text || this.streaming) return;
+
+    this.prompts.push(this.composerParagraphs.map(lines => lines.join('\n')).join('\n\n'));
+    this.composer.innerHTML = '<p></p>';
+    this.addMessage('user', text);
+    this.startReply(this.nextReply(text));
+  }
+
+  // A turn: an <article> holding its messages, like ChatGPT renders it
+  addTurn() {
+    const turn = this.document.createElement('article');
+    turn.setAttribute('data-testid', `conversation-turn-${this.thread.children.length + 1}`);
+    this.thread.appendChild(turn);
+    return turn;
+  }
+
+  addMessage(role, text, turn = this.addTurn()) {
+    const message = this.document.createElement('div');
+    message.setAttribute('data-message-author-role', role);
+    message.setAttribute('data-message-id', `msg-${this.nextMessageId++}`);
+    message.textContent = text;
+    turn.appendChild(message);
+    return message;
+  }
+
+  // An assistant message with its `.markdown` content element
+  addAnswer(turn, model, streaming) {
+    const message = this.addMessage('assistant', '', turn);
+    message.setAttribute('data-message-model-slug', model);
+    const markdown = this.document.createElement('div');
+    markdown.className = streaming ? 'markdown prose result-streaming' : 'markdown prose';
+    message.appendChild(markdown);
+    return { message: message, markdown: markdown };
+  }
+
+  // What ChatGPT shows around the answer before it starts streaming
+  renderTurnExtras(turn, reply) {
+    if (reply.reasoning) {
+      const reasoning = this.document.createElement('div');
+      reasoning.setAttribute('data-testid', 'reasoning-summary');
+      const label = this.document.createElement('button');
+      label.textContent = reply.reasoning.label;
+      reasoning.appendChild(label);
+      if (reply.reasoning.summary) {
+        const summary = this.document.createElement('div');
+        summary.textContent = reply.reasoning.summary;
+        reasoning.appendChild(summary);
+      }
+      turn.appendChild(reasoning);
+    }
+    if (reply.interim) {
+      this.addAnswer(turn, reply.model, false).markdown.textContent = reply.interim;
+    }
+    if (reply.toolOutput) {
+      this.addMessage('tool', reply.toolOutput, turn);
+    }
+  }
+
+  // Citation pills and images, added once the text is written
+  renderAnswerExtras(state) {
+    state.reply.citations.forEach(citation => {
+      const pill = this.document.createElement('span');
+      pill.setAttribute('data-testid', 'webpage-citation-pill');
+      const link = this.document.createElement('a');
+      link.href = citation.url;
+      link.target = '_blank';
+      link.textContent = citation.title;
+      pill.appendChild(link);
+      state.markdown.appendChild(pill);
+    });
+    state.reply.images.forEach(image => {
+      const img = this.document.createElement('img');
+      img.src = image.url;
+      img.alt = image.alt || 'Generated image';
+      state.message.appendChild(img);
+    });
+  }
+
+  showPreferenceButtons(message) {
+    const button = this.document.createElement('button');
+    button.type = 'button';
+    button.textContent = 'I prefer this response';
+    message.parentNode.insertBefore(button, message.nextSibling);
+  }
+
+  showTurnActions(message) {
+    const actions = this.document.createElement('div');
+    ['copy', 'good-response', 'bad-response'].forEach(name => {
+      const button = this.document.createElement('button');
+      button.setAttribute('data-testid', `${name}-turn-action-button`);
+      actions.appendChild(button);
+    });
+    message.parentNode.appendChild(actions);
+  }
+
+  startReply(reply) {
+    this.clearErrors();
+    this.removeControl();
+    const state = { reply: reply, index: 0, timer: null, markdown: null };
+    this.streaming = state;
+    const placeholder = reply.placeholder ? this.addAnswer(this.addTurn(), reply.model, reply.streamingClass) : null;
+    if (reply.stopButton) {
+      this.clock.setTimeout(() => {
+        if (this.streaming === state) this.showStopButton();
+      }, reply.stopButtonDelay);
+    }
+
+    state.timer = this.clock.setTimeout(() => {
+      if (!this.conversationId) {
+        this.conversationId = `conv-${this.nextMessageId}`;
+        this.window.history.replaceState(null, '', `/c/${this.conversationId}`);
+      }
+      if (reply.error && reply.errorAfter === 0) {
+        this.failReply(state);
+        return;
+      }
+      const failed = this.failedAnswer;
+      this.failedAnswer = null;
+      if (reply.inPlace && failed) {
+        failed.markdown.textContent = '';
+        Object.assign(state, failed);
+        this.streamNext(state);
+        return;
+      }
+      if (placeholder) {
+        Object.assign(state, placeholder);
+        this.streamNext(state);
+        return;
+      }
+      const turn = this.addTurn();
+      this.renderTurnExtras(turn, reply);
+      Object.assign(state, this.addAnswer(turn, reply.model, reply.streamingClass));
+      if (reply.alternative) {
+        state.alternative = this.addAnswer(turn, reply.model, reply.streamingClass);
+        this.showPreferenceButtons(state.message);
+        this.showPreferenceButtons(state.alternative.message);
+      }
+      this.streamNext(state);
+    }, reply.startDelay);
+  }
+
+  streamNext(state) {
+    const { reply } = state;
+    if (this.streaming !== state) return;
+
+    if (reply.error && reply.errorAfter > 0 && state.index >= reply.errorAfter) {
+      this.failReply(state);
+      return;
+    }
+    // Side-by-side answers stream until the longer one is done
+    const length = Math.max(reply.chunks.length, reply.alternative ? reply.alternative.length : 0);
+    if (!reply.endless && state.index >= length) {
+      this.renderAnswerExtras(state);
+      this.finishReply(state);
+      this.renderLateChunks(state, () => this.completeAnswer(state));
+      return;
+    }
+
+    const chunk = reply.endless ? reply.chunks[state.index % reply.chunks.length] : reply.chunks[state.index];
+    const wait = reply.chunkInterval + (reply.pauses[state.index] || 0);
+    state.timer = this.clock.setTimeout(() => {
+      if (this.streaming !== state) return;
+      if (chunk !== undefined) {
+        state.markdown.appendChild(this.document.createTextNode(chunk));
+      }
+      if (state.alternative && reply.alternative[state.index] !== undefined) {
+        state.alternative.markdown.appendChild(this.document.createTextNode(reply.alternative[state.index]));
+      }
+      state.index++;
+      this.streamNext(state);
+    }, wait);
+  }
+
+  finishReply(state) {
+    this.clock.clearTimeout(state.timer);
+    this.streaming = null;
+    this.showSendButton();
+  }
+
+  renderLateChunks(state, done) {
+    const { lateChunks, chunkInterval } = state.reply;
+    lateChunks.forEach((chunk, index) => {
+      this.clock.setTimeout(() => {
+        state.markdown.appendChild(this.document.createTextNode(chunk));
+      }, (index + 1) * chunkInterval);
+    });
+    this.clock.setTimeout(done, lateChunks.length * chunkInterval);
+  }
+
+  // The answer is fully rendered: drop the streaming class, add the action bar
+  completeAnswer(state) {
+    state.markdown.classList.remove('result-streaming');
+    if (state.alternative) {
+      state.alternative.markdown.classList.remove('result-streaming');
+    }
+    if (state.reply.turnActions) {
+      this.showTurnActions(state.message);
+    }
+    this.answeredAt = this.clock.now;
+  }
+
+  failReply(state) {
+    this.finishReply(state);
+    this.failedAnswer = state.markdown ? { message: state.message, markdown: state.markdown } : null;
+    this.showError(state.reply.error);
+    const regenerate = this.document.createElement('button');
+    regenerate.type = 'button';
+    regenerate.className = 'regenerate';
+    regenerate.textContent = 'Regenerate';
+    regenerate.addEventListener('click', () => {
+      regenerate.remove();
+      this.startReply(this.nextReply(this.prompts[this.prompts.length - 1]));
+    });
+    this.thread.appendChild(regenerate);
+  }
+
+  // The stop button was pressed
+  stop() {
+    const state = this.streaming;
+    if (state) {
+      this.stopped = true;
+      this.finishReply(state);
+      if (state.markdown) this.completeAnswer(state);
+    }
+  }
+
+  showError(text) {
+    const banner = this.document.createElement('div');
+    banner.setAttribute('role', 'alert');
+    banner.className = 'error-banner';
+    banner.textContent = text;
+    this.document.body.appendChild(banner);
+    return banner;
+  }
+
+  clearErrors() {
+    this.document.querySelectorAll('.error-banner, button.regenerate').forEach(element => element.remove());
+  }
+
+  // What a navigation would show: a new chat or the conversation in `url`
+  navigate(url) {
+    const target = new URL(url, this.window.location.href);
+    this.stop();
+    this.clearErrors();
+    this.thread.innerHTML = '';
+    this.composer.innerHTML = '<p></p>';
+    const match = target.pathname.match(/\/c\/([\w-]+)/);
+    this.conversationId = match ? match[1] : null;
+    this.window.history.replaceState(null, '', target.pathname + target.search);
+  }
+
+  close() {
+    this.window.close();
+  }
+}
+
+module.exports = { FakeChatGPTPage, DEFAULT_REPLY };
@@ -0,0 +1,268 @@
+// Wires the extension together for tests: a fake ChatGPT tab with the
+// content scripts loaded, the background worker in its own VM context and
+// an extension page running chatgpt-api.js, all on one fake clock.
+//
+//   const harness = createHarness();
+//   const api = await harness.createAPI();
+//   harness.page.reply({ chunks: ['Hi', ' there'] });
+//   const text = await harness.run(api.sendPrompt("Hello"));
+
+const fs = require('fs');
+const assert = require('node:assert/strict');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+const { FakeClock, flush } = require('./clock');
+const { ChromeMock, EXTENSION_ID } = require('./chrome-mock');
+const { FakeChatGPTPage, DEFAULT_REPLY } = require('./fake-chatgpt');
+const { TestWebSocket } = require('./websocket-client');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+function readSource(file) {
+  return fs.readFileSync(path.join(ROOT, file), 'utf8');
+}
+
+// Console output of a context is kept instead of printed
+function createConsole(logs) {
+  const record = level => (...args) => logs.push({ level: level, args: args });
+  return { log: record('log'), info: record('info'), warn: record('warn'), error: record('error'), debug: record('debug') };
+}
+
+function createScriptContext(clock, chrome, logs, extraGlobals = {}) {
+  const context = vm.createContext(Object.assign({
+    chrome: chrome,
+    console: createConsole(logs),
+    URL, URLSearchParams, AbortController, AbortSignal, Event, EventTarget,
+    Blob, TextEncoder, TextDecoder, atob, btoa, crypto, structuredClone, queueMicrotask
+  }, clock.globals(), extraGlobals));
+  context.self = context;
+  context.globalThis = context;
+  return context;
+}
+
+class Harness {
+  // options:
+  //   page       Options for the first tab's FakeChatGPTPage (and, until
+  //              `harness.pageOptions` is changed, for the tabs the extension
+  //              opens), or false for no tab
+  //   storage    Initial chrome.storage.local contents
+  //   sync       Initial chrome.storage.sync contents (e.g. settings profiles)
+  constructor(options = {}) {
+    this.clock = new FakeClock();
+    this.chrome = new ChromeMock(this.clock);
+    this.pages = [];
+    this.webPages = [];
+    this.webSockets = [];
+    this.logs = { background: [], api: [] };
+
+    Object.assign(this.chrome.storageData.local, options.storage || {});
+    Object.assign(this.chrome.storageData.sync, options.sync || {});
+    this.pageOptions = options.page || {};
+    this.chrome.openPage = (url, windowId) => this.openTab(url, this.pageOptions, windowId).tab;
+
+    if (options.page !== false) {
+      this.openTab(null, options.page || {});
+    }
+    this.loadBackground();
+  }
+
+  get page() {
+    return this.pages[0] ? this.pages[0].page : null;
+  }
+
+  get tab() {
+    return this.pages[0] ? this.pages[0].tab : null;
+  }
+
+  // Functions and globals of the content scripts in the first tab
+  get content() {
+    return this.page.window;
+  }
+
+  openTab(url, pageOptions = {}, windowId = 1) {
+    const page = new FakeChatGPTPage(this.clock, Object.assign({}, pageOptions, url ? { url: url } : {}));
+    const tab = this.chrome.addTab(page.window.location.href, page, windowId);
+    page.window.chrome = this.chrome.forContentScript(tab.id);
+    // Run as scripts (not eval) so top-level declarations are shared
+    const pageContext = page.dom.getInternalVMContext();
+    this.chrome.manifest.content_scripts[0].js.forEach(file => {
+      vm.runInContext(readSource(file), pageContext, { filename: file });
+    });
+    const entry = { tab: tab, page: page };
+    this.pages.push(entry);
+    return entry;
+  }
+
+  // A tab with an ordinary web page (no content scripts), such as one to
+  // select text in
+  openWebPage(url, html = '') {
+    const dom = new JSDOM(html, { url: url, runScripts: 'outside-only', pretendToBeVisual: true });
+    Object.assign(dom.window, this.clock.globals());
+    const page = { window: dom.window, document: dom.window.document, close: () => dom.window.close() };
+    const tab = this.chrome.addTab(url, page);
+    this.webPages.push(page);
+    return { tab: tab, page: page };
+  }
+
+  closeTab(tabId = this.tab.id) {
+    const index = this.pages.findIndex(entry => entry.tab.id === tabId);
+    if (index !== -1) {
+      this.pages[index].page.close();
+      this.pages.splice(index, 1);
+    }
+    this.chrome.removeTab(tabId);
+  }
+
+  // The tab's page crashes; see ChromeMock#crashTab()
+  crashTab(tabId) {
+    this.chrome.crashTab(tabId);
+  }
+
+  // The fake page in tab `tabId`
+  pageFor(tabId) {
+    const entry = this.pages.find(candidate => candidate.tab.id === tabId);
+    return entry ? entry.page : null;
+  }
+
+  loadBackground() {
+    const webSockets = this.webSockets;
+    // Real connections, such as the bridge client's, sent with the extension's origin
+    class ExtensionWebSocket extends TestWebSocket {
+      constructor(url) {
+        super(url, { origin: `chrome-extension://${EXTENSION_ID}` });
+        webSockets.push(this);
+      }
+    }
+
+    const context = createScriptContext(this.clock, this.chrome.forBackground(), this.logs.background, {
+      WebSocket: ExtensionWebSocket
+    });
+    context.importScripts = (...files) => {
+      files.forEach(file => vm.runInContext(readSource(file), context, { filename: file }));
+    };
+    vm.runInContext(readSource(this.chrome.manifest.background.service_worker), context, {
+      filename: this.chrome.manifest.background.service_worker
+    });
+    this.background = context;
+  }
+
+  // An initialized ChatGPTAPI running in an extension page
+  async createAPI() {
+    const context = createScriptContext(this.clock, this.chrome.forPage(), this.logs.api);
+    vm.runInContext(readSource('chatgpt-api.js'), context, { filename: 'chatgpt-api.js' });
+    this.api = context;
+    return this.run(vm.runInContext('createChatGPTAPI()', context));
+  }
+
+  // An extension page such as sidepanel.html, with its scripts run and
+  // DOMContentLoaded fired. Text it copies lands in `harness.clipboard`.
+  openExtensionPage(file) {
+    const html = readSource(file);
+    const dom = new JSDOM(html, {
+      url: `chrome-extension://${EXTENSION_ID}/${file}`,
+      runScripts: 'outside-only',
+      pretendToBeVisual: true
+    });
+    const window = dom.window;
+    Object.assign(window, this.clock.globals(), { chrome: this.chrome.forPage(), crypto: crypto });
+    Object.defineProperty(window.navigator, 'clipboard', {
+      value: { writeText: async (text) => { this.clipboard = text; } }
+    });
+    window.console = createConsole(this.logs.api);
+
+    const pageContext = dom.getInternalVMContext();
+    for (const match of html.matchAll(/<script src="([^"]+)"><\/script>/g)) {
+      vm.runInContext(readSource(match[1]), pageContext, { filename: match[1] });
+    }
+    window.document.dispatchEvent(new window.Event('DOMContentLoaded'));
+    this.webPages.push({ close: () => window.close() });
+    return window;
+  }
+
+  // Load scripts an extension page includes after chatgpt-api.js (such as
+  // prompt-templates.js and batch-runner.js) into the API's context
+  loadPageScripts(...files) {
+    files.forEach(file => vm.runInContext(readSource(file), this.api, { filename: file }));
+    return this.api;
+  }
+
+  // Advance the fake clock until `promise` settles
+  run(promise, options) {
+    return this.clock.run(promise, options);
+  }
+
+  until(predicate, options) {
+    return this.clock.until(predicate, options);
+  }
+
+  tick(ms) {
+    return this.clock.tick(ms);
+  }
+
+  // Runtime and tab messages with this action, in the order they were sent
+  messagesFor(action) {
+    return this.chrome.messages.filter(entry => entry.message.action === action).map(entry => entry.message);
+  }
+
+  // Wait for the content script to report the outcome of `requestId`
+  async capturedResponse(requestId, options) {
+    const find = () => this.messagesFor('CAPTURED_RESPONSE').find(message => message.requestId === requestId);
+    await this.until(() => find() !== undefined, options);
+    return find();
+  }
+
+  // The stored job queue
+  async jobs() {
+    return (await this.chrome.createStorageArea('local').get('jobQueue')).jobQueue || [];
+  }
+
+  async close() {
+    this.clock.timers.clear();
+    await flush();
+    this.pages.forEach(entry => entry.page.close());
+    this.webPages.forEach(page => page.close());
+    this.webSockets.forEach(socket => socket.close());
+  }
+}
+
+function createHarness(options) {
+  return new Harness(options);
+}
+
+// --- Helpers shared by the tests ---
+
+// A harness with an initialized API, closed when the test ends
+async function setupAPI(t, options) {
+  const harness = createHarness(options);
+  t.after(() => harness.close());
+  const api = await harness.createAPI();
+  return { harness, api };
+}
+
+// The error `promise` rejects with, advancing the clock until it does
+async function rejection(harness, promise) {
+  try {
+    await harness.run(promise);
+  } catch (error) {
+    return error;
+  }
+  assert.fail("Expected the promise to reject");
+}
+
+// Values from another realm (the API's or the background's), copied so
+// deepEqual compares plain objects
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+// A page `answer` that replies "Re: <prompt>", with any other reply options
+// such as `chunkInterval` or `startDelay`
+function echo(replyOptions = {}) {
+  return prompt => Object.assign({ chunks: ['Re: ', prompt] }, replyOptions);
+}
+
+module.exports = {
+  createHarness, setupAPI, rejection, plain, echo,
+  Harness, FakeChatGPTPage, FakeClock, ChromeMock, TestWebSocket, EXTENSION_ID, DEFAULT_REPLY
+};
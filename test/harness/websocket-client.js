@@ -0,0 +1,228 @@
+// WebSocket client for the bridge tests, shaped like the browser's
+// WebSocket (onopen, onmessage, onclose, send, close) so bridge-client.js
+// can run on it in the background worker. It can also write raw frames, to
+// test the bridge's framing and limits.
+
+const http = require('http');
+const crypto = require('crypto');
+
+const OPCODES = { CONTINUATION: 0x0, TEXT: 0x1, CLOSE: 0x8, PING: 0x9, PONG: 0xa };
+
+class TestWebSocket {
+  // options:
+  //   origin     Origin header to send (browsers always send one)
+  //   headers    Extra request headers, such as Authorization
+  constructor(url, options = {}) {
+    this.url = url;
+    this.readyState = TestWebSocket.CONNECTING;
+    this.onopen = null;
+    this.onmessage = null;
+    this.onclose = null;
+    this.onerror = null;
+    // Everything received, as parsed JSON where possible
+    this.messages = [];
+    // HTTP status if the upgrade was refused, close code sent by the server
+    this.status = null;
+    this.closeCode = null;
+    this.waiters = [];
+    this.buffer = Buffer.alloc(0);
+    this.fragments = [];
+    this.closed = new Promise(resolve => { this.resolveClosed = resolve; });
+
+    const target = new URL(url);
+    const headers = Object.assign({
+      Connection: 'Upgrade',
+      Upgrade: 'websocket',
+      'Sec-WebSocket-Version': '13',
+      'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64')
+    }, options.origin ? { Origin: options.origin } : {}, options.headers || {});
+
+    const request = http.request({
+      hostname: target.hostname,
+      port: target.port,
+      path: target.pathname + target.search,
+      headers: headers
+    });
+    request.on('upgrade', (response, socket) => {
+      this.socket = socket;
+      this.readyState = TestWebSocket.OPEN;
+      socket.on('data', (data) => this._onData(data));
+      socket.on('close', () => this._onClose());
+      socket.on('error', () => {});
+      this._dispatch('open', {});
+    });
+    request.on('response', (response) => {
+      this.status = response.statusCode;
+      response.resume();
+      this._dispatch('error', {});
+      this._onClose();
+    });
+    request.on('error', () => {
+      this._dispatch('error', {});
+      this._onClose();
+    });
+    request.end();
+  }
+
+  // Resolves once the connection is open, rejects if it was refused
+  opened() {
+    if (this.readyState === TestWebSocket.OPEN) {
+      return Promise.resolve(this);
+    }
+    return new Promise((resolve, reject) => {
+      const check = setInterval(() => {
+        if (this.readyState === TestWebSocket.OPEN) {
+          clearInterval(check);
+          resolve(this);
+        } else if (this.readyState === TestWebSocket.CLOSED) {
+          clearInterval(check);
+          reject(new Error(`WebSocket refused with status ${this.status}`));
+        }
+      }, 5);
+    });
+  }
+
+  // Resolves with the first received message (past or future) that matches
+  nextMessage(predicate = () => true) {
+    const found = this.messages.find(predicate);
+    if (found) {
+      return Promise.resolve(found);
+    }
+    return new Promise(resolve => this.waiters.push({ predicate, resolve }));
+  }
+
+  send(data) {
+    this.sendFrame(OPCODES.TEXT, Buffer.from(typeof data === 'string' ? data : JSON.stringify(data)));
+  }
+
+  // Write one masked frame. `length` announces a different payload length
+  // than the bytes actually sent.
+  sendFrame(opcode, payload, { fin = true, length = payload.length } = {}) {
+    let header;
+    if (length < 126) {
+      header = Buffer.alloc(2);
+      header[1] = length;
+    } else if (length < 65536) {
+      header = Buffer.alloc(4);
+      header[1] = 126;
+      header.writeUInt16BE(length, 2);
+    } else {
+      header = Buffer.alloc(10);
+      header[1] = 127;
+      header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    header[0] = (fin ? 0x80 : 0) | opcode;
+    header[1] |= 0x80;
+
+    const mask = crypto.randomBytes(4);
+    const masked = Buffer.from(payload);
+    for (let i = 0; i < masked.length; i++) {
+      masked[i] ^= mask[i % 4];
+    }
+    this.socket.write(Buffer.concat([header, mask, masked]));
+  }
+
+  close() {
+    if (this.readyState !== TestWebSocket.OPEN) {
+      return;
+    }
+    this.readyState = TestWebSocket.CLOSING;
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(1000, 0);
+    this.sendFrame(OPCODES.CLOSE, payload);
+    this.socket.end();
+  }
+
+  _dispatch(type, event) {
+    if (typeof this[`on${type}`] === 'function') {
+      this[`on${type}`](event);
+    }
+  }
+
+  _onData(data) {
+    this.buffer = Buffer.concat([this.buffer, data]);
+    let frame;
+    while ((frame = decodeFrame(this.buffer)) !== null) {
+      this.buffer = this.buffer.subarray(frame.length);
+      this._onFrame(frame);
+    }
+  }
+
+  _onFrame(frame) {
+    if (frame.opcode === OPCODES.CLOSE) {
+      this.closeCode = frame.payload.length >= 2 ? frame.payload.readUInt16BE(0) : null;
+      this.socket.end();
+      return;
+    }
+    if (frame.opcode === OPCODES.PING) {
+      this.sendFrame(OPCODES.PONG, frame.payload);
+      return;
+    }
+    if (frame.opcode === OPCODES.PONG) {
+      return;
+    }
+
+    this.fragments.push(frame.payload);
+    if (!frame.fin) {
+      return;
+    }
+    const text = Buffer.concat(this.fragments).toString('utf8');
+    this.fragments = [];
+
+    let message = text;
+    try {
+      message = JSON.parse(text);
+    } catch (error) {
+      // Kept as text
+    }
+    this.messages.push(message);
+    this.waiters = this.waiters.filter(waiter => {
+      if (!waiter.predicate(message)) return true;
+      waiter.resolve(message);
+      return false;
+    });
+    this._dispatch('message', { data: text });
+  }
+
+  _onClose() {
+    if (this.readyState === TestWebSocket.CLOSED) {
+      return;
+    }
+    this.readyState = TestWebSocket.CLOSED;
+    if (this.socket) {
+      this.socket.destroy();
+    }
+    this._dispatch('close', { code: this.closeCode });
+    this.resolveClosed(this.closeCode);
+  }
+}
+
+TestWebSocket.CONNECTING = 0;
+TestWebSocket.OPEN = 1;
+TestWebSocket.CLOSING = 2;
+TestWebSocket.CLOSED = 3;
+
+// Server frames are never masked
+function decodeFrame(buffer) {
+  if (buffer.length < 2) return null;
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+  if (length === 126) {
+    if (buffer.length < 4) return null;
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) return null;
+    length = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+  if (buffer.length < offset + length) return null;
+  return {
+    fin: (buffer[0] & 0x80) !== 0,
+    opcode: buffer[0] & 0x0f,
+    payload: buffer.subarray(offset, offset + length),
+    length: offset + length
+  };
+}
+
+module.exports = { TestWebSocket, OPCODES };
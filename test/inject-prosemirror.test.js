@@ -0,0 +1,77 @@
+// injectProseMirrorCode() from background.js, run in the fake page through
+// chrome.scripting.executeScript() like the real extension does.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./harness');
+
+const MULTI_LINE = "Review this:\nline two\n\n```js\nif (a) {\n\n  b();\n}\n```";
+
+async function inject(harness, text, selector = '#prompt-textarea') {
+  await harness.run(harness.background.chrome.scripting.executeScript({
+    target: { tabId: harness.tab.id },
+    func: harness.background.injectProseMirrorCode,
+    args: [text, selector]
+  }));
+  await harness.tick(1000);
+  // Copied out of the page's realm so deepEqual compares plain objects
+  return Object.assign({}, harness.content.__prosemirrorResult);
+}
+
+test('replaces the document through the editor view', async (t) => {
+  const harness = createHarness({ page: { editor: 'prosemirror' } });
+  t.after(() => harness.close());
+
+  const result = await inject(harness, MULTI_LINE);
+
+  assert.deepEqual(result, { success: true, method: 'direct_api' });
+  assert.deepEqual(harness.page.composerParagraphs, [
+    ['Review this:', 'line two'],
+    ['```js', 'if (a) {', '', '  b();', '}', '```']
+  ]);
+});
+
+test('falls back to a paste the editor handles', async (t) => {
+  const harness = createHarness({ page: { editor: 'paste' } });
+  t.after(() => harness.close());
+
+  const result = await inject(harness, MULTI_LINE);
+
+  assert.deepEqual(result, { success: true, method: 'paste' });
+  assert.equal(harness.page.pasted, MULTI_LINE);
+});
+
+test('builds paragraphs in the DOM when nothing else works', async (t) => {
+  const harness = createHarness({ page: { editor: 'plain' } });
+  t.after(() => harness.close());
+
+  const result = await inject(harness, "one\ntwo\n\nthree");
+
+  assert.deepEqual(result, { success: true, method: 'dom_manipulation' });
+  assert.deepEqual(harness.page.composerParagraphs, [['one', 'two'], ['three']]);
+});
+
+test('reports a missing prompt box', async (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+
+  const result = await inject(harness, "Hello", '#no-such-composer');
+
+  assert.deepEqual(result, { error: 'Textarea not found' });
+});
+
+test('the content script gets the method back from the background', async (t) => {
+  const harness = createHarness({ page: { editor: 'paste' } });
+  t.after(() => harness.close());
+
+  const response = await harness.run(new Promise(resolve => {
+    harness.content.chrome.runtime.sendMessage({
+      action: "INJECT_PROSEMIRROR_SCRIPT",
+      promptText: "Hello",
+      composerSelector: '#prompt-textarea'
+    }, resolve);
+  }));
+
+  assert.deepEqual(response, { success: true, method: 'paste' });
+  assert.equal(harness.content.__prosemirrorResult, undefined);
+});
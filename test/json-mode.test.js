@@ -0,0 +1,100 @@
+// extractJSON(), validateJSONSchema() and ChatGPTAPI.sendPromptForJSON()
+// with its follow-ups asking ChatGPT to fix the JSON.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractJSON, validateJSONSchema } = require('../chatgpt-api.js');
+const { setupAPI, rejection, plain } = require('./harness');
+
+const PERSON_SCHEMA = {
+  type: 'object',
+  required: ['name', 'born'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    born: { type: 'integer', minimum: 0 },
+    tags: { type: 'array', items: { enum: ['math', 'computing'] }, uniqueItems: true }
+  }
+};
+
+test('extractJSON finds JSON in code fences, prose and structured results', () => {
+  assert.deepEqual(extractJSON('Sure! Here it is:\n```json\n{"ok": true}\n```\nAnything else?'), { ok: true });
+  assert.deepEqual(extractJSON('{"bare": 1}'), { bare: 1 });
+  assert.deepEqual(extractJSON('The [draft] list is [1, 2, 3], as requested.'), [1, 2, 3]);
+  assert.deepEqual(extractJSON('Result: {"text": "a } inside", "n": [1]} - done'), { text: 'a } inside', n: [1] });
+  assert.deepEqual(extractJSON({
+    text: 'json\nCopy code\n{"from": "text"}',
+    markdown: 'Here:',
+    codeBlocks: [{ language: 'text', code: 'not json' }, { language: 'json', code: '{"from": "block"}' }]
+  }), { from: 'block' });
+  assert.equal(extractJSON("Sorry, I can't do that."), undefined);
+  assert.equal(extractJSON('{"broken": '), undefined);
+});
+
+test('validateJSONSchema lists every problem with its path', () => {
+  assert.deepEqual(validateJSONSchema({ name: 'Ada', born: 1815, tags: ['math'] }, PERSON_SCHEMA), []);
+  assert.deepEqual(validateJSONSchema({ name: '', born: 18.15, tags: ['math', 'math', 'art'], 'home town': 'London' }, PERSON_SCHEMA), [
+    '$.name must be at least 1 characters long',
+    '$.born must be an integer',
+    '$.tags must not contain duplicate items',
+    '$.tags[2] must be one of "math", "computing"',
+    '$["home town"] is not allowed'
+  ]);
+  assert.deepEqual(validateJSONSchema({}, PERSON_SCHEMA), ['$.name is required', '$.born is required']);
+  assert.deepEqual(validateJSONSchema('Ada', PERSON_SCHEMA), ['$ must be an object']);
+  assert.deepEqual(validateJSONSchema(null, { type: ['string', 'null'] }), []);
+  assert.equal(validateJSONSchema(true, { anyOf: [{ type: 'string' }, { type: 'number' }] }).length, 1);
+  assert.equal(validateJSONSchema(3, { oneOf: [{ type: 'integer' }, { type: 'number' }] }).length, 1);
+});
+
+test('resolves with the parsed object and asks for JSON matching the schema', async (t) => {
+  const { harness, api } = await setupAPI(t);
+  harness.page.reply('Here you go:\n```json\n{"name": "Ada", "born": 1815}\n```');
+
+  const person = await harness.run(api.sendPromptForJSON("Who wrote the first program?", { schema: PERSON_SCHEMA }));
+
+  assert.deepEqual(plain(person), { name: 'Ada', born: 1815 });
+  assert.equal(harness.page.prompts.length, 1);
+  assert.match(harness.page.prompts[0], /^Who wrote the first program\?\n\nThe JSON must match this JSON Schema:\n```json\n\{/);
+  assert.match(harness.page.prompts[0], /Reply with only the JSON/);
+});
+
+test('asks for a fix in the same conversation when the JSON is invalid', async (t) => {
+  const { harness, api } = await setupAPI(t);
+  harness.page.reply('{"name": "Ada"}', 'Sorry about that: {"name": "Ada", "born": 1815}');
+
+  const result = await harness.run(api.sendPromptForJSON("Who wrote the first program?", {
+    schema: PERSON_SCHEMA,
+    structured: true
+  }));
+
+  assert.deepEqual(plain(result.data), { name: 'Ada', born: 1815 });
+  assert.equal(result.attempts, 2);
+  assert.equal(harness.page.prompts.length, 2);
+  assert.match(harness.page.prompts[1], /- \$\.born is required/);
+  assert.equal(result.conversationId, harness.page.conversationId);
+  const jobs = await harness.jobs();
+  assert.equal(jobs[1].targetConversationId, jobs[0].conversationId);
+});
+
+test('gives up with INVALID_JSON after the repair attempts', async (t) => {
+  const { harness, api } = await setupAPI(t);
+  harness.page.reply('No JSON here.', 'Still none.', 'Nope.');
+
+  const error = await rejection(harness, api.sendPromptForJSON("Give me JSON", { repairAttempts: 1 }));
+
+  assert.equal(error.code, 'INVALID_JSON');
+  assert.deepEqual(plain(error.errors), ['The reply did not contain valid JSON']);
+  assert.equal(error.response, 'Still none.');
+  assert.equal(harness.page.prompts.length, 2);
+});
+
+test('leaves the prompt alone with includeSchema: false', async (t) => {
+  const { harness, api } = await setupAPI(t);
+  harness.page.reply('[1, 2, 3]');
+
+  const list = await harness.run(api.sendPromptForJSON("List three numbers as a JSON array", { includeSchema: false }));
+
+  assert.deepEqual(plain(list), [1, 2, 3]);
+  assert.deepEqual(harness.page.prompts, ["List three numbers as a JSON array"]);
+});
@@ -0,0 +1,129 @@
+// domToMarkdown() and extractCodeBlocks() in markdown-converter.js: turning
+// a rendered answer back into Markdown, run in the ChatGPT tab like the
+// content script does.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness, plain } = require('./harness');
+
+// The answer's `.markdown` element, holding `html`
+function render(harness, html) {
+  const element = harness.page.document.createElement('div');
+  element.className = 'markdown prose';
+  element.innerHTML = html;
+  return element;
+}
+
+function setup(t) {
+  const harness = createHarness();
+  t.after(() => harness.close());
+  const toMarkdown = html => harness.content.domToMarkdown(render(harness, html));
+  return { harness, toMarkdown };
+}
+
+test('keeps inline formatting, links, headings and quotes', (t) => {
+  const { toMarkdown } = setup(t);
+
+  const markdown = toMarkdown(`
+    <h2>Summary</h2>
+    <p>Some <strong>bold</strong>, <em>italic</em>, <del>struck</del> and <code>inline</code> text,
+       with a <a href="https://example.com/">link</a> and <code>a \`tick\`</code>.</p>
+    <blockquote><p>Quoted</p><p>twice</p></blockquote>
+    <hr>
+    <p>Line one<br>line two</p>
+  `);
+
+  assert.equal(markdown, [
+    '## Summary',
+    '',
+    'Some **bold**, *italic*, ~~struck~~ and `inline` text, with a [link](https://example.com/) and `` a `tick` ``.',
+    '',
+    '> Quoted',
+    '>',
+    '> twice',
+    '',
+    '---',
+    '',
+    'Line one  ',
+    'line two'
+  ].join('\n'));
+});
+
+test('indents nested lists under their items and keeps the start number', (t) => {
+  const { toMarkdown } = setup(t);
+
+  // Without whitespace between the tags, as ChatGPT renders lists
+  const markdown = toMarkdown(
+    '<ul><li>Fruit<ul><li>Apple</li><li><strong>Pear</strong></li></ul></li><li>Vegetables</li></ul>' +
+    '<ol start="3"><li><p>Third</p><ol><li>Deeper</li></ol></li><li><p>Fourth</p></li></ol>'
+  );
+
+  assert.equal(markdown, [
+    '- Fruit',
+    '  - Apple',
+    '  - **Pear**',
+    '- Vegetables',
+    '',
+    '3. Third',
+    '',
+    '   1. Deeper',
+    '4. Fourth'
+  ].join('\n'));
+});
+
+test('fences code blocks with their language and leaves out the copy button', (t) => {
+  const { harness, toMarkdown } = setup(t);
+  const html = `
+    <pre><div class="code-header"><span>Python</span><button>Copy code</button></div><code>print("hi")
+</code></pre>
+    <pre><code class="language-markdown">\`\`\`js
+x();
+\`\`\`</code></pre>
+    <pre><code>plain</code></pre>
+  `;
+
+  assert.equal(toMarkdown(html), [
+    '```python',
+    'print("hi")',
+    '```',
+    '',
+    '````markdown',
+    '```js',
+    'x();',
+    '```',
+    '````',
+    '',
+    '```',
+    'plain',
+    '```'
+  ].join('\n'));
+  assert.deepEqual(plain(harness.content.extractCodeBlocks(render(harness, html))), [
+    { language: 'python', code: 'print("hi")\n' },
+    { language: 'markdown', code: '```js\nx();\n```' },
+    { language: '', code: 'plain' }
+  ]);
+});
+
+test('writes tables as GFM tables, escaping pipes and padding short rows', (t) => {
+  const { toMarkdown } = setup(t);
+
+  const markdown = toMarkdown(`
+    <p>Results:</p>
+    <table>
+      <thead><tr><th>Name</th><th>Value</th></tr></thead>
+      <tbody>
+        <tr><td><strong>a|b</strong></td><td><code>1</code></td></tr>
+        <tr><td>missing</td></tr>
+      </tbody>
+    </table>
+  `);
+
+  assert.equal(markdown, [
+    'Results:',
+    '',
+    '| Name | Value |',
+    '| --- | --- |',
+    '| **a\\|b** | `1` |',
+    '| missing |  |'
+  ].join('\n'));
+});
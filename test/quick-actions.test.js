@@ -0,0 +1,187 @@
+// Quick actions (quick-actions.js): context menu items and keyboard
+// shortcuts that send the selection of any web page to ChatGPT, with the
+// answer shown in an overlay on the page or in a notification.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupAPI, rejection, plain, echo } = require('./harness');
+
+const ARTICLE_URL = 'https://example.com/article';
+const ARTICLE_HTML = '<title>An article</title><p id="intro">The quick brown fox\njumps over the lazy dog.</p>';
+
+// Each prompt is answered with "Re: <prompt>"
+const ECHO_PAGE = { page: { answer: echo() } };
+
+// A web page with its intro paragraph selected
+function openArticle(harness, url = ARTICLE_URL) {
+  const { tab, page } = harness.openWebPage(url, ARTICLE_HTML);
+  page.window.getSelection().selectAllChildren(page.document.getElementById('intro'));
+  return { tab, page };
+}
+
+// The ChatGPT page the quick action's job ran in
+async function answeringPage(harness) {
+  const [job] = await harness.jobs();
+  return harness.pageFor(job.tabId);
+}
+
+function overlay(page) {
+  const host = page.document.getElementById('chatgpt-automator-overlay');
+  if (!host) {
+    return null;
+  }
+  const text = host.shadowRoot.querySelector('.text');
+  return {
+    title: host.shadowRoot.querySelector('.title').textContent,
+    text: text.textContent,
+    state: text.className.replace('text ', ''),
+    link: host.shadowRoot.querySelector('.link').getAttribute('href'),
+    copyText: host.dataset.copyText
+  };
+}
+
+test('offers the default actions in the context menu of a selection', async (t) => {
+  const { harness, api } = await setupAPI(t, ECHO_PAGE);
+  await harness.run(api.getQuickActions());
+
+  const items = Array.from(harness.chrome.contextMenus.values());
+  assert.deepEqual(items.map(item => item.title), ['ChatGPT', 'Ask ChatGPT', 'Summarize', 'Translate']);
+  assert.ok(items.every(item => item.contexts.includes('selection')));
+  assert.deepEqual(items.slice(1).map(item => item.id), ['quick-action-1', 'quick-action-2', 'quick-action-3']);
+});
+
+test('sends the selection through the template and shows the answer on the page', async (t) => {
+  const { harness } = await setupAPI(t, ECHO_PAGE);
+  const { tab, page } = openArticle(harness);
+
+  harness.chrome.clickContextMenu('quick-action-2', tab.id, 'The quick brown fox jumps over the lazy dog.');
+  await harness.until(() => overlay(page) !== null);
+  assert.equal(overlay(page).title, 'Summarize');
+  assert.equal(overlay(page).text, 'Asking ChatGPT...');
+
+  await harness.until(() => overlay(page).state === 'done');
+  const prompt = 'Summarize the following text in a few sentences:\n\nThe quick brown fox\njumps over the lazy dog.';
+  const chatGPT = await answeringPage(harness);
+  assert.deepEqual(chatGPT.prompts, [prompt]);
+  const [job] = await harness.jobs();
+  assert.match(overlay(page).text, /^Re: Summarize the following text/);
+  assert.equal(overlay(page).text, job.response);
+  assert.equal(overlay(page).copyText, job.markdown);
+  assert.equal(overlay(page).link, `https://chatgpt.com/c/${chatGPT.conversationId}`);
+  assert.equal(job.newChat, true);
+});
+
+test("runs in a background tab of its own, leaving the user's ChatGPT tab alone", async (t) => {
+  const { harness, api } = await setupAPI(t, ECHO_PAGE);
+  await harness.run(api.sendPrompt("My own chat"));
+  const userUrl = harness.tab.url;
+  const { tab, page } = openArticle(harness);
+
+  harness.chrome.clickContextMenu('quick-action-1', tab.id);
+  await harness.until(() => overlay(page) && overlay(page).state === 'done');
+  harness.chrome.runCommand('quick-action-2', tab.id);
+  await harness.until(() => overlay(page).title === 'Summarize' && overlay(page).state === 'done');
+
+  assert.equal(harness.chrome.tabs.get(harness.tab.id).tab.url, userUrl);
+  assert.deepEqual(harness.page.prompts, ["My own chat"]);
+  // Both actions ran in the same background tab
+  const jobs = (await harness.jobs()).filter(job => job.prompt !== "My own chat");
+  assert.equal(jobs.length, 2);
+  assert.equal(jobs[0].tabId, jobs[1].tabId);
+  assert.notEqual(jobs[0].tabId, harness.tab.id);
+  assert.equal(harness.pageFor(jobs[0].tabId).prompts.length, 2);
+});
+
+test('streams the answer into the overlay', async (t) => {
+  const { harness } = await setupAPI(t, { page: { answer: () => ({ chunks: ['One', ' two', ' three'], chunkInterval: 1000 }) } });
+  const { tab, page } = openArticle(harness);
+
+  harness.chrome.clickContextMenu('quick-action-1', tab.id);
+  await harness.until(() => overlay(page) && overlay(page).state === 'streaming');
+  assert.ok(['One', 'One two'].includes(overlay(page).text), overlay(page).text);
+
+  await harness.until(() => overlay(page).state === 'done');
+  assert.equal(overlay(page).text, 'One two three');
+});
+
+test('the keyboard shortcut opens ChatGPT when no tab is open', async (t) => {
+  const { harness } = await setupAPI(t, { page: false });
+  harness.pageOptions = { answer: echo() };
+  const { tab, page } = openArticle(harness);
+
+  harness.chrome.runCommand('quick-action-1', tab.id);
+  await harness.until(() => overlay(page) && overlay(page).state === 'done');
+
+  assert.equal(harness.pages.length, 1);
+  assert.deepEqual(harness.pages[0].page.prompts, ['The quick brown fox\njumps over the lazy dog.']);
+  assert.match(overlay(page).text, /^Re: The quick brown fox/);
+});
+
+test('asks for a selection when nothing is selected', async (t) => {
+  const { harness } = await setupAPI(t, ECHO_PAGE);
+  const { tab, page } = harness.openWebPage(ARTICLE_URL, ARTICLE_HTML);
+
+  harness.chrome.runCommand('quick-action-1', tab.id);
+  await harness.until(() => overlay(page) !== null);
+
+  assert.equal(overlay(page).state, 'error');
+  assert.match(overlay(page).text, /Select some text/);
+  assert.deepEqual(await harness.jobs(), []);
+});
+
+test('shows answers as notifications, which open the conversation', async (t) => {
+  const { harness, api } = await setupAPI(t, ECHO_PAGE);
+  await harness.run(api.configureQuickActions({ display: 'notification' }));
+  const { tab, page } = openArticle(harness);
+
+  harness.chrome.clickContextMenu('quick-action-3', tab.id);
+  await harness.until(() => harness.chrome.notifications.size > 0);
+
+  const [[id, notification]] = Array.from(harness.chrome.notifications.entries());
+  assert.equal(notification.title, 'Translate');
+  assert.match(notification.message, /^Re: Translate the following text into English/);
+  assert.equal(overlay(page), null);
+
+  const chatGPT = await answeringPage(harness);
+  harness.chrome.clickNotification(id);
+  await harness.until(() => harness.pages.length === 3);
+  assert.equal(harness.pages[2].tab.url, `https://chatgpt.com/c/${chatGPT.conversationId}`);
+  assert.equal(harness.chrome.notifications.size, 0);
+});
+
+test("falls back to a notification on pages that can't be scripted", async (t) => {
+  const { harness } = await setupAPI(t, ECHO_PAGE);
+  const { tab } = harness.openWebPage('chrome://newtab/');
+
+  harness.chrome.clickContextMenu('quick-action-1', tab.id, 'What is a new tab page?');
+  await harness.until(() => harness.chrome.notifications.size > 0);
+
+  const [notification] = Array.from(harness.chrome.notifications.values());
+  assert.equal(notification.message, 'Re: What is a new tab page?');
+});
+
+test('custom actions replace the menu items and can be reset', async (t) => {
+  const { harness, api } = await setupAPI(t, ECHO_PAGE);
+
+  let config = plain(await harness.run(api.configureQuickActions({
+    actions: [{ title: ' Explain ', template: 'Explain what "{{selection}}" means on {{url}}' }]
+  })));
+  assert.deepEqual(config.actions, [{ title: 'Explain', template: 'Explain what "{{selection}}" means on {{url}}' }]);
+  assert.equal(config.customized, true);
+  await harness.until(() => harness.chrome.contextMenus.size === 2);
+  assert.equal(harness.chrome.contextMenus.get('quick-action-1').title, 'Explain');
+
+  const { tab, page } = openArticle(harness);
+  harness.chrome.clickContextMenu('quick-action-1', tab.id);
+  await harness.until(() => overlay(page) && overlay(page).state === 'done');
+  assert.deepEqual((await answeringPage(harness)).prompts, [`Explain what "The quick brown fox\njumps over the lazy dog." means on ${ARTICLE_URL}`]);
+
+  const error = await rejection(harness, api.configureQuickActions({ actions: [{ title: 'Empty', template: ' ' }] }));
+  assert.equal(error.code, 'INVALID_OPTIONS');
+  assert.equal((await rejection(harness, api.configureQuickActions({ display: 'popup' }))).code, 'INVALID_OPTIONS');
+
+  config = plain(await harness.run(api.configureQuickActions({ actions: null })));
+  assert.equal(config.customized, false);
+  assert.deepEqual(config.actions.map(action => action.title), ['Ask ChatGPT', 'Summarize', 'Translate']);
+  await harness.until(() => harness.chrome.contextMenus.size === 4);
+});
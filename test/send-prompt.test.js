@@ -0,0 +1,206 @@
+// ChatGPTAPI.sendPrompt() end to end: the API page, the background job
+// queue and the content script in the fake ChatGPT tab.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupAPI, rejection } = require('./harness');
+
+test('resolves with the answer text', async (t) => {
+  const { harness, api } = await setupAPI(t);
+  harness.page.reply({ chunks: ['Hello', ' world.'] });
+
+  const text = await harness.run(api.sendPrompt("Say hello"));
+
+  assert.equal(text, 'Hello world.');
+  assert.deepEqual(harness.page.prompts, ["Say hello"]);
+});
+
+test('returns the structured result and streams chunks', async (t) => {
+  const { harness, api } = await setupAPI(t);
+  harness.page.reply({ chunks: ['One', ' two', ' three.'] });
+  const chunks = [];
+  const progress = [];
+
+  const result = await harness.run(api.sendPrompt("Count", {
+    structured: true,
+    onChunk: (delta) => chunks.push(delta),
+    onProgress: (status) => progress.push(status)
+  }));
+
+  assert.equal(result.text, 'One two three.');
+  assert.equal(result.tabId, harness.tab.id);
+  assert.equal(result.model, 'gpt-4o');
+  assert.equal(result.conversationId, harness.page.conversationId);
+  assert.equal(chunks.join(''), 'One two three.');
+  assert.ok(progress.includes("Waiting for response..."));
+
+  const [job] = await harness.jobs();
+  assert.equal(job.status, 'completed');
+  assert.equal(job.response, 'One two three.');
+});
+
+test('keeps multi-line prompts as paragraphs', async (t) => {
+  const { harness, api } = await setupAPI(t);
+
+  await harness.run(api.sendPrompt("First line\nsecond line\n\nNew paragraph"));
+
+  assert.deepEqual(harness.page.prompts, ["First line\nsecond line\n\nNew paragraph"]);
+});
+
+test('rejects with the page error when retries are off', async (t) => {
+  const { harness, api } = await setupAPI(t);
+  harness.page.reply({ error: "Something went wrong. If this issue persists please contact us." });
+
+  const error = await rejection(harness, api.sendPrompt("Hello", { retry: false }));
+
+  assert.equal(error.name, 'ChatGPTError');
+  assert.equal(error.code, 'GENERATION_ERROR');
+});
+
+test('retries a generation error with the Regenerate button', async (t) => {
+  const { harness, api } = await setupAPI(t);
+  harness.page.reply(
+    { error: "Something went wrong while generating the response." },
+    { chunks: ['Worked the second time.'] }
+  );
+
+  const text = await harness.run(api.sendPrompt("Hello"));
+
+  assert.equal(text, 'Worked the second time.');
+  // Regenerated, not typed again
+  assert.equal(harness.page.prompts.length, 1);
+  const [job] = await harness.jobs();
+  assert.equal(job.attempts, 1);
+});
+
+test('picks up a regenerated answer written over the failed one', async (t) => {
+  const { harness, api } = await setupAPI(t);
+  harness.page.reply(
+    { chunks: ['Half an answer', ' and more'], error: "Something went wrong while generating the response.", errorAfter: 1 },
+    { chunks: ['Worked', ' the second time.'], inPlace: true }
+  );
+
+  const text = await harness.run(api.sendPrompt("Hello"));
+
+  assert.equal(text, 'Worked the second time.');
+  assert.equal(harness.page.document.querySelectorAll('[data-message-author-role="assistant"]').length, 1);
+  const [job] = await harness.jobs();
+  assert.equal(job.attempts, 1);
+});
+
+test('does not retry a usage cap', async (t) => {
+  const { harness, api } = await setupAPI(t);
+  harness.page.reply({ error: "You've hit your usage cap for GPT-4o. Your limit resets at 5 PM." });
+
+  const error = await rejection(harness, api.sendPrompt("Hello"));
+
+  assert.equal(error.code, 'USAGE_CAP');
+  assert.equal(harness.page.prompts.length, 1);
+});
+
+test('times out on a stream that never ends and stops generation', async (t) => {
+  const { harness, api } = await setupAPI(t);
+  harness.page.reply({ chunks: ['more '], endless: true });
+
+  const error = await rejection(harness, api.sendPrompt("Go on forever", { timeout: 30 }));
+  await harness.tick(5000);
+
+  assert.equal(error.code, 'TIMEOUT');
+  assert.equal(harness.page.isStreaming, false);
+  const [job] = await harness.jobs();
+  assert.equal(job.status, 'cancelled');
+});
+
+test('aborting cancels the job and stops generation', async (t) => {
+  const { harness, api } = await setupAPI(t);
+  harness.page.reply({ chunks: ['more '], endless: true });
+  const controller = new AbortController();
+
+  const pending = api.sendPrompt("Go on forever", { signal: controller.signal });
+  await harness.until(() => harness.page.isStreaming);
+  controller.abort();
+  const error = await rejection(harness, pending);
+  await harness.tick(5000);
+
+  assert.equal(error.name, 'AbortError');
+  assert.equal(error.code, 'ABORTED');
+  assert.equal(harness.page.isStreaming, false);
+});
+
+test('runs queued prompts one after another', async (t) => {
+  const { harness, api } = await setupAPI(t);
+  harness.page.reply({ chunks: ['First.'] }, { chunks: ['Second.'] });
+
+  const answers = await harness.run(Promise.all([api.sendPrompt("One"), api.sendPrompt("Two")]));
+
+  assert.deepEqual(answers, ['First.', 'Second.']);
+  assert.deepEqual(harness.page.prompts, ["One", "Two"]);
+});
+
+test('passes completion settings to the page', async (t) => {
+  const { harness, api } = await setupAPI(t);
+  harness.page.reply({ chunks: ['Settled.'] });
+
+  const text = await harness.run(api.sendPrompt("Hello", { completion: { strategy: 'stable', settleTime: 1500 } }));
+
+  assert.equal(text, 'Settled.');
+  const [message] = harness.messagesFor('PROMPT_CHATGPT');
+  assert.deepEqual(message.completion, { strategy: 'stable', settleTime: 1500 });
+});
+
+test('rejects an unknown completion strategy', async (t) => {
+  const { harness, api } = await setupAPI(t);
+
+  const error = await rejection(harness, api.sendPrompt("Hello", { completion: { strategy: 'fast' } }));
+
+  assert.equal(error.code, 'INVALID_OPTIONS');
+  assert.equal(harness.page.prompts.length, 0);
+});
+
+test('rejects a zero completion timeout or poll interval', async (t) => {
+  const { harness, api } = await setupAPI(t);
+
+  for (const completion of [{ timeout: 0 }, { pollInterval: 0 }]) {
+    const error = await rejection(harness, api.sendPrompt("Hello", { completion: completion }));
+    assert.equal(error.code, 'INVALID_OPTIONS');
+    assert.match(error.message, /more than 0/);
+  }
+  assert.equal(harness.page.prompts.length, 0);
+});
+
+test('fails with TAB_NOT_FOUND when ChatGPT is not open', async (t) => {
+  const { harness, api } = await setupAPI(t, { page: false });
+
+  const error = await rejection(harness, api.sendPrompt("Hello"));
+
+  assert.equal(error.code, 'TAB_NOT_FOUND');
+});
+
+test("continues a conversation no tab shows in a background tab, not the user's tab", async (t) => {
+  const { harness, api } = await setupAPI(t);
+  const userUrl = harness.tab.url;
+
+  const first = await harness.run(api.sendPrompt("Where were we?", { conversationId: 'abc-123', structured: true }));
+  assert.notEqual(first.tabId, harness.tab.id);
+  assert.equal(harness.chrome.tabs.get(first.tabId).tab.url, 'https://chatgpt.com/c/abc-123');
+  assert.deepEqual(harness.pageFor(first.tabId).prompts, ["Where were we?"]);
+
+  // The tab showing it now is used again, and the user's tab is never touched
+  const second = await harness.run(api.sendPrompt("Go on", { conversationId: 'abc-123', structured: true }));
+  assert.equal(second.tabId, first.tabId);
+  assert.equal(harness.pages.length, 2);
+  assert.deepEqual(harness.page.prompts, []);
+  assert.equal(harness.chrome.tabs.get(harness.tab.id).tab.url, userUrl);
+});
+
+test('fails running jobs when their tab is closed', async (t) => {
+  const { harness, api } = await setupAPI(t);
+  harness.page.reply({ chunks: ['more '], endless: true });
+
+  const pending = api.sendPrompt("Hello");
+  await harness.until(() => harness.page.isStreaming);
+  harness.closeTab();
+  const error = await rejection(harness, pending);
+
+  assert.equal(error.code, 'TAB_CLOSED');
+});
@@ -0,0 +1,130 @@
+// Settings profiles (settings.js): the active profile's values reaching the
+// content script, the background worker and the API, and switching profiles
+// without reloading anything.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupAPI, rejection, plain } = require('./harness');
+
+function profiles(activeProfile, values) {
+  return { settings: { activeProfile: activeProfile, profiles: { [activeProfile]: values } } };
+}
+
+test('uses the defaults when nothing is stored', async (t) => {
+  const { harness, api } = await setupAPI(t);
+
+  const settings = plain(await harness.run(api.getSettings()));
+
+  assert.equal(settings.profile, 'Default');
+  assert.equal(settings.requestTimeout, 300000);
+  assert.equal(settings.newChat, false);
+  assert.deepEqual(plain(harness.content.getCompletionSettings(null)), {
+    strategy: 'auto', settleTime: 500, timeout: 300000, pollInterval: 250
+  });
+  assert.equal(harness.content.getCompletionSettings({ strategy: 'stable' }).settleTime, 3000);
+});
+
+test("applies the active profile's completion settings, under per-prompt options", async (t) => {
+  const { harness, api } = await setupAPI(t, {
+    sync: profiles('Slow page', { settleTime: 1500, pollInterval: 1000, completionStrategy: 'stable', stableSettleTime: 4000 })
+  });
+
+  assert.equal((await harness.run(api.getSettings())).profile, 'Slow page');
+  assert.deepEqual(plain(harness.content.getCompletionSettings(null)), {
+    strategy: 'stable', settleTime: 4000, timeout: 300000, pollInterval: 1000
+  });
+  assert.deepEqual(plain(harness.content.getCompletionSettings({ strategy: 'auto', pollInterval: 100 })), {
+    strategy: 'auto', settleTime: 1500, timeout: 300000, pollInterval: 100
+  });
+
+  harness.page.reply("Done");
+  assert.equal(await harness.run(api.sendPrompt("Hello")), "Done");
+});
+
+test('ignores unknown settings, bad values and a missing active profile', async (t) => {
+  const { harness, api } = await setupAPI(t, {
+    sync: { settings: { activeProfile: 'Gone', profiles: { 'Mine': { settleTime: 900 } } } }
+  });
+  assert.equal((await harness.run(api.getSettings())).profile, 'Default');
+
+  const { normalizeSettings } = harness.background;
+  assert.deepEqual(plain(normalizeSettings({
+    settleTime: -1, pollInterval: '250', completionStrategy: 'fast', chatGPTUrl: 'https://example.com/',
+    color: 'green', sendDelay: 100, newChat: true
+  })), { sendDelay: 100, newChat: true });
+});
+
+test('starts new chats by default when the profile says so', async (t) => {
+  const { harness, api } = await setupAPI(t, { sync: profiles('Fresh', { newChat: true }) });
+
+  await harness.run(api.sendPrompt("One"));
+  await harness.run(api.sendPrompt("Two", { newChat: false }));
+  await harness.run(api.sendPrompt("Three", { conversationId: harness.page.conversationId }));
+
+  const jobs = await harness.jobs();
+  assert.deepEqual(jobs.map(job => job.newChat), [true, false, false]);
+});
+
+test('takes the request timeout and retry attempts from the profile', async (t) => {
+  const { harness, api } = await setupAPI(t, {
+    sync: profiles('Impatient', { requestTimeout: 2000, retryAttempts: 0 }),
+    page: { answer: () => ({ chunks: ["Too late"], startDelay: 60000 }) }
+  });
+
+  const error = await rejection(harness, api.sendPrompt("Hello"));
+
+  assert.equal(error.code, 'TIMEOUT');
+  assert.match(error.message, /after 2 seconds/);
+  const [job] = await harness.jobs();
+  assert.equal(job.retry.attempts, 0);
+});
+
+test('reads the request timeout once per API and follows profile changes', async (t) => {
+  const { harness, api } = await setupAPI(t, {
+    page: { answer: () => ({ chunks: ["Slow"], startDelay: 60000 }) }
+  });
+  const settingsRequests = () => harness.chrome.messages.filter(entry => entry.message.action === 'GET_SETTINGS').length;
+
+  await harness.run(api.sendPrompt("First"));
+  await harness.run(api.sendPrompt("Second"));
+  assert.equal(settingsRequests(), 1);
+
+  await harness.run(harness.background.saveSettingsProfile('Impatient', { requestTimeout: 2000, retryAttempts: 0 }, true));
+  const error = await rejection(harness, api.sendPrompt("Third"));
+  assert.match(error.message, /after 2 seconds/);
+  assert.equal(settingsRequests(), 2);
+});
+
+test('opens new tabs at the URL of the profile', async (t) => {
+  const { harness, api } = await setupAPI(t, {
+    page: false,
+    sync: profiles('Old domain', { chatGPTUrl: 'https://chat.openai.com/' })
+  });
+
+  const result = await harness.run(api.sendPrompt("Hello", { newChat: true, structured: true }));
+
+  assert.match(harness.pages[0].tab.url, /^https:\/\/chat\.openai\.com\//);
+  assert.match(result.conversationUrl, /^https:\/\/chat\.openai\.com\/c\//);
+});
+
+test('switching profiles applies to the next prompt without a reload', async (t) => {
+  const { harness, api } = await setupAPI(t);
+  const { setActiveSettingsProfile, saveSettingsProfile, deleteSettingsProfile } = harness.background;
+
+  await harness.run(setActiveSettingsProfile('Fast short answers'));
+  assert.equal((await harness.run(api.getSettings())).requestTimeout, 90000);
+  assert.equal(harness.content.currentSettings().sendDelay, 150);
+  assert.equal(harness.content.getCompletionSettings(null).pollInterval, 100);
+
+  await harness.run(saveSettingsProfile('Mine', { settleTime: 800, bogus: 1 }, true));
+  const store = harness.chrome.storageData.sync.settings;
+  assert.deepEqual(plain(store.profiles['Mine']), { settleTime: 800 });
+  assert.equal(harness.content.getCompletionSettings(null).settleTime, 800);
+
+  // Deleting the profile in use falls back to Default; built-in ones are reset
+  await harness.run(deleteSettingsProfile('Mine'));
+  assert.equal((await harness.run(api.getSettings())).profile, 'Default');
+  await harness.run(saveSettingsProfile('Fast short answers', { sendDelay: 50 }));
+  await harness.run(deleteSettingsProfile('Fast short answers'));
+  assert.equal(harness.chrome.storageData.sync.settings.profiles['Fast short answers'].sendDelay, 150);
+});
@@ -0,0 +1,124 @@
+// The side panel (sidepanel.html): answers streaming in, the queue with its
+// cancel buttons, copying as Markdown and re-running earlier prompts.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupAPI, echo } = require('./harness');
+
+// Each prompt is answered with "Re: <prompt>", a second after "Re: "
+const ECHO_PAGE = { page: { answer: echo({ chunkInterval: 1000 }) } };
+
+function openPanel(harness) {
+  const panel = harness.openExtensionPage('sidepanel.html');
+  const $ = (selector) => panel.document.querySelector(selector);
+  return { panel, $ };
+}
+
+function queueRows($) {
+  return Array.from($('#queue-list').querySelectorAll('.job')).map(row => ({
+    prompt: row.querySelector('.job-prompt').textContent,
+    status: row.querySelector('.job-meta span').textContent,
+    cancel: row.querySelector('button')
+  }));
+}
+
+test('streams the answer of a prompt sent from the panel and copies it as Markdown', async (t) => {
+  const { harness } = await setupAPI(t, ECHO_PAGE);
+  const { $ } = openPanel(harness);
+  await harness.until(() => $('#queue-list').textContent === 'Nothing queued');
+
+  $('#prompt-input').value = 'Hello';
+  $('#send-btn').click();
+  await harness.until(() => $('#answer-text').textContent.startsWith('Re:'));
+  assert.equal($('#answer-status').textContent, 'Writing...');
+  assert.equal($('#answer-prompt').textContent, 'Hello');
+  assert.equal($('#copy-btn').disabled, true);
+
+  await harness.until(() => $('#answer-status').textContent.startsWith('Done'));
+  assert.equal($('#answer-text').textContent, 'Re: Hello');
+  assert.equal($('#answer-link').href, `https://chatgpt.com/c/${harness.page.conversationId}`);
+  assert.equal($('#stop-btn').style.display, 'none');
+
+  $('#copy-btn').click();
+  await harness.until(() => harness.clipboard !== undefined);
+  const [job] = await harness.jobs();
+  assert.equal(harness.clipboard, job.markdown);
+  assert.equal($('#status-msg').textContent, 'Copied as Markdown');
+});
+
+test('lists queued and running jobs and cancels them', async (t) => {
+  const { harness, api } = await setupAPI(t, ECHO_PAGE);
+  const { $ } = openPanel(harness);
+
+  const first = harness.run(api.sendPrompt("First").catch(error => error));
+  const second = harness.run(api.sendPrompt("Second").catch(error => error));
+  await harness.until(() => queueRows($).length === 2 && queueRows($)[0].status === 'running');
+  assert.deepEqual(queueRows($).map(row => [row.prompt, row.status]), [['First', 'running'], ['Second', 'queued']]);
+
+  queueRows($)[1].cancel.click();
+  assert.equal((await second).code, 'CANCELLED');
+  await harness.until(() => queueRows($).length === 1);
+
+  // The running job is followed in the answer area, with its own stop button
+  assert.equal($('#answer-prompt').textContent, 'First');
+  await harness.until(() => $('#answer-text').textContent.startsWith('Re:'));
+  $('#stop-btn').click();
+  assert.equal((await first).code, 'CANCELLED');
+  await harness.until(() => $('#answer-status').textContent === 'Cancelled');
+  assert.equal($('#queue-list').textContent, 'Nothing queued');
+  assert.deepEqual(harness.page.prompts, ['First']);
+});
+
+test('picks up an answer that was already being written when opened', async (t) => {
+  const { harness, api } = await setupAPI(t, ECHO_PAGE);
+
+  const answer = harness.run(api.sendPrompt("Started elsewhere"));
+  await harness.until(() => harness.page.isStreaming);
+  const { $ } = openPanel(harness);
+
+  await harness.until(() => $('#answer-prompt').textContent === 'Started elsewhere');
+  await harness.until(() => $('#answer-text').textContent.startsWith('Re:'));
+  assert.equal($('#answer-status').textContent, 'Writing...');
+  await answer;
+  await harness.until(() => $('#answer-text').textContent === 'Re: Started elsewhere');
+});
+
+test('edits and re-runs earlier prompts from the history', async (t) => {
+  const { harness, api } = await setupAPI(t, ECHO_PAGE);
+  await harness.run(api.sendPrompt("Tell me a joke"));
+  const { $ } = openPanel(harness);
+
+  await harness.until(() => $('#history-list').querySelectorAll('.entry').length === 1);
+  const entry = $('#history-list .entry');
+  assert.equal(entry.querySelector('.entry-prompt').textContent, 'Tell me a joke');
+  const [editBtn, rerunBtn] = entry.querySelectorAll('button');
+
+  editBtn.click();
+  assert.equal($('#prompt-input').value, 'Tell me a joke');
+
+  rerunBtn.click();
+  await harness.until(() => $('#answer-status').textContent.startsWith('Done'));
+  assert.deepEqual(harness.page.prompts, ['Tell me a joke', 'Tell me a joke']);
+  await harness.until(() => $('#history-list').querySelectorAll('.entry').length === 2);
+
+  // Clicking an entry shows its answer
+  $('#history-list .entry:last-child .entry-prompt').click();
+  assert.equal($('#answer-text').textContent, 'Re: Tell me a joke');
+  assert.equal($('#answer-status').textContent, `Done (${'Re: Tell me a joke'.length} chars)`);
+});
+
+test('quick actions can send their answers to the side panel', async (t) => {
+  const { harness, api } = await setupAPI(t, ECHO_PAGE);
+  await harness.run(api.configureQuickActions({ display: 'sidepanel' }));
+  const { tab, page } = harness.openWebPage('https://example.com/', '<p id="text">Octopuses</p>');
+  page.window.getSelection().selectAllChildren(page.document.getElementById('text'));
+
+  harness.chrome.clickContextMenu('quick-action-1', tab.id);
+  assert.deepEqual(harness.chrome.sidePanelOpened, [{ windowId: tab.windowId }]);
+  const { $ } = openPanel(harness);
+
+  await harness.until(() => $('#answer-status').textContent.startsWith('Done'));
+  assert.equal($('#answer-text').textContent, 'Re: Octopuses');
+  assert.equal(page.document.getElementById('chatgpt-automator-overlay'), null);
+  assert.equal(harness.chrome.notifications.size, 0);
+});
@@ -0,0 +1,221 @@
+// The background tab pool (tab-pool.js): prompts spread over pool tabs,
+// their busy/idle state, replacing tabs that crash or get logged out, and
+// runBatch() running rows side by side through it.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupAPI, rejection, plain, echo } = require('./harness');
+
+// Each prompt is answered with "Re: <prompt>" after `delay` ms
+function delayedEcho(delay = 300) {
+  return echo({ startDelay: delay });
+}
+
+function openTabIds(harness) {
+  return Array.from(harness.chrome.tabs.keys());
+}
+
+test("answers prompts side by side in pool tabs, never in the user's tab", async (t) => {
+  const { harness, api } = await setupAPI(t, { page: { answer: delayedEcho(5000) } });
+  await harness.run(api.configureTabPool({ size: 2 }));
+
+  const started = harness.clock.now;
+  const answers = await harness.run(Promise.all(['A', 'B', 'C', 'D'].map(prompt => api.sendPrompt(prompt))));
+
+  assert.deepEqual(answers, ['Re: A', 'Re: B', 'Re: C', 'Re: D']);
+  assert.deepEqual(harness.page.prompts, []);
+  // Two tabs were opened and each answered two prompts
+  const poolPages = harness.pages.slice(1).map(entry => entry.page);
+  assert.equal(poolPages.length, 2);
+  assert.deepEqual(poolPages.map(page => page.prompts.length), [2, 2]);
+  // Two rounds of about five seconds, not four
+  const elapsed = harness.clock.now - started;
+  assert.ok(elapsed < 15000, `took ${elapsed}ms`);
+});
+
+test('reports each pool tab as busy or idle', async (t) => {
+  const { harness, api } = await setupAPI(t, { page: { answer: delayedEcho(5000) } });
+  await harness.run(api.configureTabPool({ size: 2 }));
+
+  const answer = api.sendPrompt("Hello", { structured: true });
+  await harness.until(() => harness.pages.length === 2 && harness.pages[1].page.isStreaming);
+  const [job] = await harness.jobs();
+
+  let pool = plain(await harness.run(api.getTabPool()));
+  assert.equal(pool.size, 2);
+  assert.equal(pool.healthy, true);
+  assert.equal(pool.tabs.length, 1);
+  assert.equal(pool.tabs[0].state, 'busy');
+  assert.equal(pool.tabs[0].jobId, job.id);
+
+  const result = await harness.run(answer);
+  pool = plain(await harness.run(api.getTabPool()));
+  assert.equal(result.tabId, pool.tabs[0].tabId);
+  assert.equal(pool.tabs[0].state, 'idle');
+  assert.equal(pool.tabs[0].jobId, null);
+});
+
+test('replaces a tab that got logged out before sending to it', async (t) => {
+  const { harness, api } = await setupAPI(t, { page: { answer: delayedEcho() } });
+  await harness.run(api.configureTabPool({ size: 1 }));
+  const first = await harness.run(api.sendPrompt("One", { structured: true }));
+
+  harness.pageFor(first.tabId).logOut();
+  const second = await harness.run(api.sendPrompt("Two", { structured: true }));
+
+  assert.equal(second.text, 'Re: Two');
+  assert.notEqual(second.tabId, first.tabId);
+  assert.ok(!openTabIds(harness).includes(first.tabId));
+  assert.deepEqual(harness.pageFor(first.tabId).prompts, ['One']);
+  const pool = plain(await harness.run(api.getTabPool()));
+  assert.deepEqual(pool.tabs.map(tab => tab.tabId), [second.tabId]);
+  assert.equal(pool.failures, 0);
+});
+
+test('retries the prompt of a tab that crashed while answering', async (t) => {
+  const { harness, api } = await setupAPI(t, { page: { answer: delayedEcho(200000) } });
+  await harness.run(api.configureTabPool({ size: 1 }));
+
+  const answer = api.sendPrompt("Hello", { structured: true, timeout: 600 });
+  await harness.until(() => harness.pages.length === 2 && harness.pages[1].page.isStreaming);
+  const crashedTabId = harness.pages[1].tab.id;
+  harness.pageOptions = { answer: delayedEcho() };
+  harness.crashTab(crashedTabId);
+
+  // Found by the health check, which runs every minute
+  const result = await harness.run(answer);
+
+  assert.equal(result.text, 'Re: Hello');
+  assert.notEqual(result.tabId, crashedTabId);
+  assert.ok(!openTabIds(harness).includes(crashedTabId));
+  const [job] = await harness.jobs();
+  assert.equal(job.attempts, 1);
+  assert.equal(job.tabId, result.tabId);
+});
+
+test('gives up with TAB_UNHEALTHY when fresh tabs keep failing', async (t) => {
+  const { harness, api } = await setupAPI(t, { page: { loggedIn: false } });
+  await harness.run(api.configureTabPool({ size: 1 }));
+
+  const error = await rejection(harness, api.sendPrompt("Hello"));
+
+  assert.equal(error.code, 'TAB_UNHEALTHY');
+  assert.match(error.message, /Log in to ChatGPT/);
+  assert.deepEqual(openTabIds(harness), [harness.tab.id]);
+  let pool = plain(await harness.run(api.getTabPool()));
+  assert.equal(pool.healthy, false);
+
+  // Configuring the pool again (e.g. after logging in) gives it a new chance
+  pool = plain(await harness.run(api.configureTabPool({ size: 1 })));
+  assert.equal(pool.healthy, true);
+});
+
+test('shrinking the pool closes idle tabs, and size 0 turns it off', async (t) => {
+  const { harness, api } = await setupAPI(t, { page: { answer: delayedEcho() } });
+  await harness.run(api.configureTabPool({ size: 3 }));
+  await harness.run(Promise.all(['A', 'B', 'C'].map(prompt => api.sendPrompt(prompt))));
+  assert.equal(openTabIds(harness).length, 4);
+
+  let pool = plain(await harness.run(api.configureTabPool({ size: 1 })));
+  assert.equal(pool.tabs.length, 1);
+  assert.equal(openTabIds(harness).length, 2);
+
+  const error = await rejection(harness, api.configureTabPool({ size: 9 }));
+  assert.equal(error.code, 'INVALID_OPTIONS');
+
+  pool = plain(await harness.run(api.configureTabPool({ size: 0 })));
+  assert.deepEqual(pool.tabs, []);
+  assert.deepEqual(openTabIds(harness), [harness.tab.id]);
+  assert.equal(await harness.run(api.sendPrompt("Back to the first tab")), 'Re: Back to the first tab');
+  assert.deepEqual(harness.page.prompts, ["Back to the first tab"]);
+});
+
+test('opens each pool tab in its own window with windows: true', async (t) => {
+  const { harness, api } = await setupAPI(t, { page: { answer: delayedEcho() } });
+  await harness.run(api.configureTabPool({ size: 2, windows: true }));
+
+  await harness.run(Promise.all(['A', 'B'].map(prompt => api.sendPrompt(prompt))));
+
+  const pool = plain(await harness.run(api.getTabPool()));
+  const windowIds = pool.tabs.map(tab => tab.windowId);
+  assert.equal(new Set(windowIds).size, 2);
+  assert.ok(!windowIds.includes(harness.tab.windowId));
+});
+
+test('hands a pooled job waiting for a closed pool tab back to the pool', async (t) => {
+  const { harness, api } = await setupAPI(t, { page: { answer: delayedEcho() } });
+  harness.pageOptions = { answer: () => ({ error: "Something went wrong while generating the response." }) };
+  await harness.run(api.configureTabPool({ size: 1 }));
+
+  const answer = api.sendPrompt("Hello", { structured: true });
+  const storedJob = () => (harness.chrome.storageData.local.jobQueue || [])[0];
+  await harness.until(() => storedJob() && storedJob().status === 'queued' && storedJob().attempts === 1);
+  const closedTabId = storedJob().tabId;
+  assert.notEqual(closedTabId, harness.tab.id);
+
+  // The user closes the pool tab while the job waits out its retry delay
+  harness.pageOptions = { answer: delayedEcho() };
+  harness.closeTab(closedTabId);
+  const result = await harness.run(answer);
+
+  assert.equal(result.text, 'Re: Hello');
+  assert.notEqual(result.tabId, closedTabId);
+  assert.notEqual(result.tabId, harness.tab.id);
+});
+
+test('keeps a pool tab for the retry waiting in it, whatever comes first in the queue', async (t) => {
+  const { harness, api } = await setupAPI(t, {
+    page: { answer: () => ({ chunks: ['Done'], startDelay: 10000 }) }
+  });
+  let failed = false;
+  harness.pageOptions = {
+    answer: prompt => {
+      if (failed) return delayedEcho()(prompt);
+      failed = true;
+      return { error: "Something went wrong while generating the response." };
+    }
+  };
+  await harness.run(api.configureTabPool({ size: 1 }));
+
+  // "Second" waits for the conversation the user's tab is answering in,
+  // so it stays ahead of "Hello" in the queue without a tab
+  const busy = api.sendPrompt("Long", { tabId: harness.tab.id, conversationId: 'abc-123' });
+  await harness.until(() => harness.page.isStreaming);
+  const second = api.sendPrompt("Second", { conversationId: 'abc-123', structured: true });
+  const hello = api.sendPrompt("Hello", { retry: { delay: 60000 }, structured: true });
+  const storedJobs = () => harness.chrome.storageData.local.jobQueue || [];
+  await harness.until(() => storedJobs().some(job => job.status === 'queued' && job.attempts === 1));
+  const retryTabId = storedJobs().find(job => job.attempts === 1).tabId;
+
+  // The conversation is free while "Hello" waits out its backoff
+  await harness.run(busy);
+  const [helloResult, secondResult] = await harness.run(Promise.all([hello, second]));
+
+  assert.equal(helloResult.tabId, retryTabId);
+  assert.equal(helloResult.text, 'Re: Hello');
+  assert.equal(secondResult.text, 'Re: Second');
+  // Regenerated in its own conversation, before the tab moved on
+  assert.deepEqual(harness.pageFor(retryTabId).prompts, ['Hello', 'Second']);
+});
+
+test('runBatch runs rows side by side and returns them in row order', async (t) => {
+  const { harness, api } = await setupAPI(t, { page: { answer: delayedEcho(3000) } });
+  const { runBatch } = harness.loadPageScripts('prompt-templates.js', 'batch-runner.js');
+  await harness.run(api.configureTabPool({ size: 3 }));
+  const rows = ['one', 'two', 'three', 'four', 'five', 'six'].map(word => ({ word: word }));
+
+  const started = harness.clock.now;
+  const completed = [];
+  const results = await harness.run(runBatch(api, "Say {{word}}", rows, {
+    concurrency: 3,
+    onRowComplete: result => completed.push(result.index)
+  }));
+
+  assert.deepEqual(plain(results.map(result => result.index)), [0, 1, 2, 3, 4, 5]);
+  assert.deepEqual(plain(results.map(result => result.response)), rows.map(row => `Re: Say ${row.word}`));
+  assert.equal(completed.length, 6);
+  // Two rounds of three rows, about three seconds each
+  const elapsed = harness.clock.now - started;
+  assert.ok(elapsed < 12000, `took ${elapsed}ms`);
+  assert.equal(harness.pages.length, 4);
+});
@@ -0,0 +1,139 @@
+// captureTurn() in content.js: every part of the assistant turn, labeled,
+// and how it reaches sendPrompt()'s structured result.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./harness');
+
+async function prompt(harness, text, requestId = 'req-1') {
+  harness.content.handlePrompt(text, requestId);
+  return harness.capturedResponse(requestId);
+}
+
+// Plain copies of the parts without the fields a test doesn't look at
+function summarize(parts) {
+  return parts.map(part => ({ type: part.type, label: part.label }));
+}
+
+test('labels reasoning, interim text, tool output and the answer in page order', async (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+  harness.page.reply({
+    reasoning: { label: 'Thought for 12 seconds', summary: 'Checking the release notes.' },
+    interim: 'Let me run that.',
+    toolOutput: '42',
+    chunks: ['The result', ' is 42.']
+  });
+
+  const result = await prompt(harness, "Compute it");
+
+  assert.equal(result.text, 'The result is 42.');
+  assert.deepEqual(summarize(result.parts), [
+    { type: 'reasoning', label: 'Thought for 12 seconds' },
+    { type: 'text', label: 'Interim message' },
+    { type: 'tool', label: 'Tool output' },
+    { type: 'text', label: 'Answer' }
+  ]);
+  assert.equal(result.parts[0].seconds, 12);
+  assert.equal(result.parts[0].text, 'Checking the release notes.');
+  assert.equal(result.parts[1].text, 'Let me run that.');
+  assert.equal(result.parts[2].text, '42');
+  assert.equal(result.parts[3].model, 'gpt-4o');
+  assert.equal(result.candidates, null);
+});
+
+test('collects citations with their URLs', async (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+  harness.page.reply({
+    chunks: ['Node 22 is out. '],
+    citations: [
+      { title: 'nodejs.org', url: 'https://nodejs.org/en/blog/release/v22.0.0' },
+      { title: 'github.com', url: 'https://github.com/nodejs/node/releases' },
+      { title: 'nodejs.org', url: 'https://nodejs.org/en/blog/release/v22.0.0' }
+    ]
+  });
+
+  const result = await prompt(harness, "What's new in Node 22?");
+
+  const expected = [
+    { title: 'nodejs.org', url: 'https://nodejs.org/en/blog/release/v22.0.0' },
+    { title: 'github.com', url: 'https://github.com/nodejs/node/releases' }
+  ];
+  assert.deepEqual(result.citations, expected);
+  assert.deepEqual(result.parts[0].citations, expected);
+});
+
+test('captures generated images, even without any text', async (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+  harness.page.reply({
+    chunks: [],
+    images: [{ url: 'https://files.oaiusercontent.com/file-abc.webp' }]
+  });
+
+  const result = await prompt(harness, "Draw a crab");
+
+  assert.equal(result.ok, true);
+  assert.equal(result.text, '');
+  assert.deepEqual(result.parts, [{
+    type: 'image',
+    label: 'Generated image',
+    url: 'https://files.oaiusercontent.com/file-abc.webp',
+    alt: 'Generated image'
+  }]);
+});
+
+test('returns both answers of a side-by-side comparison', async (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+  harness.page.reply({ chunks: ['First', ' take.'], alternative: ['Second', ' take,', ' longer.'] });
+
+  const result = await prompt(harness, "Tell me something");
+
+  assert.equal(result.text, 'First take.');
+  assert.deepEqual(summarize(result.candidates), [
+    { type: 'candidate', label: 'Response 1' },
+    { type: 'candidate', label: 'Response 2' }
+  ]);
+  assert.equal(result.candidates[1].text, 'Second take, longer.');
+  assert.deepEqual(summarize(result.parts), summarize(result.candidates));
+
+  // Chunks follow the first answer only
+  const chunks = harness.messagesFor('RESPONSE_CHUNK');
+  assert.equal(chunks.map(chunk => chunk.delta).join(''), 'First take.');
+});
+
+test('reads reasoning times in minutes and seconds', (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+  const { parseReasoningSeconds } = harness.content;
+
+  assert.equal(parseReasoningSeconds('Thought for 12 seconds'), 12);
+  assert.equal(parseReasoningSeconds('Thought for 1m 5s'), 65);
+  assert.equal(parseReasoningSeconds('Reasoned for 2 minutes'), 120);
+  assert.equal(parseReasoningSeconds('Thought for a few seconds'), null);
+});
+
+test('sendPrompt returns the parts and the job keeps them', async (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+  const api = await harness.createAPI();
+  harness.page.reply({
+    reasoning: { label: 'Thought for 3 seconds' },
+    chunks: ['See the docs.'],
+    citations: [{ title: 'MDN', url: 'https://developer.mozilla.org/' }]
+  });
+
+  const result = await harness.run(api.sendPrompt("Where are the docs?", { structured: true }));
+
+  assert.deepEqual(summarize(result.parts), [
+    { type: 'reasoning', label: 'Thought for 3 seconds' },
+    { type: 'text', label: 'Answer' }
+  ]);
+  assert.deepEqual(result.citations, [{ title: 'MDN', url: 'https://developer.mozilla.org/' }]);
+  assert.equal(result.candidates, null);
+  const [job] = await harness.jobs();
+  assert.equal(job.parts.length, 2);
+  assert.deepEqual(job.citations, result.citations);
+});